@@ -4,51 +4,75 @@
 
 const vscode = require('vscode');
 const axios = require('axios');
+const crypto = require('crypto');
+const { isRetryableError, parseRetryAfter, getRetryDelay, sleep } = require('./retry');
+const { AuthError, TlsError, ERROR_CODES, fromAxiosError } = require('./errors');
+const { createNetworkOptions, getNetworkSettings, createAbortSignal } = require('./network');
+const { logger } = require('../services/logger');
+const ProfileManager = require('../services/profileManager');
+const RequestAuth = require('../services/requestAuth');
+const { CONTINENT_CODES } = require('../constants');
 
 // Extension version from package.json
 const EXTENSION_VERSION = '1.0.1';
 
 class ApiClient {
-  constructor(context) {
+  /**
+   * @param {vscode.ExtensionContext} context
+   * @param {ProfileManager} profiles - Supplies the base URL and API key of each profile
+   * @param {RequestAuth} requestAuth - Supplies the stored credentials of protected sites
+   */
+  constructor(context, profiles, requestAuth) {
     this.context = context;
+    this.profiles = profiles;
+    this.requestAuth = requestAuth;
+    this.profile = null;
     this.baseUrl = null;
     this.apiKey = null;
     this.machineId = vscode.env.machineId;
     this.sessionId = vscode.env.sessionId;
+    this._network = new Map();
+
+    this._onDidSubmit = new vscode.EventEmitter();
+    /** Fired when a verification is accepted: { scans, scansRemaining } (scansRemaining when the API reports it) */
+    this.onDidSubmit = this._onDidSubmit.event;
   }
 
   /**
-   * Initialize the client with configuration
+   * Initialize the client with the active profile's configuration
    */
   async init() {
-    const config = vscode.workspace.getConfiguration('uprockVerify');
-    this.baseUrl = config.get('apiBaseUrl') || 'https://api.uprockverify.com';
-    this.apiKey = await this.context.secrets.get('uprockVerify.apiKey');
+    const profile = this.profiles.getActiveProfile();
+    this.profile = profile.name;
+    this.baseUrl = profile.apiBaseUrl;
+    this.apiKey = await this.profiles.getApiKey(profile.name);
+    // Proxy/CA settings may have changed; rebuild agents on next request
+    this._network.clear();
   }
 
   /**
-   * Get the API key from secure storage
+   * Get the API key of the active profile from secure storage
    */
   async getApiKey() {
     if (!this.apiKey) {
-      this.apiKey = await this.context.secrets.get('uprockVerify.apiKey');
+      this.apiKey = await this.profiles.getApiKey(this.profile);
     }
     return this.apiKey;
   }
 
   /**
-   * Set the API key in secure storage
+   * Set the API key of the active profile in secure storage
    */
   async setApiKey(apiKey) {
-    await this.context.secrets.store('uprockVerify.apiKey', apiKey);
+    await this.profiles.setApiKey(apiKey, this.profile);
     this.apiKey = apiKey;
   }
 
   /**
-   * Clear the API key from secure storage
+   * Clear the API key of the active profile from secure storage
    */
   async clearApiKey() {
-    await this.context.secrets.delete('uprockVerify.apiKey');
+    await this.profiles.deleteApiKey(this.profile);
     this.apiKey = null;
   }
 
@@ -60,23 +84,98 @@ class ApiClient {
     return !!key;
   }
 
+  /**
+   * Get the team selected for the active profile, if any
+   * @returns {{id: string, name: string}|null}
+   */
+  getTeam() {
+    return this.profiles.getTeam(this.profile);
+  }
+
+  /**
+   * Attribute a verification request body to the selected team
+   */
+  _withTeam(body) {
+    const team = this.getTeam();
+    return team ? { ...body, team_id: team.id } : body;
+  }
+
+  /**
+   * Resolve the base URL and API key for a request
+   * Jobs keep using the profile they were submitted with, even after switching profiles.
+   * @param {string} profileName - Defaults to the active profile
+   */
+  async _connection(profileName) {
+    if (!profileName || profileName === this.profile) {
+      return { baseUrl: this.baseUrl, apiKey: await this.getApiKey(), profile: this.profile };
+    }
+
+    const profile = this.profiles.getProfile(profileName);
+    if (!profile) {
+      throw new AuthError(`Profile "${profileName}" no longer exists.`, { code: ERROR_CODES.AUTH_MISSING });
+    }
+    return {
+      baseUrl: profile.apiBaseUrl,
+      apiKey: await this.profiles.getApiKey(profile.name),
+      profile: profile.name
+    };
+  }
+
+  /**
+   * Get the proxy and TLS options for axios, built once per configuration
+   */
+  _networkOptions(baseUrl) {
+    if (!this._network.has(baseUrl)) {
+      try {
+        this._network.set(baseUrl, createNetworkOptions(baseUrl));
+        logger.debug(`Network settings for ${baseUrl}`, getNetworkSettings());
+      } catch (error) {
+        logger.error('Failed to configure network options', error);
+        throw new TlsError(error.message);
+      }
+    }
+    return this._network.get(baseUrl);
+  }
+
   /**
    * Make an authenticated API request
+   * @param {string} method - HTTP method
+   * @param {string} endpoint - API path, e.g. /extension/status
+   * @param {Object} data - Request body (ignored for GET)
+   * @param {Object} options
+   * @param {vscode.CancellationToken} options.token - Aborts the request when cancelled
+   * @param {string} options.idempotencyKey - Sent as Idempotency-Key; makes a POST safe to retry
+   * @param {string} options.profile - Profile to send the request as (defaults to the active one)
+   *
+   * Transient failures (429/502/503/504, connection resets) are retried with backoff
+   * for GET requests and for POSTs carrying an idempotency key.
    */
-  async request(method, endpoint, data = null) {
-    const apiKey = await this.getApiKey();
+  async request(method, endpoint, data = null, options = {}) {
+    const { baseUrl, apiKey, profile } = await this._connection(options.profile);
 
     if (!apiKey) {
-      throw new Error('API key not configured. Run "UpRock Verify: Set API Key" to configure.');
+      const forProfile = profile === ProfileManager.DEFAULT_PROFILE ? '' : ` for profile "${profile}"`;
+      throw new AuthError(`API key not configured${forProfile}. Run "UpRock Verify: Set API Key" to configure.`, {
+        code: ERROR_CODES.AUTH_MISSING
+      });
     }
 
     const vsConfig = vscode.workspace.getConfiguration('uprockVerify');
     const requestTimeout = vsConfig.get('timeout') || 180000;
+    const canRetry = method === 'GET' || !!options.idempotencyKey;
+    const maxRetries = canRetry ? (vsConfig.get('maxRetries') ?? 3) : 0;
+    const retryBaseDelay = vsConfig.get('retryBaseDelay') || 1000;
+
+    const network = this._networkOptions(baseUrl);
+    const { signal, dispose } = createAbortSignal(options.token);
+    const startedAt = Date.now();
+    let attempt = 0;
 
     try {
       const axiosConfig = {
+        ...network,
         method,
-        url: `${this.baseUrl}${endpoint}`,
+        url: `${baseUrl}${endpoint}`,
         headers: {
           'Content-Type': 'application/json',
           'x-api-key': apiKey,
@@ -88,6 +187,7 @@ class ApiClient {
           'User-Agent': `UpRockVerify/${EXTENSION_VERSION} (VSCode/${vscode.version})`
         },
         timeout: requestTimeout,
+        signal,
         transformResponse: [(data) => {
           if (!data || data === 'null') return null;
           try {
@@ -103,25 +203,53 @@ class ApiClient {
         axiosConfig.data = data;
       }
 
-      const response = await axios(axiosConfig);
+      if (options.idempotencyKey) {
+        axiosConfig.headers['Idempotency-Key'] = options.idempotencyKey;
+      }
 
-      return response.data;
-    } catch (error) {
-      if (error.response) {
-        let errorMsg = error.response.statusText;
-        const respData = error.response.data;
-        if (respData && typeof respData === 'object' && respData.error) {
-          errorMsg = respData.error;
+      logger.debug(`${method} ${endpoint} request`, { profile, headers: axiosConfig.headers, data: axiosConfig.data });
+
+      for (; ; attempt++) {
+        try {
+          const response = await axios(axiosConfig);
+          logger.info(`${method} ${endpoint} ${response.status} (${this._describeTiming(startedAt, attempt)})`);
+          return response.data;
+        } catch (error) {
+          if (signal.aborted || attempt >= maxRetries || !isRetryableError(error)) {
+            throw error;
+          }
+
+          const retryAfter = parseRetryAfter(error.response?.headers?.['retry-after']);
+          const delay = getRetryDelay(attempt, retryBaseDelay, retryAfter);
+          if (delay === null) {
+            throw error;
+          }
+          logger.warn(`${method} ${endpoint} ${error.response?.status || error.code}, retrying in ${delay}ms (attempt ${attempt + 1}/${maxRetries})`);
+          await sleep(delay, signal);
         }
-        throw new Error(`API Error (${error.response.status}): ${errorMsg}`);
-      } else if (error.code === 'ECONNABORTED') {
-        throw new Error('Request timed out. The verification is taking longer than expected.');
-      } else {
-        throw new Error(`Network Error: ${error.message}`);
       }
+    } catch (error) {
+      if (axios.isCancel(error) || signal.aborted) {
+        logger.info(`${method} ${endpoint} cancelled (${this._describeTiming(startedAt, attempt)})`);
+        throw new vscode.CancellationError();
+      }
+      const apiError = fromAxiosError(error, parseRetryAfter(error.response?.headers?.['retry-after']));
+      logger.error(`${method} ${endpoint} ${apiError.status || 'failed'} (${this._describeTiming(startedAt, attempt)})`, apiError);
+      throw apiError;
+    } finally {
+      dispose();
     }
   }
 
+  /**
+   * Format a request's duration and retry count for the log
+   */
+  _describeTiming(startedAt, retries) {
+    const duration = `${Date.now() - startedAt}ms`;
+    if (!retries) return duration;
+    return `${duration}, ${retries} ${retries === 1 ? 'retry' : 'retries'}`;
+  }
+
   // ============================================
   // Authentication
   // ============================================
@@ -129,12 +257,17 @@ class ApiClient {
   /**
    * Validate an API key (sends key in body, not header)
    */
-  async validateApiKey(apiKey) {
+  async validateApiKey(apiKey, options = {}) {
     const config = vscode.workspace.getConfiguration('uprockVerify');
     const timeout = config.get('timeout') || 180000;
 
+    const network = this._networkOptions(this.baseUrl);
+    const { signal, dispose } = createAbortSignal(options.token);
+    const startedAt = Date.now();
+
     try {
       const response = await axios({
+        ...network,
         method: 'POST',
         url: `${this.baseUrl}/extension/validate`,
         data: { apiKey },
@@ -148,6 +281,7 @@ class ApiClient {
           'User-Agent': `UpRockVerify/${EXTENSION_VERSION} (VSCode/${vscode.version})`
         },
         timeout,
+        signal,
         transformResponse: [(data) => {
           if (!data || data === 'null') return null;
           try {
@@ -157,30 +291,30 @@ class ApiClient {
           }
         }]
       });
+      logger.info(`POST /extension/validate ${response.status} (${this._describeTiming(startedAt, 0)})`);
       return response.data;
     } catch (error) {
-      if (error.response) {
-        let errorMsg = error.response.statusText;
-        const respData = error.response.data;
-        if (respData && typeof respData === 'object' && respData.error) {
-          errorMsg = respData.error;
-        }
-        throw new Error(`API Error (${error.response.status}): ${errorMsg}`);
-      } else {
-        throw new Error(`Network Error: ${error.message}`);
+      if (axios.isCancel(error)) {
+        logger.info(`POST /extension/validate cancelled (${this._describeTiming(startedAt, 0)})`);
+        throw new vscode.CancellationError();
       }
+      const apiError = fromAxiosError(error);
+      logger.error(`POST /extension/validate ${apiError.status || 'failed'} (${this._describeTiming(startedAt, 0)})`, apiError);
+      throw apiError;
+    } finally {
+      dispose();
     }
   }
 
   /**
    * Validate the current stored API key
    */
-  async validateAuth() {
+  async validateAuth(options = {}) {
     const apiKey = await this.getApiKey();
     if (!apiKey) {
-      throw new Error('API key not configured');
+      throw new AuthError('API key not configured', { code: ERROR_CODES.AUTH_MISSING });
     }
-    return this.validateApiKey(apiKey);
+    return this.validateApiKey(apiKey, options);
   }
 
   // ============================================
@@ -189,23 +323,80 @@ class ApiClient {
 
   /**
    * Start a verification
+   * @param {string} url
+   * @param {Object} options - Request options, plus:
+   * @param {string[]} options.continents - Regions to verify from (default: all six)
+   * @param {Object} options.auth - Headers, cookies and basic auth for the site (default: the stored ones)
    */
-  async verify(url) {
-    return this.request('POST', '/extension/verify', { url });
+  async verify(url, options = {}) {
+    const { continents, auth, ...requestOptions } = options;
+    const body = { url, ...await this._authPayload(url, auth) };
+    if (continents?.length && continents.length < CONTINENT_CODES.length) {
+      body.continents = continents;
+    }
+    return this._submit(body, requestOptions, 1);
   }
 
   /**
    * Start a quick dev verification (single region)
+   * @param {Object} options.auth - Headers, cookies and basic auth for the site (default: the stored ones)
    */
-  async verifyDev(url, continent = 'NA') {
-    return this.request('POST', '/extension/verify', { url, continent, mode: 'dev' });
+  async verifyDev(url, continent = 'NA', options = {}) {
+    const { auth, ...requestOptions } = options;
+    const body = { url, continent, mode: 'dev', ...await this._authPayload(url, auth) };
+    return this._submit(body, requestOptions, 1);
   }
 
   /**
    * Batch verify multiple URLs
+   * Sites with stored credentials get them through per-URL requestOptions.
+   */
+  async batchVerify(urls, options = {}) {
+    const body = { urls, mode: 'batch' };
+    const requestOptions = [];
+    for (const url of urls) {
+      const payload = await this._authPayload(url);
+      if (Object.keys(payload).length) requestOptions.push({ url, ...payload });
+    }
+    if (requestOptions.length) {
+      body.requestOptions = requestOptions;
+    }
+    return this._submit(body, options, urls.length);
+  }
+
+  /**
+   * Submit a verification and report the scans it spent
+   * @param {number} scans - Scans the submission costs (one per URL)
    */
-  async batchVerify(urls) {
-    return this.request('POST', '/extension/verify', { urls, mode: 'batch' });
+  async _submit(body, options, scans) {
+    const result = await this.request('POST', '/extension/verify', this._withTeam(body), this._idempotent(options));
+    if (result?.success) {
+      this._onDidSubmit.fire({ scans, scansRemaining: result.scansRemaining ?? result.data?.scansRemaining });
+    }
+    return result;
+  }
+
+  /**
+   * Get the verify payload fields for a site's credentials
+   * @param {Object} auth - Credentials given for this verification; falls back to the stored ones
+   */
+  async _authPayload(url, auth) {
+    const credentials = auth && !RequestAuth.isEmpty(auth) ? auth : await this.requestAuth?.get(url);
+    return RequestAuth.toPayload(credentials);
+  }
+
+  /**
+   * Attach an idempotency key so a resubmitted verification isn't charged twice
+   */
+  _idempotent(options) {
+    return { ...options, idempotencyKey: options.idempotencyKey || crypto.randomUUID() };
+  }
+
+  /**
+   * Cancel a running verification job
+   */
+  async cancelJob(jobId, options = {}) {
+    return this.request('POST', `/extension/job/${jobId}/cancel`, {}, options);
   }
 
   // ============================================
@@ -215,37 +406,44 @@ class ApiClient {
   /**
    * Get user status
    */
-  async getAccountStatus() {
-    return this.request('GET', '/extension/status');
+  async getAccountStatus(options = {}) {
+    return this.request('GET', '/extension/status', null, options);
   }
 
   /**
    * Get job progress (real-time status)
    */
-  async getJobProgress(jobId) {
-    return this.request('GET', `/extension/job/${jobId}`);
+  async getJobProgress(jobId, options = {}) {
+    return this.request('GET', `/extension/job/${jobId}`, null, options);
   }
 
   /**
    * Get detailed job results
    */
-  async getJobDetails(jobId) {
-    return this.request('GET', `/extension/job/${jobId}/details`);
+  async getJobDetails(jobId, options = {}) {
+    return this.request('GET', `/extension/job/${jobId}/details`, null, options);
   }
 
   /**
    * Get job status - returns full job data including results when completed
    * The /extension/job/:jobId endpoint now returns rich data with summary, bestResult, etc.
    */
-  async getJobStatus(jobId) {
-    return this.getJobProgress(jobId);
+  async getJobStatus(jobId, options = {}) {
+    return this.getJobProgress(jobId, options);
+  }
+
+  /**
+   * List the teams the user belongs to
+   */
+  async listTeams(options = {}) {
+    return this.request('GET', '/extension/teams', null, options);
   }
 
   /**
    * List recent scans
    */
-  async listScans(limit = 10, offset = 0) {
-    return this.request('GET', `/extension/scans?limit=${limit}&offset=${offset}`);
+  async listScans(limit = 10, offset = 0, options = {}) {
+    return this.request('GET', `/extension/scans?limit=${limit}&offset=${offset}`, null, options);
   }
 
   /**
@@ -253,19 +451,21 @@ class ApiClient {
    * @param {Object} options - Filter options
    * @param {number} options.page - Page number (default: 1)
    * @param {number} options.limit - Results per page (default: 10, max: 50)
-   * @param {string} options.team_id - Filter by team ID
+   * @param {string|null} options.team_id - Filter by team ID (defaults to the selected team; null for all teams)
    * @param {string} options.status - Filter by status (pending, processing, completed, failed)
    * @param {string} options.continent - Filter by continent (NA, EU, AS, AF, OC, SA)
    * @param {string} options.url - Filter by URL (partial match)
    * @param {string} options.from - Filter from date (YYYY-MM-DD)
    * @param {string} options.to - Filter to date (YYYY-MM-DD)
+   * @param {Object} requestOptions - Request options (e.g. cancellation token)
    */
-  async getHistory(options = {}) {
+  async getHistory(options = {}, requestOptions = {}) {
     const params = new URLSearchParams();
 
     if (options.page) params.append('page', options.page);
     if (options.limit) params.append('limit', options.limit);
-    if (options.team_id) params.append('team_id', options.team_id);
+    const teamId = options.team_id !== undefined ? options.team_id : this.getTeam()?.id;
+    if (teamId) params.append('team_id', teamId);
     if (options.status) params.append('status', options.status);
     if (options.continent) params.append('continent', options.continent);
     if (options.url) params.append('url', options.url);
@@ -275,7 +475,7 @@ class ApiClient {
     const queryString = params.toString();
     const endpoint = queryString ? `/extension/history?${queryString}` : '/extension/history';
 
-    return this.request('GET', endpoint);
+    return this.request('GET', endpoint, null, requestOptions);
   }
 }
 
@@ -0,0 +1,167 @@
+/**
+ * Typed API errors for UpRock Verify Extension
+ *
+ * Every error carries a machine-readable `code` so the UI (and MCP clients)
+ * can offer the right remediation instead of a flat message.
+ */
+
+const ERROR_CODES = {
+  AUTH_MISSING: 'AUTH_MISSING',
+  AUTH_INVALID: 'AUTH_INVALID',
+  QUOTA_EXHAUSTED: 'QUOTA_EXHAUSTED',
+  RATE_LIMITED: 'RATE_LIMITED',
+  TIMEOUT: 'TIMEOUT',
+  NETWORK: 'NETWORK',
+  SERVER_ERROR: 'SERVER_ERROR',
+  VALIDATION: 'VALIDATION',
+  TLS: 'TLS'
+};
+
+// Certificate errors that usually mean a proxy or antivirus is intercepting HTTPS
+const TLS_ERROR_CODES = [
+  'SELF_SIGNED_CERT_IN_CHAIN',
+  'DEPTH_ZERO_SELF_SIGNED_CERT',
+  'UNABLE_TO_GET_ISSUER_CERT',
+  'UNABLE_TO_GET_ISSUER_CERT_LOCALLY',
+  'UNABLE_TO_VERIFY_LEAF_SIGNATURE',
+  'CERT_UNTRUSTED',
+  'CERT_HAS_EXPIRED',
+  'ERR_TLS_CERT_ALTNAME_INVALID'
+];
+
+class ApiError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} options
+   * @param {string} options.code - One of ERROR_CODES
+   * @param {number} options.status - HTTP status, if the server responded
+   */
+  constructor(message, { code, status } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.status = status;
+  }
+}
+
+class AuthError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, { code: ERROR_CODES.AUTH_INVALID, ...options });
+  }
+}
+
+class QuotaError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, { code: ERROR_CODES.QUOTA_EXHAUSTED, ...options });
+  }
+}
+
+class RateLimitError extends ApiError {
+  /**
+   * @param {string} message
+   * @param {Object} options
+   * @param {number|null} options.retryAfter - Suggested wait in ms, if known
+   */
+  constructor(message, { retryAfter = null, ...options } = {}) {
+    super(message, { code: ERROR_CODES.RATE_LIMITED, ...options });
+    this.retryAfter = retryAfter;
+  }
+}
+
+class TimeoutError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, { code: ERROR_CODES.TIMEOUT, ...options });
+  }
+}
+
+class NetworkError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, { code: ERROR_CODES.NETWORK, ...options });
+  }
+}
+
+class ServerError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, { code: ERROR_CODES.SERVER_ERROR, ...options });
+  }
+}
+
+class ValidationError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, { code: ERROR_CODES.VALIDATION, ...options });
+  }
+}
+
+class TlsError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, { code: ERROR_CODES.TLS, ...options });
+  }
+}
+
+/**
+ * Check whether a server error message is about the scan quota rather than request rate
+ */
+function isQuotaMessage(message) {
+  return /quota|scan limit|no scans|scans remaining|upgrade/i.test(message || '');
+}
+
+/**
+ * Convert an axios error into a typed ApiError
+ * @param {Error} error - Error thrown by axios
+ * @param {number|null} retryAfter - Parsed Retry-After in ms, if any
+ */
+function fromAxiosError(error, retryAfter = null) {
+  if (error.response) {
+    const status = error.response.status;
+    const respData = error.response.data;
+    let errorMsg = error.response.statusText;
+    if (respData && typeof respData === 'object' && respData.error) {
+      errorMsg = respData.error;
+    }
+    const message = `API Error (${status}): ${errorMsg}`;
+
+    if (status === 401) {
+      return new AuthError(message, { status });
+    }
+    if (status === 402 || ((status === 403 || status === 429) && isQuotaMessage(errorMsg))) {
+      return new QuotaError(message, { status });
+    }
+    if (status === 403) {
+      return new AuthError(message, { status });
+    }
+    if (status === 429) {
+      return new RateLimitError(message, { status, retryAfter });
+    }
+    if (status === 400 || status === 404 || status === 422) {
+      return new ValidationError(message, { status });
+    }
+    return new ServerError(message, { status });
+  }
+
+  if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+    return new TimeoutError('Request timed out. The verification is taking longer than expected.');
+  }
+
+  if (TLS_ERROR_CODES.includes(error.code)) {
+    return new TlsError(
+      `TLS certificate verification failed (${error.code}). If a proxy or security software ` +
+      'intercepts HTTPS on your network, add its root certificate to "uprockVerify.caCertificates".'
+    );
+  }
+
+  return new NetworkError(`Network Error: ${error.message}`);
+}
+
+module.exports = {
+  ERROR_CODES,
+  ApiError,
+  AuthError,
+  QuotaError,
+  RateLimitError,
+  TimeoutError,
+  NetworkError,
+  ServerError,
+  ValidationError,
+  TlsError,
+  fromAxiosError
+};
@@ -0,0 +1,151 @@
+/**
+ * Proxy and TLS settings for UpRock Verify API requests
+ *
+ * Mirrors how VS Code itself connects: `http.proxy`, `http.noProxy` and
+ * `http.proxyStrictSSL`, falling back to the standard proxy environment
+ * variables. Extra root certificates come from `uprockVerify.caCertificates`
+ * and NODE_EXTRA_CA_CERTS. Cancellation tokens are bridged to the AbortSignals
+ * that axios and sockets understand.
+ */
+
+const vscode = require('vscode');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const tls = require('tls');
+const { HttpsProxyAgent } = require('https-proxy-agent');
+
+/**
+ * Proxy agent that also applies our CA/strictSSL options to the tunnelled TLS connection
+ * (HttpsProxyAgent only uses its constructor options for the connection to the proxy)
+ */
+class TlsProxyAgent extends HttpsProxyAgent {
+  constructor(proxy, options) {
+    super(proxy, options);
+    this.tlsOptions = { ca: options.ca, rejectUnauthorized: options.rejectUnauthorized };
+  }
+
+  connect(req, opts) {
+    return super.connect(req, { ...opts, ...this.tlsOptions });
+  }
+}
+
+/**
+ * Read the effective network settings
+ * @returns {{proxy: string|null, noProxy: string[], strictSSL: boolean, caFiles: string[]}}
+ */
+function getNetworkSettings() {
+  const httpConfig = vscode.workspace.getConfiguration('http');
+  const config = vscode.workspace.getConfiguration('uprockVerify');
+  const env = process.env;
+
+  const proxy = httpConfig.get('proxy') ||
+    env.HTTPS_PROXY || env.https_proxy || env.HTTP_PROXY || env.http_proxy || null;
+
+  const noProxy = [
+    ...(httpConfig.get('noProxy') || []),
+    ...(env.NO_PROXY || env.no_proxy || '').split(',')
+  ].map(entry => entry.trim()).filter(Boolean);
+
+  const caFiles = (config.get('caCertificates') || [])
+    .map(file => file.replace(/^~(?=$|[\\/])/, os.homedir()));
+  if (env.NODE_EXTRA_CA_CERTS) {
+    caFiles.push(env.NODE_EXTRA_CA_CERTS);
+  }
+
+  return {
+    proxy,
+    noProxy,
+    strictSSL: httpConfig.get('proxyStrictSSL') !== false,
+    caFiles
+  };
+}
+
+/**
+ * Check whether a URL's host matches a NO_PROXY list
+ * Entries may be `*`, a host, a `.domain` / `*.domain` suffix, optionally with `:port`.
+ */
+function isProxyBypassed(targetUrl, noProxy) {
+  const { hostname, port, protocol } = new URL(targetUrl);
+  const targetPort = port || (protocol === 'https:' ? '443' : '80');
+  const host = hostname.toLowerCase();
+
+  return noProxy.some((entry) => {
+    if (entry === '*') return true;
+    const [entryHost, entryPort] = entry.toLowerCase().split(':');
+    if (entryPort && entryPort !== targetPort) return false;
+    const domain = entryHost.replace(/^\*?\./, '');
+    return host === domain || host.endsWith(`.${domain}`);
+  });
+}
+
+/**
+ * Load extra CA certificates on top of Node's bundled roots
+ * @returns {string[]|undefined} Certificates for the `ca` option, or undefined to use the defaults
+ */
+function loadCertificates(caFiles) {
+  if (!caFiles.length) return undefined;
+
+  const extra = caFiles.map((file) => {
+    try {
+      return fs.readFileSync(path.resolve(file), 'utf8');
+    } catch (error) {
+      throw new Error(`Unable to read CA certificate file "${file}": ${error.message}`);
+    }
+  });
+  return [...tls.rootCertificates, ...extra];
+}
+
+/**
+ * Build the axios options (agents) for requests to the given base URL
+ * Axios' own proxy handling is disabled; the agents decide how to connect.
+ * @param {string} baseUrl - API base URL
+ * @returns {Object} `httpAgent`, `httpsAgent` and `proxy: false`
+ */
+function createNetworkOptions(baseUrl) {
+  const settings = getNetworkSettings();
+  const agentOptions = {
+    ca: loadCertificates(settings.caFiles),
+    rejectUnauthorized: settings.strictSSL,
+    keepAlive: true
+  };
+
+  if (settings.proxy && !isProxyBypassed(baseUrl, settings.noProxy)) {
+    const agent = new TlsProxyAgent(settings.proxy, agentOptions);
+    return { httpAgent: agent, httpsAgent: agent, proxy: false };
+  }
+
+  return {
+    httpAgent: new http.Agent({ keepAlive: true }),
+    httpsAgent: new https.Agent(agentOptions),
+    proxy: false
+  };
+}
+
+/**
+ * Create an AbortSignal that fires when the cancellation token is cancelled
+ * @param {vscode.CancellationToken} token - Optional; without one the signal never fires
+ * @returns {{signal: AbortSignal, dispose: Function}} Call dispose once the work is done
+ */
+function createAbortSignal(token) {
+  const controller = new AbortController();
+  if (!token) {
+    return { signal: controller.signal, dispose: () => {} };
+  }
+
+  if (token.isCancellationRequested) {
+    controller.abort();
+  }
+  const subscription = token.onCancellationRequested(() => controller.abort());
+  return { signal: controller.signal, dispose: () => subscription.dispose() };
+}
+
+module.exports = {
+  getNetworkSettings,
+  isProxyBypassed,
+  loadCertificates,
+  createNetworkOptions,
+  createAbortSignal
+};
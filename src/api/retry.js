@@ -0,0 +1,92 @@
+/**
+ * Retry helpers for UpRock Verify API requests
+ */
+
+// Transient HTTP statuses worth retrying
+const RETRYABLE_STATUS_CODES = [429, 502, 503, 504];
+
+// Transient network errors worth retrying (the API sits behind a tunnel that blips)
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN'];
+
+// Upper bound for computed backoff delays
+const MAX_RETRY_DELAY = 30000;
+
+// Don't sit on a Retry-After longer than this; surface the error instead
+const MAX_RETRY_AFTER = 60000;
+
+/**
+ * Check whether an axios error is transient
+ */
+function isRetryableError(error) {
+  if (error.response) {
+    return RETRYABLE_STATUS_CODES.includes(error.response.status);
+  }
+  return RETRYABLE_ERROR_CODES.includes(error.code);
+}
+
+/**
+ * Parse a Retry-After header (delay in seconds or an HTTP date) into milliseconds
+ * @returns {number|null} Delay in ms, or null if the header is missing or invalid
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  if (!Number.isNaN(date)) {
+    return Math.max(0, date - Date.now());
+  }
+
+  return null;
+}
+
+/**
+ * Compute the delay before the next attempt
+ * Uses the server's Retry-After when present, otherwise exponential backoff with full jitter.
+ * @param {number} attempt - Zero-based attempt that just failed
+ * @param {number} baseDelay - Base delay in ms
+ * @param {number|null} retryAfter - Parsed Retry-After in ms
+ * @returns {number|null} Delay in ms, or null if the request should not be retried
+ */
+function getRetryDelay(attempt, baseDelay, retryAfter = null) {
+  if (retryAfter !== null) {
+    return retryAfter <= MAX_RETRY_AFTER ? retryAfter : null;
+  }
+
+  const ceiling = Math.min(baseDelay * Math.pow(2, attempt), MAX_RETRY_DELAY);
+  return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * Wait for the given delay, rejecting early if the signal aborts
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new Error('Request aborted'));
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new Error('Request aborted'));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+module.exports = {
+  isRetryableError,
+  parseRetryAfter,
+  getRetryDelay,
+  sleep
+};
@@ -3,21 +3,58 @@
  */
 
 const vscode = require('vscode');
+const crypto = require('crypto');
+const { offerBatchCancel } = require('./jobProgress');
+const { showError } = require('./showError');
+const { pickTargets } = require('./targets');
+const { BATCH_SIZE, runBatch, mergeBatchResults } = require('../services/batchRunner');
+const { extractUrls } = require('../services/urlExtractor');
+const { parseManifest } = require('../services/batchManifest');
 
 /**
  * Register batch commands
  */
-function registerBatchCommands(context, apiClient, resultsPanel) {
-  // Batch verify multiple URLs
-  const batchCommand = vscode.commands.registerCommand('uprock.batch', async () => {
+function registerBatchCommands(context, apiClient, resultsPanel, jobTracker, workspaceConfig, quotaMonitor, budgetDiagnostics) {
+  // Batch verify multiple URLs (from the explorer, a manifest file is passed in)
+  const batchCommand = vscode.commands.registerCommand('uprock.batch', async (uri) => {
+    if (uri?.scheme) {
+      await runManifestBatch(apiClient, resultsPanel, jobTracker, quotaMonitor, budgetDiagnostics, uri);
+      return;
+    }
+
+    // Start from the workspace's targets, if it has any
+    const choice = await pickTargets(workspaceConfig, { manifest: true });
+    if (!choice) return;
+
+    if (choice.manifest) {
+      const [file] = await vscode.window.showOpenDialog({
+        canSelectMany: false,
+        defaultUri: vscode.workspace.workspaceFolders?.[0]?.uri,
+        filters: { 'Manifests': ['csv', 'tsv', 'json'] },
+        openLabel: 'Verify URLs'
+      }) || [];
+      if (file) {
+        await runManifestBatch(apiClient, resultsPanel, jobTracker, quotaMonitor, budgetDiagnostics, file);
+      }
+      return;
+    }
+
+    const targetUrls = [...new Set(choice.targets.map(target => target.url))];
+    if (!choice.manual) {
+      if (targetUrls.length === 0) return;
+      await runBatchVerification(apiClient, resultsPanel, jobTracker, quotaMonitor, budgetDiagnostics, targetUrls);
+      return;
+    }
+
     // Get URLs from user
     const urlsInput = await vscode.window.showInputBox({
-      prompt: 'Enter URLs to verify (comma-separated, max 10)',
+      prompt: targetUrls.length
+        ? `Enter more URLs to verify with the ${targetUrls.length} selected target(s) (comma-separated)`
+        : 'Enter URLs to verify (comma-separated)',
       placeHolder: 'https://example1.com, https://example2.com',
       validateInput: (value) => {
         if (!value) return 'At least one URL is required';
         const urls = value.split(',').map(u => u.trim()).filter(Boolean);
-        if (urls.length > 10) return 'Maximum 10 URLs allowed';
         for (const url of urls) {
           try {
             new URL(url.startsWith('http') ? url : `https://${url}`);
@@ -36,104 +73,199 @@ function registerBatchCommands(context, apiClient, resultsPanel) {
       return trimmed.startsWith('http') ? trimmed : `https://${trimmed}`;
     }).filter(Boolean);
 
-    await runBatchVerification(apiClient, resultsPanel, urls);
+    await runBatchVerification(apiClient, resultsPanel, jobTracker, quotaMonitor, budgetDiagnostics, [...new Set([...targetUrls, ...urls])]);
   });
 
-  // Batch verify URLs from file
+  // Batch verify the URLs in the current file, or in its selection
   const batchFromFileCommand = vscode.commands.registerCommand('uprock.batchFromFile', async () => {
     const editor = vscode.window.activeTextEditor;
     if (!editor) {
-      vscode.window.showErrorMessage('No active editor. Open a file with URLs (one per line).');
+      vscode.window.showErrorMessage('No active editor. Open a file with URLs (a list, Markdown, HTML, JSON or CSV).');
       return;
     }
 
-    const text = editor.document.getText();
-    const lines = text.split('\n').map(l => l.trim()).filter(Boolean);
-
-    // Extract URLs from lines
-    const urls = [];
-    for (const line of lines) {
-      // Try to match URL in line
-      const urlMatch = line.match(/https?:\/\/[^\s"'<>]+/);
-      if (urlMatch) {
-        urls.push(urlMatch[0]);
-      } else if (line.match(/^[a-zA-Z0-9][a-zA-Z0-9-]*\.[a-zA-Z]{2,}/)) {
-        // Looks like a domain
-        urls.push(`https://${line}`);
-      }
-    }
+    const { document } = editor;
+    const languageId = getUrlLanguage(document);
+    const selections = editor.selections.filter(selection => !selection.isEmpty);
+    const ranges = selections.length ? selections : [undefined];
+
+    // Selections are read separately so each keeps its own offsets
+    const found = ranges.flatMap((range) => {
+      const start = range ? document.offsetAt(range.start) : 0;
+      return extractUrls(document.getText(range), languageId)
+        .map(({ url, offset }) => ({ url, line: document.positionAt(start + offset).line }));
+    });
+    const urls = found.filter((item, i) => found.findIndex(other => other.url === item.url) === i);
 
     if (urls.length === 0) {
-      vscode.window.showErrorMessage('No valid URLs found in the current file.');
+      vscode.window.showErrorMessage(`No valid URLs found in the ${selections.length ? 'selection' : 'current file'}.`);
       return;
     }
 
-    if (urls.length > 10) {
-      const proceed = await vscode.window.showWarningMessage(
-        `Found ${urls.length} URLs. Only the first 10 will be verified.`,
-        'Continue',
-        'Cancel'
-      );
-      if (proceed !== 'Continue') return;
-    }
-
-    const urlsToVerify = urls.slice(0, 10);
-
-    // Show URLs and confirm
-    const confirm = await vscode.window.showQuickPick(
-      [
-        { label: '$(check) Verify These URLs', value: 'verify' },
-        { label: '$(close) Cancel', value: 'cancel' }
-      ],
+    const picked = await vscode.window.showQuickPick(
+      urls.map(({ url, line }) => ({ label: url, description: `Line ${line + 1}`, picked: true })),
       {
-        placeHolder: `Found ${urlsToVerify.length} URLs: ${urlsToVerify.slice(0, 3).join(', ')}${urlsToVerify.length > 3 ? '...' : ''}`
+        placeHolder: `Found ${urls.length} URLs in the ${selections.length ? 'selection' : 'file'}. Deselect any to skip`,
+        canPickMany: true,
+        matchOnDescription: true
       }
     );
+    if (!picked?.length) return;
+
+    await runBatchVerification(apiClient, resultsPanel, jobTracker, quotaMonitor, budgetDiagnostics, picked.map(item => item.label));
+  });
 
-    if (!confirm || confirm.value === 'cancel') return;
+  // Verify the URLs of the last batch shown that didn't complete, and merge them back into it
+  const retryFailedBatchCommand = vscode.commands.registerCommand('uprock.retryFailedBatch', async () => {
+    const original = resultsPanel.batchResult;
+    const failed = (original?.results || []).filter(r => r.status !== 'completed');
+    if (failed.length === 0) {
+      vscode.window.showInformationMessage(original ? 'Every URL of the last batch completed.' : 'No batch results to retry.');
+      return;
+    }
 
-    await runBatchVerification(apiClient, resultsPanel, urlsToVerify);
+    // Retried with the options their manifest row gave them
+    const entries = failed.map(({ url, label, owner, regions, assertions }) => ({ url, label, owner, regions, assertions }));
+    await runBatchVerification(apiClient, resultsPanel, jobTracker, quotaMonitor, budgetDiagnostics, entries, { retryOf: original });
   });
 
-  context.subscriptions.push(batchCommand, batchFromFileCommand);
+  context.subscriptions.push(batchCommand, batchFromFileCommand, retryFailedBatchCommand);
 }
 
 /**
- * Run batch verification with progress
+ * Batch verify the rows of a CSV or JSON manifest, each with its own label, owner, regions and expected status
+ * Invalid rows are listed and can be skipped.
  */
-async function runBatchVerification(apiClient, resultsPanel, urls) {
-  const config = vscode.workspace.getConfiguration('uprockVerify');
-  const showNotifications = config.get('showNotifications') !== false;
+async function runManifestBatch(apiClient, resultsPanel, jobTracker, quotaMonitor, budgetDiagnostics, uri) {
+  const extension = uri.path.split('.').pop().toLowerCase();
+  const format = ['json', 'tsv'].includes(extension) ? extension : 'csv';
+
+  let manifest;
+  try {
+    const text = Buffer.from(await vscode.workspace.fs.readFile(uri)).toString('utf8');
+    manifest = parseManifest(text, format);
+  } catch (error) {
+    showError('Failed to read manifest', error);
+    return;
+  }
+
+  const { entries, errors } = manifest;
+  const name = uri.path.split('/').pop();
+  if (errors.length) {
+    const listed = errors.slice(0, 5).map(e => `Row ${e.row}: ${e.message}`).join('\n');
+    const more = errors.length > 5 ? `\n...and ${errors.length - 5} more` : '';
+    const action = entries.length
+      ? await vscode.window.showWarningMessage(
+        `${errors.length} row(s) of ${name} can't be verified`,
+        { modal: true, detail: `${listed}${more}` },
+        `Verify the Other ${entries.length}`,
+        'Open Manifest'
+      )
+      : await vscode.window.showErrorMessage(
+        `No row of ${name} can be verified`,
+        { modal: true, detail: `${listed}${more}` },
+        'Open Manifest'
+      );
+    if (action === 'Open Manifest') {
+      vscode.window.showTextDocument(uri);
+    }
+    if (!action?.startsWith('Verify')) return;
+  }
+  if (entries.length === 0) {
+    vscode.window.showErrorMessage(`${name} lists no URLs.`);
+    return;
+  }
+
+  await runBatchVerification(apiClient, resultsPanel, jobTracker, quotaMonitor, budgetDiagnostics, entries);
+}
+
+/**
+ * The language to read a document's URLs as; CSV files often open as plain text
+ */
+function getUrlLanguage(document) {
+  if (document.languageId === 'plaintext') {
+    const extension = document.fileName.split('.').pop().toLowerCase();
+    if (extension === 'csv' || extension === 'tsv') return extension;
+  }
+  return document.languageId;
+}
+
+/**
+ * Run batch verification with progress, after previewing its cost in scans
+ * Lists longer than BATCH_SIZE are verified in chunks and shown as one result.
+ * @param {Array<string|Object>} urls - URLs, or manifest entries with their own options
+ * @param {Object} options
+ * @param {Object} options.retryOf - Batch result whose non-completed URLs these are; the outcomes are merged into it
+ */
+async function runBatchVerification(apiClient, resultsPanel, jobTracker, quotaMonitor, budgetDiagnostics, urls, options = {}) {
+  if (!await quotaMonitor.confirmCost(urls.length, `${urls.length} ${options.retryOf ? 'failed ' : ''}URLs`)) return;
+  const merge = (result) => options.retryOf ? mergeBatchResults(options.retryOf, result) : result;
+
+  const group = crypto.randomUUID();
+  // Entries with their own regions are submitted as jobs of their own
+  const regional = urls.filter(entry => entry.regions).length;
+  const chunks = Math.ceil((urls.length - regional) / BATCH_SIZE) + regional;
 
   await vscode.window.withProgress({
     location: vscode.ProgressLocation.Notification,
-    title: 'Batch Verification',
-    cancellable: false
-  }, async (progress) => {
+    title: options.retryOf ? 'Retrying Failed URLs' : 'Batch Verification',
+    cancellable: true
+  }, async (progress, token) => {
     try {
-      progress.report({ message: `Verifying ${urls.length} URLs...` });
-
-      const result = await apiClient.batchVerify(urls);
+      progress.report({ message: `Verifying ${urls.length} URLs${chunks > 1 ? ` in ${chunks} batches` : ''}...` });
 
-      if (!result.success) {
-        throw new Error(result.error || 'Batch verification failed');
-      }
-
-      // Show results panel
-      resultsPanel.showBatch(result);
+      const run = runBatch(apiClient, jobTracker, urls, {
+        group,
+        token,
+        onProgress: ({ done, total, submitted, chunks: jobs }) => progress.report({
+          message: `${done}/${total} URLs done${jobs > 1 ? ` (${submitted}/${jobs} batches submitted)` : ''}`
+        })
+      });
+      const stopped = new Promise(resolve => token.onCancellationRequested(() => resolve(null)));
+      const result = await Promise.race([run, stopped]);
 
-      // Show notification summary
-      if (showNotifications) {
-        const { completed, failed, total } = result.summary;
-        vscode.window.showInformationMessage(
-          `Batch verification complete: ${completed}/${total} successful, ${failed} failed`
+      if (!result) {
+        // No more chunks are submitted; the ones running are reported together when they finish
+        const running = jobTracker.getActiveJobs().filter(job => job.group?.id === group);
+        offerBatchCancel(apiClient, jobTracker, running, `${urls.length} URLs`);
+        run.then(
+          (finished) => {
+            const merged = merge(finished);
+            budgetDiagnostics.checkBatch(merged.results);
+            notifyBatchFinished(resultsPanel, merged);
+          },
+          error => showError('Batch verification failed', error)
         );
+        return;
       }
 
+      const merged = merge(result);
+      resultsPanel.showBatch(merged);
+      budgetDiagnostics.checkBatch(merged.results);
+      notifyBatchFinished(resultsPanel, merged);
+
     } catch (error) {
-      vscode.window.showErrorMessage(`Batch verification failed: ${error.message}`);
+      if (error instanceof vscode.CancellationError) return;
+      showError('Batch verification failed', error, {
+        retry: () => runBatchVerification(apiClient, resultsPanel, jobTracker, quotaMonitor, budgetDiagnostics, urls, options)
+      });
     }
   });
 }
 
-module.exports = { registerBatchCommands };
+/**
+ * Summarize a finished batch in a notification
+ */
+async function notifyBatchFinished(resultsPanel, result) {
+  const config = vscode.workspace.getConfiguration('uprockVerify');
+  if (config.get('showNotifications') === false) return;
+
+  const { completed, failed, cancelled, total } = result.summary;
+  const message = `Batch verification complete: ${completed}/${total} successful, ${failed} failed${cancelled ? `, ${cancelled} cancelled` : ''}`;
+  const action = await vscode.window.showInformationMessage(message, 'View Results');
+  if (action === 'View Results') {
+    resultsPanel.showBatch(result);
+  }
+}
+
+module.exports = { registerBatchCommands, runBatchVerification };
@@ -0,0 +1,93 @@
+/**
+ * Deployment Commands for UpRock Verify Extension
+ *
+ * "Verify My Deployment": offers the URLs the workspace deploys to, found in
+ * its config files and in .uprockverify.json, so nobody has to know which
+ * URL to check.
+ */
+
+const vscode = require('vscode');
+const { CONTINENT_CODES } = require('../constants');
+const { discoverDeployments } = require('../services/deploymentDiscovery');
+const { runVerification, pickContinents } = require('./verify');
+const { runBatchVerification } = require('./batch');
+
+/**
+ * Register deployment commands
+ */
+function registerDeploymentCommands(context, apiClient, resultsPanel, jobTracker, workspaceConfig, quotaMonitor, budgetDiagnostics, regionPreferences) {
+  const services = { apiClient, resultsPanel, jobTracker, budgetDiagnostics, regionPreferences };
+
+  const verifyDeploymentCommand = vscode.commands.registerCommand('uprock.verifyDeployment', async () => {
+    if (!vscode.workspace.workspaceFolders?.length) {
+      vscode.window.showErrorMessage('Open a folder to find its deployment URLs.');
+      return;
+    }
+
+    const discovered = await vscode.window.withProgress({
+      location: vscode.ProgressLocation.Window,
+      title: 'Looking for deployment URLs...'
+    }, () => discoverDeployments());
+
+    // Targets are listed first: they were named on purpose and carry regions and assertions
+    const targets = workspaceConfig.getTargets();
+    const items = [
+      ...targets.map(target => ({
+        label: `$(target) ${target.url}`,
+        description: target.label,
+        detail: '.uprockverify.json',
+        url: target.url,
+        target
+      })),
+      ...discovered
+        .filter(deployment => !workspaceConfig.findTargetByUrl(deployment.url))
+        .map(deployment => ({
+          label: `$(globe) ${deployment.url}`,
+          description: deployment.sources.map(source => source.label).join(', '),
+          detail: [...new Set(deployment.sources.map(source => vscode.workspace.asRelativePath(source.uri)))].join(', '),
+          url: deployment.url
+        }))
+    ];
+
+    if (items.length === 0) {
+      const action = await vscode.window.showInformationMessage(
+        'No deployment URLs found in package.json, vercel.json, netlify.toml, fly.toml, app.yaml, CNAME, .env or Docker files. Name them in .uprockverify.json instead?',
+        'Open Workspace Config'
+      );
+      if (action === 'Open Workspace Config') {
+        vscode.commands.executeCommand('uprock.openWorkspaceConfig');
+      }
+      return;
+    }
+
+    const selected = await vscode.window.showQuickPick(items, {
+      placeHolder: `Found ${items.length} deployment URL${items.length === 1 ? '' : 's'}. Select the ones to verify`,
+      canPickMany: true,
+      matchOnDescription: true,
+      matchOnDetail: true
+    });
+    if (!selected?.length) return;
+
+    if (selected.length > 1) {
+      // Targets keep their label, regions and assertions, like manifest rows
+      const entries = selected.map(({ url, target }) => target ? {
+        url,
+        label: target.label,
+        regions: target.regions?.length < CONTINENT_CODES.length ? target.regions : null,
+        assertions: target.assertions || null
+      } : url);
+      await runBatchVerification(apiClient, resultsPanel, jobTracker, quotaMonitor, budgetDiagnostics, entries);
+      return;
+    }
+
+    const [{ url, target }] = selected;
+    const continents = target?.regions || await pickContinents();
+    if (!continents) return;
+
+    await runVerification(services, url, { continents, assertions: target?.assertions });
+  });
+
+  context.subscriptions.push(verifyDeploymentCommand);
+}
+
+module.exports = { registerDeploymentCommands };
@@ -0,0 +1,104 @@
+/**
+ * Export Commands for UpRock Verify Extension
+ *
+ * Saves the result shown in the results panel as JSON, CSV, Markdown or a
+ * standalone HTML report, or copies it to the clipboard as Markdown.
+ */
+
+const vscode = require('vscode');
+const { showError } = require('./showError');
+const { toJson, toCsv, toMarkdown, embedImages, getExportFileName } = require('../services/resultExport');
+
+const FORMAT_ITEMS = [
+  { label: '$(json) JSON', description: 'Raw result data', format: 'json' },
+  { label: '$(table) CSV', description: 'One row per URL and region (per URL for global batch checks)', format: 'csv' },
+  { label: '$(markdown) Markdown', description: 'Summary and table, for PR descriptions', format: 'markdown' },
+  { label: '$(clippy) Copy as Markdown', description: 'For pasting into a PR or chat', format: 'clipboard' },
+  { label: '$(file-media) HTML Report', description: 'Standalone page with embedded screenshots', format: 'html' }
+];
+
+const SAVE_FILTERS = {
+  json: { 'JSON': ['json'] },
+  csv: { 'CSV': ['csv'] },
+  markdown: { 'Markdown': ['md'] },
+  html: { 'HTML': ['html'] }
+};
+
+/**
+ * Register export commands
+ */
+function registerExportCommands(context, resultsPanel) {
+  // From the results panel, the format is passed in
+  const exportCommand = vscode.commands.registerCommand('uprock.exportResults', async (format) => {
+    const view = resultsPanel.current;
+    if (!view) {
+      vscode.window.showErrorMessage('No results to export. Run a verification or open a scan first.');
+      return;
+    }
+
+    if (!FORMAT_ITEMS.some(item => item.format === format)) {
+      const choice = await vscode.window.showQuickPick(FORMAT_ITEMS, { placeHolder: 'Export the results shown as...' });
+      if (!choice) return;
+      format = choice.format;
+    }
+
+    if (format === 'clipboard') {
+      await vscode.env.clipboard.writeText(toMarkdown(view));
+      vscode.window.showInformationMessage('Results copied to the clipboard as Markdown.');
+      return;
+    }
+
+    const folder = vscode.workspace.workspaceFolders?.[0]?.uri;
+    const fileName = getExportFileName(view, format);
+    const uri = await vscode.window.showSaveDialog({
+      defaultUri: folder ? vscode.Uri.joinPath(folder, fileName) : undefined,
+      filters: SAVE_FILTERS[format],
+      saveLabel: 'Export'
+    });
+    if (!uri) return;
+
+    try {
+      const content = await vscode.window.withProgress({
+        location: vscode.ProgressLocation.Window,
+        title: 'Exporting results...'
+      }, () => render(resultsPanel, view, format));
+      await vscode.workspace.fs.writeFile(uri, Buffer.from(content, 'utf8'));
+    } catch (error) {
+      showError('Failed to export results', error);
+      return;
+    }
+
+    const action = await vscode.window.showInformationMessage(
+      `Exported results to ${vscode.workspace.asRelativePath(uri)}`,
+      'Open',
+      'Reveal in File Explorer'
+    );
+    if (action === 'Open') {
+      // Reports open in the browser; data files in the editor
+      if (format === 'html') {
+        vscode.env.openExternal(uri);
+      } else {
+        vscode.window.showTextDocument(uri);
+      }
+    } else if (action === 'Reveal in File Explorer') {
+      vscode.commands.executeCommand('revealFileInOS', uri);
+    }
+  });
+
+  context.subscriptions.push(exportCommand);
+}
+
+async function render(resultsPanel, view, format) {
+  switch (format) {
+    case 'json':
+      return toJson(view);
+    case 'csv':
+      return toCsv(view);
+    case 'markdown':
+      return toMarkdown(view);
+    default:
+      return embedImages(resultsPanel.getReportHtml(view));
+  }
+}
+
+module.exports = { registerExportCommands };
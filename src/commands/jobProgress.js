@@ -0,0 +1,100 @@
+/**
+ * Job progress helpers shared by verification commands
+ */
+
+const vscode = require('vscode');
+const { showError } = require('./showError');
+
+/**
+ * Wait for a tracked job inside a withProgress notification
+ * Reports region progress and, if the user cancels, offers to cancel the job on the server.
+ * @returns {Promise<Object|null>} Final job snapshot
+ */
+async function waitForJob(apiClient, jobTracker, jobId, progress, token) {
+  const updates = jobTracker.onDidUpdateJob((job) => {
+    if (job.jobId !== jobId) return;
+    const unit = job.mode === 'batch' ? 'URLs' : 'regions';
+    progress.report({ message: `${job.url}: ${job.completed}/${job.total} ${unit} done` });
+  });
+
+  try {
+    return await jobTracker.waitFor(jobId, token);
+  } catch (error) {
+    if (error instanceof vscode.CancellationError) {
+      // Don't hold the progress notification open while the user decides
+      offerRemoteCancel(apiClient, jobTracker, jobId);
+    }
+    throw error;
+  } finally {
+    updates.dispose();
+  }
+}
+
+/**
+ * Ask whether a job the user stopped waiting for should also be cancelled remotely
+ */
+async function offerRemoteCancel(apiClient, jobTracker, jobId) {
+  const job = jobTracker.getActiveJobs().find(j => j.jobId === jobId);
+  if (!job) return;
+
+  const choice = await vscode.window.showWarningMessage(
+    `The verification of ${job.url} is still running on the server.`,
+    'Cancel Job',
+    'Keep Running in Background'
+  );
+
+  // The job may have finished while the prompt was open
+  if (choice !== 'Cancel Job' || !jobTracker.isTracking(jobId)) return;
+
+  await cancelTrackedJob(apiClient, jobTracker, job);
+}
+
+/**
+ * Ask whether the chunks of a batch the user stopped waiting for should also be cancelled remotely
+ * @param {Object[]} jobs - Snapshots of the chunk jobs still running
+ * @param {string} description - What the batch verifies, e.g. "200 URLs"
+ */
+async function offerBatchCancel(apiClient, jobTracker, jobs, description) {
+  if (jobs.length === 0) return;
+
+  const choice = await vscode.window.showWarningMessage(
+    `The batch verification of ${description} is still running on the server (${jobs.length} job${jobs.length === 1 ? '' : 's'}).`,
+    'Cancel Jobs',
+    'Keep Running in Background'
+  );
+  if (choice !== 'Cancel Jobs') return;
+
+  // Jobs may have finished while the prompt was open
+  const failed = [];
+  for (const job of jobs.filter(j => jobTracker.isTracking(j.jobId))) {
+    try {
+      await apiClient.cancelJob(job.jobId, { profile: job.profile });
+      jobTracker.markCancelled(job.jobId);
+    } catch (error) {
+      failed.push({ job, error });
+    }
+  }
+
+  if (failed.length) {
+    showError(`Failed to cancel ${failed.length} job(s)`, failed[0].error, {
+      retry: () => offerBatchCancel(apiClient, jobTracker, failed.map(f => f.job), description)
+    });
+  }
+}
+
+/**
+ * Cancel a tracked job on the server and stop polling it
+ */
+async function cancelTrackedJob(apiClient, jobTracker, job) {
+  try {
+    await apiClient.cancelJob(job.jobId, { profile: job.profile });
+    jobTracker.markCancelled(job.jobId);
+    vscode.window.showInformationMessage(`Verification of ${job.url} cancelled.`);
+  } catch (error) {
+    showError('Failed to cancel job', error, {
+      retry: () => cancelTrackedJob(apiClient, jobTracker, job)
+    });
+  }
+}
+
+module.exports = { waitForJob, offerBatchCancel, cancelTrackedJob };
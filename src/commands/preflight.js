@@ -0,0 +1,51 @@
+/**
+ * Pre-flight Prompt for UpRock Verify Extension
+ *
+ * Runs the local pre-flight before a verification and asks before spending a
+ * scan on a URL that can't be reached from this machine.
+ */
+
+const vscode = require('vscode');
+const RequestAuth = require('../services/requestAuth');
+const { runPreflight, describePreflight } = require('../services/preflight');
+const { logger } = require('../services/logger');
+
+/**
+ * Run the pre-flight (unless disabled) and confirm before verifying a URL that failed it
+ * @param {Object} auth - Credentials given for this verification; falls back to the stored ones
+ * @param {vscode.CancellationToken} token - Stops the pre-flight; rejects with CancellationError when cancelled
+ * @returns {Promise<{proceed: boolean, preflight: Object|null}>} preflight is null when it didn't run
+ */
+async function checkBeforeVerify(apiClient, url, auth = null, token = null) {
+  const config = vscode.workspace.getConfiguration('uprockVerify');
+  if (config.get('preflightCheck') === false) {
+    return { proceed: true, preflight: null };
+  }
+
+  let preflight;
+  try {
+    const credentials = auth && !RequestAuth.isEmpty(auth) ? auth : await apiClient.requestAuth?.get(url);
+    preflight = await runPreflight(url, { headers: RequestAuth.toHeaders(credentials), token });
+  } catch (error) {
+    if (error instanceof vscode.CancellationError) throw error;
+    // A broken pre-flight must never block a verification
+    logger.warn(`Pre-flight for ${url} could not run`, error);
+    return { proceed: true, preflight: null };
+  }
+
+  if (preflight.ok) {
+    return { proceed: true, preflight };
+  }
+
+  const action = await vscode.window.showWarningMessage(
+    `${url} failed the local pre-flight check. Verify it anyway?`,
+    {
+      modal: true,
+      detail: `${describePreflight(preflight)}\n\nThe check ran from this machine. A VPN, firewall or local DNS can make a site unreachable only from here; the verification shows whether it is down for everyone.`
+    },
+    'Verify Anyway'
+  );
+  return { proceed: action === 'Verify Anyway', preflight };
+}
+
+module.exports = { checkBeforeVerify };
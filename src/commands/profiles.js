@@ -0,0 +1,144 @@
+/**
+ * Profile Commands for UpRock Verify Extension
+ */
+
+const vscode = require('vscode');
+const ProfileManager = require('../services/profileManager');
+
+/**
+ * Register profile commands
+ */
+function registerProfileCommands(context, profileManager) {
+  // Switch the active profile
+  const switchProfileCommand = vscode.commands.registerCommand('uprock.switchProfile', async () => {
+    const active = profileManager.getActiveProfile();
+    const items = [];
+
+    for (const profile of profileManager.getProfiles()) {
+      const hasKey = !!(await profileManager.getApiKey(profile.name));
+      items.push({
+        label: `${profile.name === active.name ? '$(check)' : '$(account)'} ${profile.name}`,
+        description: profile.apiBaseUrl,
+        detail: hasKey ? undefined : '$(warning) No API key set',
+        profile
+      });
+    }
+
+    items.push(
+      { label: '', kind: vscode.QuickPickItemKind.Separator },
+      { label: '$(organization) Select Team...', action: 'team' },
+      { label: '$(add) Add Profile...', action: 'add' },
+      { label: '$(trash) Remove Profile...', action: 'remove' }
+    );
+
+    const selected = await vscode.window.showQuickPick(items, {
+      placeHolder: `Active profile: ${active.name}`
+    });
+
+    if (!selected) return;
+
+    if (selected.action === 'team') {
+      vscode.commands.executeCommand('uprock.selectTeam');
+      return;
+    }
+    if (selected.action === 'add') {
+      vscode.commands.executeCommand('uprock.addProfile');
+      return;
+    }
+    if (selected.action === 'remove') {
+      vscode.commands.executeCommand('uprock.removeProfile');
+      return;
+    }
+
+    await profileManager.setActiveProfile(selected.profile.name);
+    vscode.window.showInformationMessage(`UpRock Verify: switched to profile "${selected.profile.name}".`);
+  });
+
+  // Add a profile with its own base URL and API key
+  const addProfileCommand = vscode.commands.registerCommand('uprock.addProfile', async () => {
+    const name = await vscode.window.showInputBox({
+      prompt: 'Profile name',
+      placeHolder: 'e.g. staging',
+      validateInput: (value) => {
+        const trimmed = value.trim();
+        if (!trimmed) return 'Profile name is required';
+        if (trimmed === ProfileManager.DEFAULT_PROFILE) return `"${trimmed}" is reserved`;
+        return null;
+      }
+    });
+    if (!name) return;
+
+    const apiBaseUrl = await vscode.window.showInputBox({
+      prompt: `API base URL for "${name.trim()}"`,
+      value: profileManager.getProfile(ProfileManager.DEFAULT_PROFILE).apiBaseUrl,
+      validateInput: (value) => {
+        try {
+          const url = new URL(value.trim());
+          return url.protocol === 'http:' || url.protocol === 'https:' ? null : 'URL must use http or https';
+        } catch {
+          return 'Enter a valid URL';
+        }
+      }
+    });
+    if (!apiBaseUrl) return;
+
+    const apiKey = await vscode.window.showInputBox({
+      prompt: `API key for "${name.trim()}" (leave empty to set it later)`,
+      placeHolder: 'Enter API key...',
+      password: true
+    });
+    if (apiKey === undefined) return;
+
+    const profileName = name.trim();
+    await profileManager.addProfile(profileName, apiBaseUrl.trim().replace(/\/+$/, ''));
+    if (apiKey) {
+      await profileManager.setApiKey(apiKey, profileName);
+    }
+
+    const action = await vscode.window.showInformationMessage(
+      `Profile "${profileName}" added.`,
+      'Switch to It'
+    );
+    if (action === 'Switch to It') {
+      await profileManager.setActiveProfile(profileName);
+    }
+  });
+
+  // Remove a profile and its API key
+  const removeProfileCommand = vscode.commands.registerCommand('uprock.removeProfile', async () => {
+    const removable = profileManager.getProfiles()
+      .filter(p => p.name !== ProfileManager.DEFAULT_PROFILE)
+      .map(p => ({ label: p.name, description: p.apiBaseUrl, profile: p }));
+
+    if (removable.length === 0) {
+      vscode.window.showInformationMessage('No profiles to remove. The Default profile is always available.');
+      return;
+    }
+
+    const selected = await vscode.window.showQuickPick(removable, {
+      placeHolder: 'Select a profile to remove'
+    });
+    if (!selected) return;
+
+    const confirm = await vscode.window.showWarningMessage(
+      `Remove profile "${selected.profile.name}" and its stored API key?`,
+      'Yes, Remove',
+      'Cancel'
+    );
+    if (confirm !== 'Yes, Remove') return;
+
+    if (profileManager.getActiveProfile().name === selected.profile.name) {
+      await profileManager.setActiveProfile(ProfileManager.DEFAULT_PROFILE);
+    }
+    await profileManager.removeProfile(selected.profile.name);
+    vscode.window.showInformationMessage(`Profile "${selected.profile.name}" removed.`);
+  });
+
+  context.subscriptions.push(
+    switchProfileCommand,
+    addProfileCommand,
+    removeProfileCommand
+  );
+}
+
+module.exports = { registerProfileCommands };
@@ -0,0 +1,76 @@
+/**
+ * Region Commands for UpRock Verify Extension
+ */
+
+const vscode = require('vscode');
+const { CONTINENT_DISPLAY, CONTINENT_CODES } = require('../constants');
+
+/**
+ * Register region commands
+ */
+function registerRegionCommands(context, regionPreferences) {
+  // Change the region quick checks run from, for this workspace or everywhere
+  const setDefaultRegionCommand = vscode.commands.registerCommand('uprock.setDefaultRegion', async () => {
+    const current = regionPreferences.getDefaultRegion();
+    const region = await pickRegion(regionPreferences, {
+      placeHolder: `Default region for quick checks: ${CONTINENT_DISPLAY[current].label}`
+    });
+    if (!region) return;
+
+    let forWorkspace = false;
+    if (vscode.workspace.workspaceFolders?.length) {
+      const scope = await vscode.window.showQuickPick(
+        [
+          { label: '$(folder) This Workspace', description: 'Saved to the workspace settings', forWorkspace: true },
+          { label: '$(account) All Workspaces', description: 'Saved to your user settings', forWorkspace: false }
+        ],
+        { placeHolder: `Use ${CONTINENT_DISPLAY[region].label} for quick checks in...` }
+      );
+      if (!scope) return;
+      forWorkspace = scope.forWorkspace;
+    }
+
+    await regionPreferences.setDefaultRegion(region, forWorkspace);
+    vscode.window.showInformationMessage(
+      `UpRock Verify: quick checks now run from ${CONTINENT_DISPLAY[region].label}${forWorkspace ? ' in this workspace' : ''}.`
+    );
+  });
+
+  context.subscriptions.push(setDefaultRegionCommand);
+}
+
+/**
+ * Ask for a single region, recently used regions first
+ * @returns {Promise<string|undefined>} Region code, or undefined if cancelled
+ */
+async function pickRegion(regionPreferences, options = {}) {
+  const defaultRegion = regionPreferences.getDefaultRegion();
+  const recent = regionPreferences.getRecentRegions();
+  const others = [defaultRegion, ...CONTINENT_CODES.filter(code => code !== defaultRegion)]
+    .filter(code => !recent.includes(code));
+
+  const toItem = (code) => ({
+    label: `${CONTINENT_DISPLAY[code].flag} ${CONTINENT_DISPLAY[code].label}`,
+    description: code === defaultRegion ? `${code} (default)` : code,
+    code
+  });
+
+  const items = recent.length
+    ? [
+      { label: 'Recently Used', kind: vscode.QuickPickItemKind.Separator },
+      ...recent.map(toItem),
+      { label: 'All Regions', kind: vscode.QuickPickItemKind.Separator },
+      ...others.map(toItem)
+    ]
+    : others.map(toItem);
+
+  const selected = await vscode.window.showQuickPick(items, {
+    placeHolder: options.placeHolder || 'Select the region to verify from'
+  });
+  if (!selected) return undefined;
+
+  await regionPreferences.addRecentRegion(selected.code);
+  return selected.code;
+}
+
+module.exports = { registerRegionCommands, pickRegion };
@@ -0,0 +1,67 @@
+/**
+ * Error notifications with remediation actions
+ */
+
+const vscode = require('vscode');
+const { ERROR_CODES } = require('../api/errors');
+
+/**
+ * Show an error message with the action that fixes it
+ * @param {string} prefix - What failed, e.g. 'Verification failed'
+ * @param {Error} error
+ * @param {Object} options
+ * @param {Function} options.retry - Re-runs the failed operation (offered for transient errors)
+ */
+async function showError(prefix, error, { retry } = {}) {
+  const message = `${prefix}: ${error.message}`;
+
+  switch (error.code) {
+    case ERROR_CODES.AUTH_MISSING:
+    case ERROR_CODES.AUTH_INVALID: {
+      const action = await vscode.window.showErrorMessage(message, 'Set API Key');
+      if (action === 'Set API Key') {
+        vscode.commands.executeCommand('uprock.setApiKey');
+      }
+      return;
+    }
+
+    case ERROR_CODES.QUOTA_EXHAUSTED: {
+      const action = await vscode.window.showErrorMessage(message, 'Account Status');
+      if (action === 'Account Status') {
+        vscode.commands.executeCommand('uprock.status');
+      }
+      return;
+    }
+
+    case ERROR_CODES.RATE_LIMITED: {
+      const wait = error.retryAfter
+        ? `Try again in ${Math.ceil(error.retryAfter / 1000)}s.`
+        : 'Try again in a moment.';
+      vscode.window.showWarningMessage(`${prefix}: rate limited. ${wait}`);
+      return;
+    }
+
+    case ERROR_CODES.TLS: {
+      const action = await vscode.window.showErrorMessage(message, 'Configure CA Certificates');
+      if (action === 'Configure CA Certificates') {
+        vscode.commands.executeCommand('workbench.action.openSettings', 'uprockVerify.caCertificates');
+      }
+      return;
+    }
+
+    case ERROR_CODES.TIMEOUT:
+    case ERROR_CODES.NETWORK:
+    case ERROR_CODES.SERVER_ERROR: {
+      if (!retry) break;
+      const action = await vscode.window.showErrorMessage(message, 'Retry');
+      if (action === 'Retry') {
+        retry();
+      }
+      return;
+    }
+  }
+
+  vscode.window.showErrorMessage(message);
+}
+
+module.exports = { showError };
@@ -0,0 +1,130 @@
+/**
+ * Site Credential Commands for UpRock Verify Extension
+ *
+ * Manage the headers, cookies and basic auth sent to protected sites.
+ */
+
+const vscode = require('vscode');
+const RequestAuth = require('../services/requestAuth');
+
+/**
+ * Register site credential commands
+ */
+function registerSiteAuthCommands(context, requestAuth, workspaceConfig) {
+  const setSiteCredentialsCommand = vscode.commands.registerCommand('uprock.setSiteCredentials', async () => {
+    const origin = await pickSite(requestAuth, workspaceConfig);
+    if (!origin) return;
+
+    const auth = await requestAuth.get(origin) || {};
+    const headers = { ...auth.headers };
+    const items = [
+      { label: '$(symbol-key) Add Header...', description: 'e.g. x-vercel-protection-bypass, cf-access-token', action: 'addHeader' },
+      ...Object.keys(headers).map(name => ({ label: `$(close) Remove Header: ${name}`, action: 'removeHeader', name })),
+      {
+        label: '$(globe) Set Cookies...',
+        description: Object.keys(auth.cookies || {}).join(', ') || 'None',
+        action: 'cookies'
+      },
+      {
+        label: '$(person) Set Basic Auth...',
+        description: auth.basicAuth?.username ? `User: ${auth.basicAuth.username}` : 'None',
+        action: 'basicAuth'
+      }
+    ];
+    if (!RequestAuth.isEmpty(auth)) {
+      items.push({ label: '$(trash) Remove All Credentials', action: 'clear' });
+    }
+
+    const selected = await vscode.window.showQuickPick(items, { placeHolder: `Credentials for ${origin}` });
+    if (!selected) return;
+
+    const updated = { ...auth, headers };
+    switch (selected.action) {
+      case 'addHeader': {
+        const name = await vscode.window.showInputBox({
+          prompt: 'Header name',
+          placeHolder: 'x-vercel-protection-bypass',
+          validateInput: (value) => /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/.test(value.trim()) ? null : 'Enter a valid header name'
+        });
+        if (!name) return;
+        const value = await vscode.window.showInputBox({ prompt: `Value for ${name.trim()}`, password: true });
+        if (value === undefined) return;
+        headers[name.trim()] = value;
+        break;
+      }
+      case 'removeHeader':
+        delete headers[selected.name];
+        break;
+      case 'cookies': {
+        const value = await vscode.window.showInputBox({
+          prompt: 'Cookies to send (leave empty to remove them)',
+          placeHolder: 'name=value; other=value',
+          password: true
+        });
+        if (value === undefined) return;
+        updated.cookies = RequestAuth.parseCookies(value);
+        break;
+      }
+      case 'basicAuth': {
+        const username = await vscode.window.showInputBox({
+          prompt: 'Basic auth username (leave empty to remove basic auth)',
+          value: auth.basicAuth?.username || ''
+        });
+        if (username === undefined) return;
+        if (!username) {
+          delete updated.basicAuth;
+          break;
+        }
+        const password = await vscode.window.showInputBox({ prompt: `Basic auth password for ${username}`, password: true });
+        if (password === undefined) return;
+        updated.basicAuth = { username, password };
+        break;
+      }
+      case 'clear':
+        await requestAuth.delete(origin);
+        vscode.window.showInformationMessage(`UpRock Verify: removed the credentials for ${origin}.`);
+        return;
+    }
+
+    await requestAuth.set(origin, updated);
+    vscode.window.showInformationMessage(`UpRock Verify: credentials for ${origin} saved. They are sent with every verification of this site.`);
+  });
+
+  context.subscriptions.push(setSiteCredentialsCommand);
+}
+
+/**
+ * Ask for a site: one that already has credentials, a workspace target, or a typed URL
+ * @returns {Promise<string|undefined>} Site origin, or undefined if cancelled
+ */
+async function pickSite(requestAuth, workspaceConfig) {
+  const stored = requestAuth.getOrigins();
+  const targets = [];
+  for (const target of workspaceConfig.getTargets()) {
+    const origin = RequestAuth.getOrigin(target.url);
+    if (origin && !stored.includes(origin) && !targets.some(t => t.origin === origin)) {
+      targets.push({ label: `$(target) ${target.label}`, description: origin, origin });
+    }
+  }
+
+  const items = [
+    ...stored.map(origin => ({ label: `$(lock) ${origin}`, description: 'Has credentials', origin })),
+    ...targets,
+    { label: '$(edit) Enter a URL...', manual: true }
+  ];
+
+  const selected = items.length > 1
+    ? await vscode.window.showQuickPick(items, { placeHolder: 'Select the site to set credentials for' })
+    : items[0];
+  if (!selected) return undefined;
+  if (!selected.manual) return selected.origin;
+
+  const url = await vscode.window.showInputBox({
+    prompt: 'Site URL (credentials apply to every page on its origin)',
+    placeHolder: 'https://preview.example.com',
+    validateInput: (value) => RequestAuth.getOrigin(value.trim()) ? null : 'Invalid URL format'
+  });
+  return url ? RequestAuth.getOrigin(url.trim()) : undefined;
+}
+
+module.exports = { registerSiteAuthCommands };
@@ -0,0 +1,200 @@
+/**
+ * Sitemap Commands for UpRock Verify Extension
+ *
+ * Batch-verifies the pages of a sitemap: a workspace file, a URL, or the
+ * sitemaps an origin's robots.txt points to, narrowed with globs and sampling.
+ */
+
+const vscode = require('vscode');
+const RequestAuth = require('../services/requestAuth');
+const { runBatchVerification } = require('./batch');
+const { showError } = require('./showError');
+const {
+  discoverSitemaps,
+  loadSitemaps,
+  filterUrls,
+  sampleByPrefix,
+  sampleRandom
+} = require('../services/sitemap');
+
+/**
+ * Register sitemap commands
+ */
+function registerSitemapCommands(context, apiClient, resultsPanel, jobTracker, workspaceConfig, quotaMonitor, budgetDiagnostics) {
+  // Batch verify the URLs of a sitemap (from the explorer, the sitemap file is passed in)
+  const batchFromSitemapCommand = vscode.commands.registerCommand('uprock.batchFromSitemap', async (uri) => {
+    // Sitemaps of protected sites need the same credentials as their pages
+    const getHeaders = async (url) => RequestAuth.toHeaders(await apiClient.requestAuth?.get(url));
+
+    const sources = uri?.scheme ? [uri] : await pickSitemapSources(workspaceConfig, getHeaders);
+    if (!sources?.length) return;
+
+    let loaded;
+    try {
+      loaded = await vscode.window.withProgress({
+        location: vscode.ProgressLocation.Notification,
+        title: 'Reading sitemap...',
+        cancellable: true
+      }, (progress, token) => loadSitemaps(sources, { getHeaders, token }));
+    } catch (error) {
+      showError('Failed to read sitemap', error);
+      return;
+    }
+
+    if (loaded.urls.length === 0) {
+      vscode.window.showErrorMessage('No page URLs found in the sitemap.');
+      return;
+    }
+    if (loaded.errors.length || loaded.truncated) {
+      const problems = [
+        loaded.errors.length && `${loaded.errors.length} of ${loaded.sitemaps} sitemaps could not be read (${loaded.errors[0].message})`,
+        loaded.truncated && 'the sitemap is larger than the 50 files / 50,000 URLs read per run'
+      ].filter(Boolean);
+      vscode.window.showWarningMessage(`Some URLs may be missing: ${problems.join('; ')}. See the logs for details.`);
+    }
+
+    const urls = await pickSitemapUrls(loaded.urls);
+    if (!urls?.length) return;
+
+    await runBatchVerification(apiClient, resultsPanel, jobTracker, quotaMonitor, budgetDiagnostics, urls);
+  });
+
+  context.subscriptions.push(batchFromSitemapCommand);
+}
+
+/**
+ * Ask for the sitemap: a workspace file, a URL, or discovery through robots.txt
+ * @returns {Promise<Array<string|vscode.Uri>|undefined>} undefined if cancelled
+ */
+async function pickSitemapSources(workspaceConfig, getHeaders) {
+  const files = await vscode.workspace.findFiles('**/sitemap*.{xml,xml.gz,txt}', '**/node_modules/**', 20);
+  const items = [
+    ...files.map(file => ({
+      label: `$(file-code) ${vscode.workspace.asRelativePath(file)}`,
+      description: 'Workspace file',
+      uri: file
+    })),
+    { label: '$(globe) Enter Sitemap URL...', value: 'url' },
+    { label: '$(search) Discover from robots.txt...', value: 'robots' }
+  ];
+
+  const choice = await vscode.window.showQuickPick(items, { placeHolder: 'Select a sitemap to verify' });
+  if (!choice) return undefined;
+  if (choice.uri) return [choice.uri];
+
+  if (choice.value === 'url') {
+    const url = await vscode.window.showInputBox({
+      prompt: 'Enter the sitemap URL (XML, sitemap index, .xml.gz or text)',
+      placeHolder: 'https://example.com/sitemap.xml',
+      validateInput: (value) => isHttpUrl(value) ? null : 'Enter a full http(s) URL'
+    });
+    return url ? [url.trim()] : undefined;
+  }
+
+  // Offer the workspace's first target as the origin to discover
+  const target = workspaceConfig.getTargets()[0];
+  const origin = await vscode.window.showInputBox({
+    prompt: 'Enter the site to read robots.txt from',
+    placeHolder: 'https://example.com',
+    value: target ? new URL(target.url).origin : undefined,
+    validateInput: (value) => isHttpUrl(value) ? null : 'Enter a full http(s) URL'
+  });
+  if (!origin) return undefined;
+
+  const { sitemaps, fromRobots } = await vscode.window.withProgress({
+    location: vscode.ProgressLocation.Notification,
+    title: 'Reading robots.txt...'
+  }, () => discoverSitemaps(origin.trim(), { getHeaders }));
+
+  if (!fromRobots) {
+    const action = await vscode.window.showWarningMessage(
+      `${new URL(origin.trim()).origin}/robots.txt lists no sitemaps. Try ${sitemaps[0]}?`,
+      'Try It'
+    );
+    return action === 'Try It' ? sitemaps : undefined;
+  }
+  if (sitemaps.length === 1) return sitemaps;
+
+  const picked = await vscode.window.showQuickPick(
+    sitemaps.map(url => ({ label: url, picked: true })),
+    { placeHolder: `robots.txt lists ${sitemaps.length} sitemaps. Select the ones to verify`, canPickMany: true }
+  );
+  return picked?.length ? picked.map(item => item.label) : undefined;
+}
+
+/**
+ * Narrow a sitemap's URLs with include/exclude globs and sampling
+ * @returns {Promise<string[]|undefined>} undefined if cancelled
+ */
+async function pickSitemapUrls(urls) {
+  const parseGlobs = (value) => (value || '').split(',').map(glob => glob.trim()).filter(Boolean);
+  const countMessage = (matching) => ({
+    message: `${matching.length} of ${urls.length} URLs match`,
+    severity: vscode.InputBoxValidationSeverity.Info
+  });
+
+  const include = await vscode.window.showInputBox({
+    prompt: `Found ${urls.length} URLs. Only verify paths matching (comma-separated globs, empty for all)`,
+    placeHolder: '/blog/**, /docs/*',
+    validateInput: (value) => countMessage(filterUrls(urls, { include: parseGlobs(value) }))
+  });
+  if (include === undefined) return undefined;
+
+  const included = filterUrls(urls, { include: parseGlobs(include) });
+  const exclude = await vscode.window.showInputBox({
+    prompt: `${included.length} URLs selected. Skip paths matching (comma-separated globs, empty for none)`,
+    placeHolder: '/tag/**, **/*.pdf',
+    validateInput: (value) => countMessage(filterUrls(included, { exclude: parseGlobs(value) }))
+  });
+  if (exclude === undefined) return undefined;
+
+  const filtered = filterUrls(included, { exclude: parseGlobs(exclude) });
+  if (filtered.length === 0) {
+    vscode.window.showErrorMessage('No URLs match these filters.');
+    return undefined;
+  }
+
+  // Offer sampling only where it actually reduces the batch
+  const bySection = sampleByPrefix(filtered, 1);
+  const bySubsection = sampleByPrefix(filtered, 2);
+  const items = [
+    { label: `$(list-flat) All ${filtered.length} URLs`, urls: filtered },
+    bySection.length < filtered.length && {
+      label: `$(list-tree) One per section (${bySection.length} URLs)`,
+      description: 'First page under each top-level path, e.g. one of /blog/...',
+      urls: bySection
+    },
+    bySubsection.length < filtered.length && bySubsection.length > bySection.length && {
+      label: `$(list-tree) One per sub-section (${bySubsection.length} URLs)`,
+      description: 'First page under each two-level path, e.g. one of /docs/api/...',
+      urls: bySubsection
+    },
+    filtered.length > 1 && { label: '$(symbol-event) Random Sample...', value: 'random' }
+  ].filter(Boolean);
+
+  const choice = items.length === 1
+    ? items[0]
+    : await vscode.window.showQuickPick(items, { placeHolder: `Verify ${filtered.length} URLs, or a sample of them` });
+  if (!choice) return undefined;
+  if (choice.urls) return choice.urls;
+
+  const size = await vscode.window.showInputBox({
+    prompt: `How many of the ${filtered.length} URLs to verify`,
+    value: String(Math.min(20, filtered.length)),
+    validateInput: (value) => {
+      const n = Number(value);
+      return Number.isInteger(n) && n >= 1 && n <= filtered.length ? null : `Enter a number from 1 to ${filtered.length}`;
+    }
+  });
+  return size ? sampleRandom(filtered, Number(size)) : undefined;
+}
+
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL((value || '').trim()).protocol);
+  } catch {
+    return false;
+  }
+}
+
+module.exports = { registerSitemapCommands };
@@ -3,6 +3,9 @@
  */
 
 const vscode = require('vscode');
+const { showError } = require('./showError');
+const { logger } = require('../services/logger');
+const ProfileManager = require('../services/profileManager');
 
 /**
  * Register status commands
@@ -13,10 +16,10 @@ function registerStatusCommands(context, apiClient, resultsPanel) {
     await vscode.window.withProgress({
       location: vscode.ProgressLocation.Notification,
       title: 'Fetching Account Status',
-      cancellable: false
-    }, async () => {
+      cancellable: true
+    }, async (_progress, token) => {
       try {
-        const result = await apiClient.getAccountStatus();
+        const result = await apiClient.getAccountStatus({ token });
 
         if (!result.success) {
           throw new Error(result.error || 'Failed to get account status');
@@ -39,6 +42,7 @@ function registerStatusCommands(context, apiClient, resultsPanel) {
             { label: statusItems[1], description: '' },
             { label: statusItems[2], description: '' },
             { label: statusItems[3], description: '' },
+            { label: `$(organization) Scoped to: ${apiClient.getTeam()?.name || 'All Teams'}`, description: 'Change team', value: 'team' },
             { label: '$(refresh) Refresh', value: 'refresh' },
             { label: '$(history) View Recent Scans', value: 'scans' },
             { label: '$(gear) Open Settings', value: 'settings' }
@@ -52,10 +56,15 @@ function registerStatusCommands(context, apiClient, resultsPanel) {
           vscode.commands.executeCommand('uprock.list');
         } else if (action?.value === 'settings') {
           vscode.commands.executeCommand('uprock.openSettings');
+        } else if (action?.value === 'team') {
+          vscode.commands.executeCommand('uprock.selectTeam');
         }
 
       } catch (error) {
-        vscode.window.showErrorMessage(`Failed to get status: ${error.message}`);
+        if (error instanceof vscode.CancellationError) return;
+        showError('Failed to get status', error, {
+          retry: () => vscode.commands.executeCommand('uprock.status')
+        });
       }
     });
   });
@@ -65,10 +74,10 @@ function registerStatusCommands(context, apiClient, resultsPanel) {
     await vscode.window.withProgress({
       location: vscode.ProgressLocation.Notification,
       title: 'Fetching Recent Scans',
-      cancellable: false
-    }, async () => {
+      cancellable: true
+    }, async (_progress, token) => {
       try {
-        const result = await apiClient.listScans(20, 0);
+        const result = await apiClient.listScans(20, 0, { token });
 
         if (!result.success) {
           throw new Error(result.error || 'Failed to list scans');
@@ -107,15 +116,19 @@ function registerStatusCommands(context, apiClient, resultsPanel) {
         }
 
       } catch (error) {
-        vscode.window.showErrorMessage(`Failed to list scans: ${error.message}`);
+        if (error instanceof vscode.CancellationError) return;
+        showError('Failed to list scans', error, {
+          retry: () => vscode.commands.executeCommand('uprock.list')
+        });
       }
     });
   });
 
   // Set API key
   const setApiKeyCommand = vscode.commands.registerCommand('uprock.setApiKey', async () => {
+    const profile = apiClient.profile === ProfileManager.DEFAULT_PROFILE ? '' : ` for profile "${apiClient.profile}"`;
     const apiKey = await vscode.window.showInputBox({
-      prompt: 'Enter your UpRock Verify API key',
+      prompt: `Enter your UpRock Verify API key${profile}`,
       placeHolder: 'Enter API key...',
       password: true
     });
@@ -131,6 +144,11 @@ function registerStatusCommands(context, apiClient, resultsPanel) {
     vscode.commands.executeCommand('workbench.action.openSettings', 'uprockVerify');
   });
 
+  // Show the UpRock Verify output channel
+  const showLogsCommand = vscode.commands.registerCommand('uprock.showLogs', () => {
+    logger.show();
+  });
+
   // Clear API key
   const clearApiKeyCommand = vscode.commands.registerCommand('uprock.clearApiKey', async () => {
     const confirm = await vscode.window.showWarningMessage(
@@ -155,13 +173,22 @@ function registerStatusCommands(context, apiClient, resultsPanel) {
         { label: '$(error) Failed Only', description: 'Filter by failed status', value: 'failed' },
         { label: '$(globe) Filter by Region', description: 'Filter by continent', value: 'continent' },
         { label: '$(search) Search by URL', description: 'Filter by URL pattern', value: 'url' },
-        { label: '$(calendar) Date Range', description: 'Filter by date range', value: 'date' }
+        { label: '$(calendar) Date Range', description: 'Filter by date range', value: 'date' },
+        { label: '$(organization) Change Team...', description: `Current: ${apiClient.getTeam()?.name || 'All Teams'}`, value: 'team' }
       ],
       { placeHolder: 'Select filter option' }
     );
 
     if (!filterOption) return;
 
+    if (filterOption.value === 'team') {
+      const changed = await vscode.commands.executeCommand('uprock.selectTeam');
+      if (changed) {
+        vscode.commands.executeCommand('uprock.history');
+      }
+      return;
+    }
+
     const options = { limit: 25 };
 
     if (filterOption.value === 'completed') {
@@ -206,10 +233,10 @@ function registerStatusCommands(context, apiClient, resultsPanel) {
     await vscode.window.withProgress({
       location: vscode.ProgressLocation.Notification,
       title: 'Fetching History',
-      cancellable: false
-    }, async () => {
+      cancellable: true
+    }, async (_progress, token) => {
       try {
-        const result = await apiClient.getHistory(options);
+        const result = await apiClient.getHistory(options, { token });
 
         if (!result.success) {
           throw new Error(result.error || 'Failed to get history');
@@ -236,8 +263,9 @@ function registerStatusCommands(context, apiClient, resultsPanel) {
           };
         });
 
+        const team = apiClient.getTeam();
         const selected = await vscode.window.showQuickPick(items, {
-          placeHolder: `History (${pagination?.total || scans.length} results)`,
+          placeHolder: `History (${pagination?.total || scans.length} results)${team ? ` - ${team.name}` : ''}`,
           matchOnDescription: true,
           matchOnDetail: true
         });
@@ -247,7 +275,10 @@ function registerStatusCommands(context, apiClient, resultsPanel) {
         }
 
       } catch (error) {
-        vscode.window.showErrorMessage(`Failed to get history: ${error.message}`);
+        if (error instanceof vscode.CancellationError) return;
+        showError('Failed to get history', error, {
+          retry: () => vscode.commands.executeCommand('uprock.history')
+        });
       }
     });
   });
@@ -257,6 +288,7 @@ function registerStatusCommands(context, apiClient, resultsPanel) {
     listCommand,
     setApiKeyCommand,
     openSettingsCommand,
+    showLogsCommand,
     clearApiKeyCommand,
     historyCommand
   );
@@ -273,7 +305,9 @@ async function showScanDetails(apiClient, resultsPanel, scan) {
       resultsPanel.showJobDetails(result.data);
     }
   } catch (error) {
-    vscode.window.showErrorMessage(`Failed to load scan details: ${error.message}`);
+    showError('Failed to load scan details', error, {
+      retry: () => showScanDetails(apiClient, resultsPanel, scan)
+    });
   }
 }
 
@@ -0,0 +1,130 @@
+/**
+ * Target Commands for UpRock Verify Extension
+ *
+ * Targets are the named deployment URLs from the workspace's .uprockverify.json.
+ */
+
+const vscode = require('vscode');
+const WorkspaceConfig = require('../services/workspaceConfig');
+
+// Starting point for a new config file
+const CONFIG_TEMPLATE = {
+  expectedStatus: [200],
+  targets: {
+    prod: { url: 'https://example.com', label: 'Production' },
+    staging: { url: 'https://staging.example.com', label: 'Staging', regions: ['NA'] }
+  }
+};
+
+/**
+ * Register target commands
+ */
+function registerTargetCommands(context, workspaceConfig) {
+  // Open the workspace's .uprockverify.json, creating it from a template when missing
+  const openConfigCommand = vscode.commands.registerCommand('uprock.openWorkspaceConfig', async () => {
+    const folders = vscode.workspace.workspaceFolders || [];
+    if (folders.length === 0) {
+      vscode.window.showErrorMessage(`Open a folder to add a ${WorkspaceConfig.CONFIG_FILE} file.`);
+      return;
+    }
+
+    const folder = folders.length === 1
+      ? folders[0]
+      : await vscode.window.showWorkspaceFolderPick({ placeHolder: `Select the folder for ${WorkspaceConfig.CONFIG_FILE}` });
+    if (!folder) return;
+
+    const uri = workspaceConfig.getConfigUri(folder);
+    try {
+      await vscode.workspace.fs.stat(uri);
+    } catch {
+      const content = JSON.stringify(CONFIG_TEMPLATE, null, 2) + '\n';
+      await vscode.workspace.fs.writeFile(uri, Buffer.from(content, 'utf8'));
+    }
+
+    await vscode.window.showTextDocument(uri);
+  });
+
+  context.subscriptions.push(openConfigCommand);
+}
+
+/**
+ * Build the quick pick item for a target
+ */
+function toTargetItem(target, multiRoot) {
+  const details = [
+    target.regions ? `Regions: ${target.regions.join(', ')}` : 'All regions',
+    target.labels.length ? `Labels: ${target.labels.join(', ')}` : null,
+    multiRoot ? target.folder : null
+  ].filter(Boolean);
+
+  return {
+    label: `$(target) ${target.label}`,
+    description: target.url,
+    detail: details.join(' · '),
+    target
+  };
+}
+
+/**
+ * Ask for a target, or to type a URL instead
+ * @returns {Promise<{target: Object}|{manual: true}|undefined>} undefined if cancelled
+ */
+async function pickTarget(workspaceConfig, options = {}) {
+  const targets = workspaceConfig.getTargets();
+  if (targets.length === 0) return { manual: true };
+
+  const multiRoot = (vscode.workspace.workspaceFolders || []).length > 1;
+  const selected = await vscode.window.showQuickPick(
+    [
+      ...targets.map(target => toTargetItem(target, multiRoot)),
+      { label: '', kind: vscode.QuickPickItemKind.Separator },
+      { label: '$(edit) Enter a URL...', manual: true }
+    ],
+    { placeHolder: options.placeHolder || 'Select a target to verify' }
+  );
+
+  if (!selected) return undefined;
+  return selected.manual ? { manual: true } : { target: selected.target };
+}
+
+/**
+ * Ask for several targets (all selected by default), optionally adding typed URLs
+ * @param {Object} options
+ * @param {boolean} options.manifest - Also offer reading the URLs from a manifest file
+ * @returns {Promise<{targets: Object[], manual: boolean}|{manifest: true}|undefined>} undefined if cancelled
+ */
+async function pickTargets(workspaceConfig, options = {}) {
+  const targets = workspaceConfig.getTargets();
+  const manifestItem = { label: '$(file) From a Manifest File (CSV or JSON)...', manifest: true };
+
+  if (targets.length === 0) {
+    if (!options.manifest) return { targets: [], manual: true };
+    const choice = await vscode.window.showQuickPick(
+      [{ label: '$(edit) Enter URLs...', manual: true }, manifestItem],
+      { placeHolder: 'How do you want to list the URLs to verify?' }
+    );
+    if (!choice) return undefined;
+    return choice.manifest ? { manifest: true } : { targets: [], manual: true };
+  }
+
+  const multiRoot = (vscode.workspace.workspaceFolders || []).length > 1;
+  const selected = await vscode.window.showQuickPick(
+    [
+      ...targets.map(target => ({ ...toTargetItem(target, multiRoot), picked: true })),
+      { label: '', kind: vscode.QuickPickItemKind.Separator },
+      { label: '$(edit) Also enter other URLs...', manual: true },
+      ...(options.manifest ? [manifestItem] : [])
+    ],
+    { canPickMany: true, placeHolder: options.placeHolder || 'Select the targets to verify' }
+  );
+
+  if (!selected) return undefined;
+  // A manifest lists every URL with its own options, so it replaces the targets
+  if (selected.some(item => item.manifest)) return { manifest: true };
+  return {
+    targets: selected.filter(item => item.target).map(item => item.target),
+    manual: selected.some(item => item.manual)
+  };
+}
+
+module.exports = { registerTargetCommands, pickTarget, pickTargets };
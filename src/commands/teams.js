@@ -0,0 +1,92 @@
+/**
+ * Team Commands for UpRock Verify Extension
+ */
+
+const vscode = require('vscode');
+const { showError } = require('./showError');
+const { ERROR_CODES } = require('../api/errors');
+
+/**
+ * Register team commands
+ */
+function registerTeamCommands(context, apiClient, profileManager) {
+  // Pick the team that new verifications and history are scoped to
+  const selectTeamCommand = vscode.commands.registerCommand('uprock.selectTeam', async () => {
+    const teams = await vscode.window.withProgress({
+      location: vscode.ProgressLocation.Notification,
+      title: 'Loading Teams',
+      cancellable: true
+    }, async (_progress, token) => {
+      try {
+        return await fetchTeams(apiClient, { token });
+      } catch (error) {
+        if (error instanceof vscode.CancellationError) return null;
+        showError('Failed to load teams', error, {
+          retry: () => vscode.commands.executeCommand('uprock.selectTeam')
+        });
+        return null;
+      }
+    });
+
+    if (!teams) return false;
+
+    const current = profileManager.getTeam(apiClient.profile);
+    const items = [
+      {
+        label: `${current ? '$(globe)' : '$(check)'} All Teams`,
+        description: 'Show history from every team; verifications use your account default',
+        team: null
+      },
+      ...teams.map(team => ({
+        label: `${current?.id === team.id ? '$(check)' : '$(organization)'} ${team.name}`,
+        description: team.id,
+        team
+      }))
+    ];
+
+    const selected = await vscode.window.showQuickPick(items, {
+      placeHolder: `Current team: ${current ? current.name : 'All Teams'}`
+    });
+
+    if (!selected) return false;
+
+    await profileManager.setTeam(selected.team, apiClient.profile);
+    vscode.window.showInformationMessage(
+      selected.team
+        ? `UpRock Verify: scans and history are now scoped to team "${selected.team.name}".`
+        : 'UpRock Verify: showing history from all teams.'
+    );
+    return true;
+  });
+
+  context.subscriptions.push(selectTeamCommand);
+}
+
+/**
+ * Get the user's teams as { id, name }
+ * Falls back to the account's own team when the API has no teams endpoint.
+ */
+async function fetchTeams(apiClient, options = {}) {
+  let teams;
+  try {
+    const result = await apiClient.listTeams(options);
+    teams = result?.data?.teams || result?.teams || result?.data || [];
+  } catch (error) {
+    if (error.code !== ERROR_CODES.VALIDATION || error.status !== 404) throw error;
+
+    const status = await apiClient.getAccountStatus(options);
+    const user = status?.data?.user || {};
+    teams = user.teamId ? [{ id: user.teamId, name: user.teamName }] : [];
+  }
+
+  if (!Array.isArray(teams)) return [];
+
+  return teams
+    .filter(team => (team.id ?? team.teamId) !== undefined)
+    .map((team) => {
+      const id = String(team.id ?? team.teamId);
+      return { id, name: team.name || team.teamName || id };
+    });
+}
+
+module.exports = { registerTeamCommands };
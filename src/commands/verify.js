@@ -3,14 +3,35 @@
  */
 
 const vscode = require('vscode');
-const { STATE_DISPLAY } = require('../constants');
+const { STATE_DISPLAY, CONTINENT_DISPLAY, CONTINENT_CODES } = require('../constants');
+const { evaluateAssertions, formatVerdict } = require('../services/assertions');
+const { waitForJob, cancelTrackedJob } = require('./jobProgress');
+const { showError } = require('./showError');
+const { pickRegion } = require('./regions');
+const { pickTarget } = require('./targets');
+const { checkBeforeVerify } = require('./preflight');
 
 /**
  * Register verification commands
  */
-function registerVerifyCommands(context, apiClient, resultsPanel) {
+function registerVerifyCommands(context, apiClient, resultsPanel, jobTracker, regionPreferences, workspaceConfig, budgetDiagnostics) {
+  const services = { apiClient, resultsPanel, jobTracker, budgetDiagnostics, regionPreferences };
+
   // Full global verification
   const verifyCommand = vscode.commands.registerCommand('uprock.verify', async () => {
+    // Offer the workspace's targets first; they carry their own regions and assertions
+    const choice = await pickTarget(workspaceConfig);
+    if (!choice) return;
+
+    if (choice.target) {
+      const { target } = choice;
+      const continents = target.regions || await pickContinents();
+      if (!continents) return;
+
+      await runVerification(services, target.url, { continents, assertions: target.assertions });
+      return;
+    }
+
     const url = await vscode.window.showInputBox({
       prompt: 'Enter URL to verify',
       placeHolder: 'https://example.com',
@@ -27,13 +48,16 @@ function registerVerifyCommands(context, apiClient, resultsPanel) {
 
     if (!url) return;
 
-    await runVerification(apiClient, resultsPanel, url, false);
+    const continents = await pickContinents();
+    if (!continents) return;
+
+    await runVerification(services, url, { continents });
   });
 
-  // Quick dev verification (single region)
-  const verifyDevCommand = vscode.commands.registerCommand('uprock.verifyDev', async () => {
+  // Quick dev verification (single region), from the default region or one picked for this check
+  const quickCheck = async (chooseRegion) => {
     const url = await vscode.window.showInputBox({
-      prompt: 'Enter URL for quick verification (NA only)',
+      prompt: 'Enter URL for quick verification (single region)',
       placeHolder: 'https://example.com',
       validateInput: (value) => {
         if (!value) return 'URL is required';
@@ -48,8 +72,13 @@ function registerVerifyCommands(context, apiClient, resultsPanel) {
 
     if (!url) return;
 
-    await runVerification(apiClient, resultsPanel, url, true);
-  });
+    const region = chooseRegion ? await pickRegion(regionPreferences) : regionPreferences.getDefaultRegion();
+    if (!region) return;
+
+    await runVerification(services, url, { isDev: true, continents: [region] });
+  };
+  const verifyDevCommand = vscode.commands.registerCommand('uprock.verifyDev', () => quickCheck(false));
+  const verifyDevInRegionCommand = vscode.commands.registerCommand('uprock.verifyDevInRegion', () => quickCheck(true));
 
   // Verify URL from current selection or cursor position
   const verifyCurrentCommand = vscode.commands.registerCommand('uprock.verifyCurrentFile', async () => {
@@ -93,71 +122,172 @@ function registerVerifyCommands(context, apiClient, resultsPanel) {
     }
 
     // Ask verification type
+    const region = regionPreferences.getDefaultRegion();
     const verifyType = await vscode.window.showQuickPick(
       [
         { label: '$(globe) Global Verification', description: 'Verify from all 6 continents', value: 'global' },
-        { label: '$(zap) Quick Dev Check', description: 'Quick check from North America only', value: 'dev' }
+        { label: '$(list-selection) Choose Regions...', description: 'Verify from the continents you pick', value: 'regions' },
+        { label: '$(zap) Quick Dev Check', description: `Quick check from ${CONTINENT_DISPLAY[region].label} only`, value: 'dev' }
       ],
       { placeHolder: 'Select verification type' }
     );
 
     if (!verifyType) return;
 
-    await runVerification(apiClient, resultsPanel, url, verifyType.value === 'dev');
+    let continents = verifyType.value === 'dev' ? [region] : null;
+    if (verifyType.value === 'regions') {
+      continents = await pickContinents();
+      if (!continents) return;
+    }
+
+    await runVerification(services, url, { isDev: verifyType.value === 'dev', continents });
+  });
+
+  // Cancel a running verification job
+  const cancelJobCommand = vscode.commands.registerCommand('uprock.cancelJob', async () => {
+    const activeJobs = jobTracker.getActiveJobs();
+    if (activeJobs.length === 0) {
+      vscode.window.showInformationMessage('No verification jobs are running.');
+      return;
+    }
+
+    const selected = await vscode.window.showQuickPick(
+      activeJobs.map(job => ({
+        label: `$(sync~spin) ${job.url}`,
+        description: `${job.status} | ${job.completed}/${job.total} ${job.mode === 'batch' ? 'URLs' : 'regions'}`,
+        detail: `Job ID: ${job.jobId}`,
+        job
+      })),
+      { placeHolder: 'Select a verification job to cancel' }
+    );
+
+    if (!selected) return;
+
+    await cancelTrackedJob(apiClient, jobTracker, selected.job);
   });
 
-  context.subscriptions.push(verifyCommand, verifyDevCommand, verifyCurrentCommand);
+  context.subscriptions.push(verifyCommand, verifyDevCommand, verifyDevInRegionCommand, verifyCurrentCommand, cancelJobCommand);
+}
+
+/**
+ * Ask which continents to verify from (all are selected by default)
+ * @returns {Promise<string[]|null>} Selected region codes, or null if cancelled
+ */
+async function pickContinents() {
+  const selected = await vscode.window.showQuickPick(
+    CONTINENT_CODES.map(code => ({
+      label: `${CONTINENT_DISPLAY[code].flag} ${CONTINENT_DISPLAY[code].label}`,
+      description: code,
+      code,
+      picked: true
+    })),
+    { canPickMany: true, placeHolder: 'Select the regions to verify from' }
+  );
+
+  if (!selected) return null;
+  if (selected.length === 0) {
+    vscode.window.showWarningMessage('Select at least one region to verify from.');
+    return null;
+  }
+  return selected.map(item => item.code);
 }
 
 /**
  * Run verification with progress
+ * @param {{apiClient, resultsPanel, jobTracker, budgetDiagnostics, regionPreferences}} services
+ * @param {string} url
+ * @param {Object} options
+ * @param {boolean} options.isDev - A quick check from a single region
+ * @param {string[]} options.continents - The quick-check region (default: the saved default region),
+ *   or the regions for a global verification (default: all six)
+ * @param {Object} options.assertions - Checks to evaluate the results against (see services/assertions)
  */
-async function runVerification(apiClient, resultsPanel, url, isDev) {
+async function runVerification(services, url, { isDev = false, continents = null, assertions = null } = {}) {
+  const { apiClient, resultsPanel, jobTracker, budgetDiagnostics, regionPreferences } = services;
   const config = vscode.workspace.getConfiguration('uprockVerify');
   const showNotifications = config.get('showNotifications') !== false;
 
+  // Only a strict subset changes the request; all six is a plain global verification
+  const regions = continents?.length < CONTINENT_CODES.length ? continents : null;
+  const devRegion = continents?.[0] || regionPreferences.getDefaultRegion();
+
   await vscode.window.withProgress({
     location: vscode.ProgressLocation.Notification,
-    title: isDev ? 'Quick Verification' : 'Global Verification',
-    cancellable: false
-  }, async (progress) => {
+    title: isDev ? `Quick Verification (${devRegion})` : regions ? `Verification (${regions.join(', ')})` : 'Global Verification',
+    cancellable: true
+  }, async (progress, token) => {
     try {
+      progress.report({ message: `Pre-flight check of ${url}...` });
+      const { proceed, preflight } = await checkBeforeVerify(apiClient, /^https?:\/\//.test(url) ? url : `https://${url}`, null, token);
+      if (!proceed || token.isCancellationRequested) return;
+
       progress.report({ message: `Verifying ${url}...` });
 
       let result;
       if (isDev) {
-        result = await apiClient.verifyDev(url);
+        result = await apiClient.verifyDev(url, devRegion, { token });
       } else {
-        result = await apiClient.verify(url);
+        result = await apiClient.verify(url, { token, continents: regions });
       }
 
       if (!result.success) {
         throw new Error(result.error || 'Verification failed');
       }
 
+      // Job accepted but still running: track it and wait; the tracker notifies on completion
+      if (result.jobId && !result.continents && !result.scores) {
+        jobTracker.track({
+          jobId: result.jobId,
+          url: result.url || url,
+          mode: isDev ? 'dev' : 'global',
+          continents: isDev ? null : regions,
+          assertions,
+          preflight
+        });
+        const job = await waitForJob(apiClient, jobTracker, result.jobId, progress, token);
+        if (job?.status === 'completed') {
+          resultsPanel.showJobDetails(job.data, { continents: job.continents, assertions: job.assertions, preflight: job.preflight });
+        }
+        return;
+      }
+
       // Show results panel
-      resultsPanel.show(result, isDev);
+      resultsPanel.show(result, isDev, { continents: regions, assertions, preflight });
+      budgetDiagnostics.checkResult(result.url || url, result, isDev ? null : regions);
 
       // Show notification summary
       if (showNotifications) {
         const state = isDev ? result.scores?.state : result.summary?.overallState;
         const stateInfo = STATE_DISPLAY[state] || STATE_DISPLAY.degraded;
+        const verdict = assertions ? getVerdictSuffix(assertions, isDev ? [result] : result.continents, regions) : '';
 
         if (isDev) {
           vscode.window.showInformationMessage(
-            `${stateInfo.emoji} ${url}: ${stateInfo.label} (R: ${result.scores?.reachability}%, U: ${result.scores?.usability}%)`
+            `${stateInfo.emoji} ${url}: ${stateInfo.label} (R: ${result.scores?.reachability}%, U: ${result.scores?.usability}%)${verdict}`
           );
         } else {
           vscode.window.showInformationMessage(
-            `${stateInfo.emoji} ${url}: ${stateInfo.label} (${result.summary?.completed}/${result.summary?.totalContinents} regions OK)`
+            `${stateInfo.emoji} ${url}: ${stateInfo.label} (${result.summary?.completed}/${result.summary?.totalContinents} regions OK)${verdict}`
           );
         }
       }
 
     } catch (error) {
-      vscode.window.showErrorMessage(`Verification failed: ${error.message}`);
+      if (error instanceof vscode.CancellationError) return;
+      showError('Verification failed', error, {
+        retry: () => runVerification(services, url, { isDev, continents, assertions })
+      });
     }
   });
 }
 
-module.exports = { registerVerifyCommands };
+/**
+ * Describe the assertion verdict for a notification
+ * @param {string[]} regions - Only evaluate these regions (default: every region in the results)
+ */
+function getVerdictSuffix(assertions, results, regions = null) {
+  const inRegions = regions ? (results || []).filter(r => regions.includes(r.continent)) : results;
+  return ` · ${formatVerdict(evaluateAssertions(assertions, inRegions))}`;
+}
+
+module.exports = { registerVerifyCommands, runVerification, pickContinents };
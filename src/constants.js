@@ -74,6 +74,27 @@ const CONTINENT_DISPLAY = {
   SA: { label: 'South America', flag: '🇧🇷' }
 };
 
+// Assertion Verdict Display
+const VERDICT_DISPLAY = {
+  pass: { label: 'Passed', emoji: '✅', color: '#22c55e' },
+  fail: { label: 'Failed', emoji: '❌', color: '#ef4444' },
+  inconclusive: { label: 'Inconclusive', emoji: '⚪', color: '#9ca3af' }
+};
+
+// Assertion and pre-flight check icons
+const CHECK_DISPLAY = {
+  pass: '✅',
+  warn: '⚠️',
+  fail: '❌',
+  skipped: '⚪'
+};
+
+// Region codes in display order
+const CONTINENT_CODES = Object.keys(CONTINENT_DISPLAY);
+
+// Worst-first ranking used to combine per-region states
+const STATE_RANK = ['down', 'degraded', 'good', 'perfect'];
+
 // Default Configuration
 const DEFAULT_CONFIG = {
   apiBaseUrl: 'https://768q7f2qhge7.share.zrok.io',
@@ -86,5 +107,9 @@ module.exports = {
   WEB_VITALS_THRESHOLDS,
   STATE_DISPLAY,
   CONTINENT_DISPLAY,
+  CONTINENT_CODES,
+  STATE_RANK,
+  VERDICT_DISPLAY,
+  CHECK_DISPLAY,
   DEFAULT_CONFIG
 };
@@ -8,38 +8,96 @@ const vscode = require('vscode');
 const path = require('path');
 const fs = require('fs');
 const ApiClient = require('./api/client');
+const { getNetworkSettings } = require('./api/network');
 const ResultsPanel = require('./views/resultsPanel');
 const SidebarProvider = require('./views/sidebarProvider');
+const JobTracker = require('./services/jobTracker');
+const ProfileManager = require('./services/profileManager');
+const RegionPreferences = require('./services/regionPreferences');
+const WorkspaceConfig = require('./services/workspaceConfig');
+const RequestAuth = require('./services/requestAuth');
+const BudgetDiagnostics = require('./services/budgetDiagnostics');
+const QuotaMonitor = require('./services/quotaMonitor');
+const { logger } = require('./services/logger');
+const { STATE_DISPLAY } = require('./constants');
+const { formatVerdict } = require('./services/assertions');
+const { isBatchRunning } = require('./services/batchRunner');
 const { registerVerifyCommands } = require('./commands/verify');
 const { registerBatchCommands } = require('./commands/batch');
+const { registerSitemapCommands } = require('./commands/sitemap');
+const { registerDeploymentCommands } = require('./commands/deployment');
+const { registerExportCommands } = require('./commands/export');
 const { registerStatusCommands } = require('./commands/status');
+const { registerProfileCommands } = require('./commands/profiles');
+const { registerTeamCommands } = require('./commands/teams');
+const { registerRegionCommands } = require('./commands/regions');
+const { registerTargetCommands } = require('./commands/targets');
+const { registerSiteAuthCommands } = require('./commands/siteAuth');
 
 let statusBarItem;
+let profileStatusBarItem;
 
 /**
  * Activate the extension
  */
 async function activate(context) {
+  context.subscriptions.push(logger);
+
   try {
-    console.log('UpRock Verify extension is now active');
+    logger.info(`UpRock Verify activated (VS Code ${vscode.version})`);
+
+    // Initialize profiles (named base URL + API key pairs)
+    const profileManager = new ProfileManager(context);
+    context.subscriptions.push(profileManager);
+
+    // Initialize stored credentials for protected sites (headers, cookies, basic auth)
+    const requestAuth = new RequestAuth(context);
 
     // Initialize API client
-    const apiClient = new ApiClient(context);
+    const apiClient = new ApiClient(context, profileManager, requestAuth);
     await apiClient.init();
 
+    // Track the scans left this month (status bar, low-quota warning, batch cost preview)
+    const quotaMonitor = new QuotaMonitor(apiClient);
+    context.subscriptions.push(quotaMonitor);
+
+    // Initialize region preferences (quick-check region and recently picked regions)
+    const regionPreferences = new RegionPreferences(context);
+
+    // Initialize the workspace's deployment targets (.uprockverify.json)
+    const workspaceConfig = new WorkspaceConfig();
+    context.subscriptions.push(workspaceConfig);
+    await workspaceConfig.load();
+
+    // Report targets' performance budget breaches in the Problems panel
+    const budgetDiagnostics = new BudgetDiagnostics(workspaceConfig);
+    context.subscriptions.push(budgetDiagnostics);
+
     // Initialize results panel
     const resultsPanel = new ResultsPanel(context);
 
+    // Initialize job tracker (polls submitted jobs until they finish)
+    const jobTracker = new JobTracker(context, apiClient);
+    context.subscriptions.push(jobTracker);
+
     // Initialize sidebar provider
-    const sidebarProvider = new SidebarProvider(context, apiClient);
+    const sidebarProvider = new SidebarProvider(context, apiClient, jobTracker, regionPreferences, workspaceConfig, requestAuth);
     context.subscriptions.push(
       vscode.window.registerWebviewViewProvider('uprockVerify.sidebar', sidebarProvider)
     );
 
     // Register all commands
-    registerVerifyCommands(context, apiClient, resultsPanel);
-    registerBatchCommands(context, apiClient, resultsPanel);
+    registerVerifyCommands(context, apiClient, resultsPanel, jobTracker, regionPreferences, workspaceConfig, budgetDiagnostics);
+    registerBatchCommands(context, apiClient, resultsPanel, jobTracker, workspaceConfig, quotaMonitor, budgetDiagnostics);
+    registerSitemapCommands(context, apiClient, resultsPanel, jobTracker, workspaceConfig, quotaMonitor, budgetDiagnostics);
+    registerDeploymentCommands(context, apiClient, resultsPanel, jobTracker, workspaceConfig, quotaMonitor, budgetDiagnostics, regionPreferences);
     registerStatusCommands(context, apiClient, resultsPanel);
+    registerExportCommands(context, resultsPanel);
+    registerProfileCommands(context, profileManager);
+    registerTeamCommands(context, apiClient, profileManager);
+    registerRegionCommands(context, regionPreferences);
+    registerTargetCommands(context, workspaceConfig);
+    registerSiteAuthCommands(context, requestAuth, workspaceConfig);
 
     // Create status bar item
     statusBarItem = vscode.window.createStatusBarItem(
@@ -52,50 +110,125 @@ async function activate(context) {
     statusBarItem.show();
     context.subscriptions.push(statusBarItem);
 
-    // Update status bar based on API key
-    updateStatusBar(apiClient);
+    // Profile switcher, shown once more than one profile exists or a team is selected
+    profileStatusBarItem = vscode.window.createStatusBarItem(
+      vscode.StatusBarAlignment.Right,
+      99
+    );
+    context.subscriptions.push(profileStatusBarItem);
+
+    // Update status bar based on API key, then again once the quota is known
+    updateStatusBar(apiClient, jobTracker, quotaMonitor);
+    updateProfileStatusBar(profileManager);
+    context.subscriptions.push(
+      quotaMonitor.onDidChange(() => updateStatusBar(apiClient, jobTracker, quotaMonitor))
+    );
+    quotaMonitor.getQuota();
+
+    // Reflect job progress in the status bar and notify when jobs finish
+    context.subscriptions.push(
+      jobTracker.onDidUpdateJob(() => updateStatusBar(apiClient, jobTracker, quotaMonitor)),
+      jobTracker.onDidFinishJob((job) => notifyJobFinished(job, resultsPanel)),
+      jobTracker.onDidFinishJob((job) => budgetDiagnostics.checkJob(job))
+    );
+
+    // Pick up jobs that were still running when the window was reloaded
+    jobTracker.resume();
 
     // Watch for configuration changes
     context.subscriptions.push(
       vscode.workspace.onDidChangeConfiguration(async (e) => {
-        if (e.affectsConfiguration('uprockVerify')) {
+        if (e.affectsConfiguration('uprockVerify') || e.affectsConfiguration('http')) {
           await apiClient.init();
-          updateStatusBar(apiClient);
+          updateStatusBar(apiClient, jobTracker, quotaMonitor);
+        }
+        if (e.affectsConfiguration('uprockVerify.defaultRegion')) {
+          sidebarProvider.refreshRegion();
+        }
+        // Keep the MCP server's proxy/CA settings and default region in step with the extension
+        if (e.affectsConfiguration('http') ||
+            e.affectsConfiguration('uprockVerify.caCertificates') ||
+            e.affectsConfiguration('uprockVerify.defaultRegion') ||
+            e.affectsConfiguration('uprockVerify.mcpMaxScansPerSession')) {
+          await setupMcpConfig(context, profileManager, regionPreferences);
         }
       })
     );
 
+    // Switch the client, sidebar and MCP server over when the active profile changes
+    context.subscriptions.push(
+      profileManager.onDidChangeProfile(async (profile) => {
+        logger.info(`Active profile: ${profile.name} (${profile.apiBaseUrl})`);
+        await apiClient.init();
+        quotaMonitor.invalidate();
+        quotaMonitor.getQuota();
+        updateProfileStatusBar(profileManager);
+        sidebarProvider.refreshConnection();
+        sidebarProvider.refreshTeam();
+        await setupMcpConfig(context, profileManager, regionPreferences);
+      }),
+      profileManager.onDidChangeTeam(async (team) => {
+        logger.info(`Selected team: ${team ? `${team.name} (${team.id})` : 'all teams'}`);
+        quotaMonitor.invalidate();
+        quotaMonitor.getQuota();
+        updateProfileStatusBar(profileManager);
+        sidebarProvider.refreshTeam();
+        await setupMcpConfig(context, profileManager, regionPreferences);
+      })
+    );
+
     // Watch for secrets changes
     context.subscriptions.push(
       context.secrets.onDidChange(async (e) => {
-        if (e.key === 'uprockVerify.apiKey') {
+        if (profileManager.isApiKeySecret(e.key)) {
           await apiClient.init();
-          updateStatusBar(apiClient);
+          quotaMonitor.invalidate();
+          quotaMonitor.getQuota();
           // Update MCP config when API key changes
-          await setupMcpConfig(context);
+          await setupMcpConfig(context, profileManager, regionPreferences);
         }
       })
     );
 
     // Setup MCP configuration automatically
-    await setupMcpConfig(context);
+    await setupMcpConfig(context, profileManager, regionPreferences);
 
   } catch (error) {
-    console.error('UpRock Verify activation failed:', error);
+    logger.error('Activation failed', error);
     vscode.window.showErrorMessage(`UpRock Verify failed to activate: ${error.message}`);
   }
 }
 
 /**
- * Update status bar based on API key status
+ * Update status bar based on API key status, jobs in flight and the scans left
  */
-async function updateStatusBar(apiClient) {
+async function updateStatusBar(apiClient, jobTracker, quotaMonitor) {
+  const activeJobs = jobTracker.getActiveJobs();
+
+  if (activeJobs.length > 0) {
+    const [job] = activeJobs;
+    statusBarItem.text = activeJobs.length === 1
+      ? `$(sync~spin) UpRock ${job.completed}/${job.total}`
+      : `$(sync~spin) UpRock (${activeJobs.length} jobs)`;
+    statusBarItem.tooltip = activeJobs
+      .map(j => `${j.url} - ${j.status} (${j.completed}/${j.total} regions)`)
+      .join('\n');
+    statusBarItem.backgroundColor = undefined;
+    return;
+  }
+
   const hasKey = await apiClient.hasApiKey();
 
   if (hasKey) {
-    statusBarItem.text = '$(rocket) UpRock';
-    statusBarItem.tooltip = 'UpRock Verify - Ready';
-    statusBarItem.backgroundColor = undefined;
+    const quota = quotaMonitor.getCached();
+    const isKnown = quota && !quota.unlimited && quota.remaining !== null;
+    statusBarItem.text = isKnown ? `$(rocket) UpRock (${quota.remaining})` : '$(rocket) UpRock';
+    statusBarItem.tooltip = isKnown
+      ? `UpRock Verify - Ready\n${quota.remaining}${quota.limit !== null ? ` of ${quota.limit}` : ''} scans left this month`
+      : `UpRock Verify - Ready${quota?.unlimited ? '\nUnlimited scans' : ''}`;
+    statusBarItem.backgroundColor = quotaMonitor.isLow(quota)
+      ? new vscode.ThemeColor('statusBarItem.warningBackground')
+      : undefined;
   } else {
     statusBarItem.text = '$(rocket) UpRock $(warning)';
     statusBarItem.tooltip = 'UpRock Verify - API key not configured';
@@ -103,6 +236,75 @@ async function updateStatusBar(apiClient) {
   }
 }
 
+/**
+ * Show the active profile and team in the status bar when there is a choice to make
+ */
+function updateProfileStatusBar(profileManager) {
+  const hasProfiles = profileManager.getProfiles().length > 1;
+  const team = profileManager.getTeam();
+  if (!hasProfiles && !team) {
+    profileStatusBarItem.hide();
+    return;
+  }
+
+  const active = profileManager.getActiveProfile();
+  const label = [hasProfiles && active.name, team?.name].filter(Boolean).join(' · ');
+  profileStatusBarItem.text = `$(account) ${label}`;
+  profileStatusBarItem.tooltip = [
+    `UpRock Verify profile: ${active.name} (${active.apiBaseUrl})`,
+    `Team: ${team ? team.name : 'All Teams'}`,
+    'Click to switch'
+  ].join('\n');
+  profileStatusBarItem.command = hasProfiles ? 'uprock.switchProfile' : 'uprock.selectTeam';
+  profileStatusBarItem.show();
+}
+
+/**
+ * Show a notification when a tracked job finishes
+ */
+async function notifyJobFinished(job, resultsPanel) {
+  const config = vscode.workspace.getConfiguration('uprockVerify');
+  if (config.get('showNotifications') === false) return;
+
+  // Cancellation is user-initiated and already confirmed where it happened
+  if (job.status === 'cancelled') return;
+
+  // Chunks of a batch still being run are reported together by the run
+  if (job.group && isBatchRunning(job.group.id)) return;
+
+  // A command still waiting on the job has already shown its results
+  if (job.awaited && job.status === 'completed') return;
+
+  if (job.status !== 'completed') {
+    const reason = job.error || `Job ${job.status}`;
+    vscode.window.showWarningMessage(`Verification of ${job.url} did not complete: ${reason}`);
+    return;
+  }
+
+  const state = job.data?.summary?.overallState || job.data?.scores?.state;
+  const stateInfo = STATE_DISPLAY[state] || STATE_DISPLAY.degraded;
+
+  const unit = job.mode === 'batch' ? 'URLs' : 'regions';
+  let message = `${stateInfo.emoji} ${job.url}: ${stateInfo.label} (${job.completed}/${job.total} ${unit})`;
+
+  // Failed assertions mean the wrong content is live even when every region is up
+  const evaluation = job.evaluation;
+  if (evaluation) {
+    message += ` · ${formatVerdict(evaluation)}`;
+  }
+  const show = evaluation?.verdict === 'fail' ? vscode.window.showWarningMessage : vscode.window.showInformationMessage;
+
+  const action = await show(message, 'View Results');
+
+  if (action === 'View Results') {
+    if (job.mode === 'batch') {
+      resultsPanel.showBatch(job.data);
+    } else {
+      resultsPanel.showJobDetails(job.data, { continents: job.continents, assertions: job.assertions, preflight: job.preflight });
+    }
+  }
+}
+
 /**
  * Deactivate the extension
  */
@@ -110,35 +312,55 @@ function deactivate() {
   if (statusBarItem) {
     statusBarItem.dispose();
   }
+  if (profileStatusBarItem) {
+    profileStatusBarItem.dispose();
+  }
 }
 
 /**
  * Setup MCP configuration automatically
  * Creates/updates mcp.json in the workspace and user's home directory
- * Also writes API key to a secure config file for MCP server to read
+ * Also writes the active profile's API key and base URL to a secure config file for MCP server to read
  */
-async function setupMcpConfig(context) {
+async function setupMcpConfig(context, profileManager, regionPreferences) {
   try {
     const extensionPath = context.extensionPath;
     const mcpServerPath = path.join(extensionPath, 'src', 'mcp', 'index.js');
 
-    // Get API key from secure storage
-    const apiKey = await context.secrets.get('uprockVerify.apiKey');
+    // Get the active profile's API key from secure storage
+    const profile = profileManager.getActiveProfile();
+    const apiKey = await profileManager.getApiKey(profile.name);
 
     // Write API key to a secure config file that MCP server can read
+    // (rewritten without a key when the active profile has none, so the MCP server never uses a stale one)
     const homeDir = process.env.HOME || process.env.USERPROFILE;
-    if (homeDir && apiKey) {
-      const configDir = path.join(homeDir, '.uprock-verify');
-      const configFile = path.join(configDir, 'config.json');
+    const configDir = homeDir && path.join(homeDir, '.uprock-verify');
+    const configFile = homeDir && path.join(configDir, 'config.json');
+    if (homeDir && (apiKey || fs.existsSync(configFile))) {
 
       // Create directory if it doesn't exist
       if (!fs.existsSync(configDir)) {
         fs.mkdirSync(configDir, { recursive: true, mode: 0o700 });
       }
 
+      // Share proxy/CA settings so the MCP server connects the same way the extension does
+      const network = getNetworkSettings();
+      const config = {
+        apiKey,
+        apiUrl: profile.apiBaseUrl,
+        profile: profile.name,
+        teamId: profileManager.getTeam(profile.name)?.id || null,
+        defaultRegion: regionPreferences.getDefaultRegion(),
+        maxScansPerSession: vscode.workspace.getConfiguration('uprockVerify').get('mcpMaxScansPerSession') || 0,
+        proxy: network.proxy,
+        noProxy: network.noProxy,
+        proxyStrictSSL: network.strictSSL,
+        caCertificates: network.caFiles
+      };
+
       // Write config with restricted permissions
-      fs.writeFileSync(configFile, JSON.stringify({ apiKey }, null, 2), { mode: 0o600 });
-      console.log('MCP config credentials written to:', configFile);
+      fs.writeFileSync(configFile, JSON.stringify(config, null, 2), { mode: 0o600 });
+      logger.info(`MCP credentials for profile "${profile.name}" written to ${configFile}`);
     }
 
     const mcpConfig = {
@@ -182,7 +404,7 @@ async function setupMcpConfig(context) {
 
       // Write the config
       fs.writeFileSync(mcpConfigPath, JSON.stringify(existingConfig, null, 2));
-      console.log('MCP config written to workspace:', mcpConfigPath);
+      logger.info(`MCP config written to workspace: ${mcpConfigPath}`);
     }
 
     // 2. Setup in user's home directory for Claude Desktop
@@ -212,7 +434,7 @@ async function setupMcpConfig(context) {
 
       // Write the config
       fs.writeFileSync(claudeConfigPath, JSON.stringify(claudeConfig, null, 2));
-      console.log('MCP config written to Claude Desktop:', claudeConfigPath);
+      logger.info(`MCP config written to Claude Desktop: ${claudeConfigPath}`);
 
       // 3. Setup for Windsurf IDE
       const windsurfConfigDir = path.join(homeDir, '.codeium', 'windsurf');
@@ -239,7 +461,7 @@ async function setupMcpConfig(context) {
 
       // Write the config
       fs.writeFileSync(windsurfConfigPath, JSON.stringify(windsurfConfig, null, 2));
-      console.log('MCP config written to Windsurf:', windsurfConfigPath);
+      logger.info(`MCP config written to Windsurf: ${windsurfConfigPath}`);
 
       // 4. Setup for Cursor IDE
       const cursorConfigDir = path.join(homeDir, '.cursor');
@@ -266,7 +488,7 @@ async function setupMcpConfig(context) {
 
       // Write the config
       fs.writeFileSync(cursorConfigPath, JSON.stringify(cursorConfig, null, 2));
-      console.log('MCP config written to Cursor:', cursorConfigPath);
+      logger.info(`MCP config written to Cursor: ${cursorConfigPath}`);
 
       // 5. Setup for VSCode (user-level MCP config)
       const vscodeUserDir = path.join(homeDir, '.vscode');
@@ -297,11 +519,11 @@ async function setupMcpConfig(context) {
 
       // Write the config
       fs.writeFileSync(vscodeMcpPath, JSON.stringify(vscodeMcpConfig, null, 2));
-      console.log('MCP config written to VSCode:', vscodeMcpPath);
+      logger.info(`MCP config written to VSCode: ${vscodeMcpPath}`);
     }
 
   } catch (error) {
-    console.error('Failed to setup MCP config:', error);
+    logger.error('Failed to set up MCP config', error);
     // Don't throw - MCP setup failure shouldn't break the extension
   }
 }
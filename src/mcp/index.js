@@ -11,7 +11,18 @@
  *
  * Environment variables:
  *   UPROCK_API_KEY - Your UpRock Verify API key
- *   UPROCK_API_URL - API base URL (optional)
+ *   UPROCK_API_URL - API base URL (optional, defaults to the extension's active profile)
+ *   UPROCK_MAX_RETRIES - Retries for transient API failures (optional, default: 3)
+ *   UPROCK_RETRY_BASE_DELAY - Base backoff delay in ms (optional, default: 1000)
+ *   UPROCK_TEAM_ID - Team to attribute verifications to and scope history by (optional)
+ *   UPROCK_DEFAULT_REGION - Region quick_verify uses when none is given (optional)
+ *   UPROCK_MAX_SCANS_PER_SESSION - Scans this server may spend before refusing verifications (optional, 0 = no cap)
+ *   HTTPS_PROXY / HTTP_PROXY - Proxy for API requests (optional)
+ *   NO_PROXY - Hosts that bypass the proxy (optional)
+ *   NODE_EXTRA_CA_CERTS - Extra PEM root certificates to trust (optional)
+ *
+ * Proxy, CA, default region and session cap settings not given in the environment are read from
+ * ~/.uprock-verify/config.json, which the extension keeps in sync.
  */
 
 const { Server } = require('@modelcontextprotocol/sdk/server/index.js');
@@ -21,12 +32,80 @@ const {
   ListToolsRequestSchema,
 } = require('@modelcontextprotocol/sdk/types.js');
 const axios = require('axios');
+const crypto = require('crypto');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const http = require('http');
+const https = require('https');
+const tls = require('tls');
+const { HttpsProxyAgent } = require('https-proxy-agent');
 
 // Configuration
-const API_BASE_URL = process.env.UPROCK_API_URL || 'https://768q7f2qhge7.share.zrok.io';
+// Falls back to the base URL of the extension's active profile
+const API_BASE_URL = process.env.UPROCK_API_URL || readConfigFile().apiUrl || 'https://768q7f2qhge7.share.zrok.io';
 const EXTENSION_VERSION = '1.0.0';
+const MAX_RETRIES = readNonNegative(process.env.UPROCK_MAX_RETRIES, 3);
+const RETRY_BASE_DELAY = readNonNegative(process.env.UPROCK_RETRY_BASE_DELAY, 1000);
+
+// Transient failures worth retrying (the API sits behind a tunnel that blips)
+const RETRYABLE_STATUS_CODES = [429, 502, 503, 504];
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN'];
+const MAX_RETRY_DELAY = 30000;
+const MAX_RETRY_AFTER = 60000;
+
+// Region codes a verification can run from
+const CONTINENT_CODES = ['NA', 'EU', 'AS', 'AF', 'OC', 'SA'];
+
+// Region for quick checks; follows the extension's uprockVerify.defaultRegion setting
+const DEFAULT_REGION = [process.env.UPROCK_DEFAULT_REGION, readConfigFile().defaultRegion]
+  .find(region => CONTINENT_CODES.includes(region)) || 'NA';
+
+// Scans this server may spend before it refuses further verifications (0 = no cap);
+// follows the extension's uprockVerify.mcpMaxScansPerSession setting
+const MAX_SCANS_PER_SESSION = Math.max(0,
+  parseInt(process.env.UPROCK_MAX_SCANS_PER_SESSION || readConfigFile().maxScansPerSession || '0', 10) || 0);
+
+// Scans spent by verifications accepted since this server started
+let sessionScans = 0;
+
+// Certificate errors that usually mean a proxy or antivirus is intercepting HTTPS
+const TLS_ERROR_CODES = [
+  'SELF_SIGNED_CERT_IN_CHAIN',
+  'DEPTH_ZERO_SELF_SIGNED_CERT',
+  'UNABLE_TO_GET_ISSUER_CERT',
+  'UNABLE_TO_GET_ISSUER_CERT_LOCALLY',
+  'UNABLE_TO_VERIFY_LEAF_SIGNATURE',
+  'CERT_UNTRUSTED',
+  'CERT_HAS_EXPIRED',
+  'ERR_TLS_CERT_ALTNAME_INVALID'
+];
+
+/**
+ * Read ~/.uprock-verify/config.json written by the extension
+ */
+function readConfigFile() {
+  const homeDir = process.env.HOME || process.env.USERPROFILE;
+  if (!homeDir) return {};
+
+  const configFile = path.join(homeDir, '.uprock-verify', 'config.json');
+  if (!fs.existsSync(configFile)) return {};
+
+  try {
+    return JSON.parse(fs.readFileSync(configFile, 'utf8')) || {};
+  } catch (e) {
+    // Config file invalid or unreadable
+    return {};
+  }
+}
+
+/**
+ * Read a numeric setting; missing or non-numeric values use the default, negatives become 0
+ */
+function readNonNegative(value, fallback) {
+  const number = parseInt(value, 10);
+  return Number.isFinite(number) ? Math.max(0, number) : fallback;
+}
 
 /**
  * Parse shell profile file to extract UPROCK_API_KEY
@@ -83,14 +162,9 @@ function getApiKey() {
     }
 
     // Then check secure config file
-    const configFile = path.join(homeDir, '.uprock-verify', 'config.json');
-    if (fs.existsSync(configFile)) {
-      try {
-        const config = JSON.parse(fs.readFileSync(configFile, 'utf8'));
-        return config.apiKey;
-      } catch (e) {
-        // Config file invalid or unreadable
-      }
+    const config = readConfigFile();
+    if (config.apiKey) {
+      return config.apiKey;
     }
   }
 
@@ -99,6 +173,170 @@ function getApiKey() {
 
 const API_KEY = getApiKey();
 
+/**
+ * Proxy agent that also applies our CA/strictSSL options to the tunnelled TLS connection
+ * (HttpsProxyAgent only uses its constructor options for the connection to the proxy)
+ */
+class TlsProxyAgent extends HttpsProxyAgent {
+  constructor(proxy, options) {
+    super(proxy, options);
+    this.tlsOptions = { ca: options.ca, rejectUnauthorized: options.rejectUnauthorized };
+  }
+
+  connect(req, opts) {
+    return super.connect(req, { ...opts, ...this.tlsOptions });
+  }
+}
+
+/**
+ * Check whether a URL's host matches a NO_PROXY list
+ * Entries may be `*`, a host, a `.domain` / `*.domain` suffix, optionally with `:port`.
+ */
+function isProxyBypassed(targetUrl, noProxy) {
+  const { hostname, port, protocol } = new URL(targetUrl);
+  const targetPort = port || (protocol === 'https:' ? '443' : '80');
+  const host = hostname.toLowerCase();
+
+  return noProxy.some((entry) => {
+    if (entry === '*') return true;
+    const [entryHost, entryPort] = entry.toLowerCase().split(':');
+    if (entryPort && entryPort !== targetPort) return false;
+    const domain = entryHost.replace(/^\*?\./, '');
+    return host === domain || host.endsWith(`.${domain}`);
+  });
+}
+
+/**
+ * Build axios proxy/TLS options from the environment, falling back to the extension's settings
+ * Mirrors src/api/network.js; axios' own proxy handling is disabled in favour of the agents.
+ */
+function createNetworkOptions(baseUrl) {
+  const env = process.env;
+  const config = readConfigFile();
+
+  const proxy = env.HTTPS_PROXY || env.https_proxy || env.HTTP_PROXY || env.http_proxy || config.proxy || null;
+  const noProxyEnv = env.NO_PROXY || env.no_proxy;
+  const noProxy = (noProxyEnv !== undefined ? noProxyEnv.split(',') : config.noProxy || [])
+    .map(entry => entry.trim())
+    .filter(Boolean);
+
+  const caFiles = env.NODE_EXTRA_CA_CERTS ? [env.NODE_EXTRA_CA_CERTS] : [];
+  for (const file of config.caCertificates || []) {
+    if (!caFiles.includes(file)) caFiles.push(file);
+  }
+
+  const agentOptions = {
+    rejectUnauthorized: config.proxyStrictSSL !== false,
+    keepAlive: true
+  };
+  if (caFiles.length) {
+    const extra = caFiles.map((file) => {
+      try {
+        return fs.readFileSync(path.resolve(file.replace(/^~(?=$|[\\/])/, os.homedir())), 'utf8');
+      } catch (error) {
+        throw new ApiError(`Unable to read CA certificate file "${file}": ${error.message}`, 'TLS');
+      }
+    });
+    agentOptions.ca = [...tls.rootCertificates, ...extra];
+  }
+
+  if (proxy && !isProxyBypassed(baseUrl, noProxy)) {
+    const agent = new TlsProxyAgent(proxy, agentOptions);
+    return { httpAgent: agent, httpsAgent: agent, proxy: false };
+  }
+
+  return {
+    httpAgent: new http.Agent({ keepAlive: true }),
+    httpsAgent: new https.Agent(agentOptions),
+    proxy: false
+  };
+}
+
+/**
+ * Check whether an axios error is transient
+ */
+function isRetryableError(error) {
+  if (error.response) {
+    return RETRYABLE_STATUS_CODES.includes(error.response.status);
+  }
+  return RETRYABLE_ERROR_CODES.includes(error.code);
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) into milliseconds, or null
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  const retryAfter = Number.isNaN(seconds) ? Date.parse(value) - Date.now() : seconds * 1000;
+  return Number.isNaN(retryAfter) ? null : Math.max(0, retryAfter);
+}
+
+/**
+ * Compute the delay before the next attempt, honoring Retry-After
+ * Falls back to exponential backoff with full jitter. Returns null if not worth waiting.
+ */
+function getRetryDelay(attempt, retryAfter) {
+  if (retryAfter !== null) {
+    return retryAfter <= MAX_RETRY_AFTER ? retryAfter : null;
+  }
+
+  const ceiling = Math.min(RETRY_BASE_DELAY * Math.pow(2, attempt), MAX_RETRY_DELAY);
+  return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * API error with a machine-readable code
+ * Codes match the extension's taxonomy (src/api/errors.js): AUTH_MISSING, AUTH_INVALID,
+ * QUOTA_EXHAUSTED, RATE_LIMITED, TIMEOUT, NETWORK, SERVER_ERROR, VALIDATION, TLS
+ */
+class ApiError extends Error {
+  constructor(message, code, { status, retryAfter } = {}) {
+    super(message);
+    this.code = code;
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * Convert an axios error into a coded ApiError
+ */
+function toApiError(error) {
+  if (error.response) {
+    const status = error.response.status;
+    const errorMsg = error.response.data?.error || error.response.statusText;
+    const message = `API Error (${status}): ${errorMsg}`;
+    const isQuota = /quota|scan limit|no scans|scans remaining|upgrade/i.test(errorMsg || '');
+
+    if (status === 401) return new ApiError(message, 'AUTH_INVALID', { status });
+    if (status === 402 || ((status === 403 || status === 429) && isQuota)) {
+      return new ApiError(message, 'QUOTA_EXHAUSTED', { status });
+    }
+    if (status === 403) return new ApiError(message, 'AUTH_INVALID', { status });
+    if (status === 429) {
+      const retryAfter = parseRetryAfter(error.response.headers?.['retry-after']);
+      return new ApiError(message, 'RATE_LIMITED', { status, retryAfter });
+    }
+    if (status === 400 || status === 404 || status === 422) {
+      return new ApiError(message, 'VALIDATION', { status });
+    }
+    return new ApiError(message, 'SERVER_ERROR', { status });
+  }
+
+  if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+    return new ApiError('Request timed out', 'TIMEOUT');
+  }
+  if (TLS_ERROR_CODES.includes(error.code)) {
+    return new ApiError(
+      `TLS certificate verification failed (${error.code}). If a proxy or security software ` +
+      'intercepts HTTPS on your network, point NODE_EXTRA_CA_CERTS at its root certificate.',
+      'TLS'
+    );
+  }
+  return new ApiError(`Network Error: ${error.message}`, 'NETWORK');
+}
+
 /**
  * Standalone API client for MCP server
  */
@@ -106,15 +344,30 @@ class StandaloneApiClient {
   constructor() {
     this.baseUrl = API_BASE_URL;
     this.apiKey = API_KEY;
+    this.network = null;
+    // Team selected in the extension; scopes verifications and history by default
+    this.teamId = process.env.UPROCK_TEAM_ID || readConfigFile().teamId || null;
   }
 
-  async request(method, endpoint, data = null) {
+  /**
+   * Make an authenticated API request
+   * GETs, and POSTs with an idempotency key, are retried on transient failures.
+   */
+  async request(method, endpoint, data = null, options = {}) {
     if (!this.apiKey) {
-      throw new Error('API key not configured. Please set your API key in the UpRock Verify extension.');
+      throw new ApiError('API key not configured. Please set your API key in the UpRock Verify extension.', 'AUTH_MISSING');
+    }
+
+    const canRetry = method === 'GET' || !!options.idempotencyKey;
+    const maxRetries = canRetry ? MAX_RETRIES : 0;
+
+    if (!this.network) {
+      this.network = createNetworkOptions(this.baseUrl);
     }
 
     try {
       const requestConfig = {
+        ...this.network,
         method,
         url: `${this.baseUrl}${endpoint}`,
         headers: {
@@ -132,17 +385,28 @@ class StandaloneApiClient {
         requestConfig.data = data;
       }
 
-      const response = await axios(requestConfig);
-      return response.data;
-    } catch (error) {
-      if (error.response) {
-        const errorMsg = error.response.data?.error || error.response.statusText;
-        throw new Error(`API Error (${error.response.status}): ${errorMsg}`);
-      } else if (error.code === 'ECONNABORTED') {
-        throw new Error('Request timed out');
-      } else {
-        throw new Error(`Network Error: ${error.message}`);
+      if (options.idempotencyKey) {
+        requestConfig.headers['Idempotency-Key'] = options.idempotencyKey;
+      }
+
+      for (let attempt = 0; ; attempt++) {
+        try {
+          const response = await axios(requestConfig);
+          return response.data;
+        } catch (error) {
+          if (attempt >= maxRetries || !isRetryableError(error)) {
+            throw error;
+          }
+
+          const delay = getRetryDelay(attempt, parseRetryAfter(error.response?.headers?.['retry-after']));
+          if (delay === null) {
+            throw error;
+          }
+          await new Promise(resolve => setTimeout(resolve, delay));
+        }
       }
+    } catch (error) {
+      throw toApiError(error);
     }
   }
 
@@ -150,16 +414,36 @@ class StandaloneApiClient {
     return !!this.apiKey;
   }
 
-  async verify(url) {
-    return this.request('POST', '/extension/verify', { url });
+  withTeam(body) {
+    return this.teamId ? { ...body, team_id: this.teamId } : body;
   }
 
-  async verifyDev(url, continent = 'NA') {
-    return this.request('POST', '/extension/verify', { url, continent, mode: 'dev' });
+  // Extra headers for protected sites (bypass tokens, Authorization, Cookie) go in requestHeaders
+  withHeaders(body, headers) {
+    return headers && Object.keys(headers).length ? { ...body, requestHeaders: headers } : body;
   }
 
-  async batchVerify(urls) {
-    return this.request('POST', '/extension/verify', { urls, mode: 'batch' });
+  // Verification submissions carry an idempotency key so retries aren't charged twice
+  async verify(url, continents = null, headers = null) {
+    const body = this.withHeaders({ url }, headers);
+    // Only a strict subset changes the request; all six is a plain global verification
+    if (continents?.length && continents.length < CONTINENT_CODES.length) {
+      body.continents = continents;
+    }
+    return this.request('POST', '/extension/verify', this.withTeam(body), { idempotencyKey: crypto.randomUUID() });
+  }
+
+  async verifyDev(url, continent = DEFAULT_REGION, headers = null) {
+    const body = this.withHeaders({ url, continent, mode: 'dev' }, headers);
+    return this.request('POST', '/extension/verify', this.withTeam(body), { idempotencyKey: crypto.randomUUID() });
+  }
+
+  async batchVerify(urls, headers = null) {
+    const body = { urls, mode: 'batch' };
+    if (headers && Object.keys(headers).length) {
+      body.requestOptions = urls.map(url => ({ url, requestHeaders: headers }));
+    }
+    return this.request('POST', '/extension/verify', this.withTeam(body), { idempotencyKey: crypto.randomUUID() });
   }
 
   async getJobStatus(jobId) {
@@ -170,6 +454,10 @@ class StandaloneApiClient {
     return this.request('GET', `/extension/job/${jobId}/details`);
   }
 
+  async cancelJob(jobId) {
+    return this.request('POST', `/extension/job/${jobId}/cancel`, {});
+  }
+
   async getAccountStatus() {
     return this.request('GET', '/extension/status');
   }
@@ -186,6 +474,8 @@ class StandaloneApiClient {
     const params = new URLSearchParams();
     if (options.page) params.append('page', options.page);
     if (options.limit) params.append('limit', options.limit);
+    const teamId = options.team_id !== undefined ? options.team_id : this.teamId;
+    if (teamId) params.append('team_id', teamId);
     if (options.status) params.append('status', options.status);
     if (options.continent) params.append('continent', options.continent);
     if (options.url) params.append('url', options.url);
@@ -198,27 +488,395 @@ class StandaloneApiClient {
   }
 }
 
+/**
+ * Clean up the assertions passed to a tool; null when there is nothing to check
+ * Mirrors src/services/assertions.js.
+ */
+function normalizeAssertions(input) {
+  if (!input || typeof input !== 'object') return null;
+
+  const strings = (value) => (Array.isArray(value) ? value : [value])
+    .filter(item => typeof item === 'string' && item !== '');
+  const status = (Array.isArray(input.status) ? input.status : [input.status])
+    .map(Number)
+    .filter(code => Number.isInteger(code) && code >= 100 && code <= 599);
+  const maxResponseTime = Number(input.maxResponseTime);
+
+  const assertions = {
+    status,
+    bodyContains: strings(input.bodyContains),
+    bodyNotContains: strings(input.bodyNotContains),
+    bodyMatches: strings(input.bodyMatches),
+    titleContains: strings(input.titleContains),
+    titleMatches: strings(input.titleMatches),
+    maxResponseTime: maxResponseTime > 0 ? maxResponseTime : null
+  };
+
+  const isEmpty = Object.values(assertions).every(value => Array.isArray(value) ? value.length === 0 : value === null);
+  return isEmpty ? null : assertions;
+}
+
+/**
+ * Evaluate assertions against per-region results
+ * A check passes only when every completed region passes it; a check no region
+ * reported data for is skipped and makes the verdict inconclusive.
+ */
+function evaluateAssertions(assertions, regions) {
+  const completed = (regions || []).filter(r => r.status === 'completed' || r.success || r.httpStatus);
+  const checks = [];
+
+  const run = (label, getValue, test, describe) => {
+    const failures = [];
+    let checkedCount = 0;
+    for (const region of completed) {
+      const value = getValue(region);
+      if (value === null || value === undefined) continue;
+      checkedCount++;
+      if (!test(value)) {
+        const where = region.continent || 'result';
+        failures.push(describe ? `${where} (${describe(value)})` : where);
+      }
+    }
+
+    let status = 'skipped';
+    let details = completed.length ? 'Not reported for any region' : 'No completed regions';
+    if (failures.length) {
+      status = 'fail';
+      details = `Failed in ${failures.join(', ')}`;
+    } else if (checkedCount) {
+      status = 'pass';
+      details = `Passed in ${checkedCount} region${checkedCount === 1 ? '' : 's'}`;
+    }
+    checks.push({ label, status, details });
+  };
+
+  const getTitle = (r) => typeof (r.pageTitle ?? r.title) === 'string' ? (r.pageTitle ?? r.title) : null;
+  const getBody = (r) => {
+    const body = r.bodyText ?? r.body ?? r.content ?? r.html;
+    return typeof body === 'string' ? body : null;
+  };
+
+  if (assertions.status.length) {
+    run(`HTTP status is ${assertions.status.join(' or ')}`, r => r.httpStatus, v => assertions.status.includes(Number(v)), v => `HTTP ${v}`);
+  }
+  for (const text of assertions.titleContains) {
+    run(`Title contains "${text}"`, getTitle, title => title.includes(text));
+  }
+  for (const pattern of assertions.titleMatches) {
+    const regex = toRegExp(pattern);
+    run(`Title matches ${pattern}`, getTitle, title => !!regex && regex.test(title));
+  }
+  for (const text of assertions.bodyContains) {
+    run(`Body contains "${text}"`, getBody, body => body.includes(text));
+  }
+  for (const pattern of assertions.bodyMatches) {
+    const regex = toRegExp(pattern);
+    run(`Body matches ${pattern}`, getBody, body => !!regex && regex.test(body));
+  }
+  for (const text of assertions.bodyNotContains) {
+    run(`Body does not contain "${text}"`, getBody, body => !body.includes(text));
+  }
+  if (assertions.maxResponseTime) {
+    run(`Response time ≤ ${assertions.maxResponseTime}ms`, r => r.responseTime || null, v => v <= assertions.maxResponseTime, v => `${v}ms`);
+  }
+
+  const count = (status) => checks.filter(check => check.status === status).length;
+  const failed = count('fail');
+  const skipped = count('skipped');
+  const verdict = failed ? 'fail' : skipped ? 'inconclusive' : 'pass';
+
+  return { verdict, passed: count('pass'), failed, skipped, checks };
+}
+
+/**
+ * Compile "/source/flags" or a plain pattern; null when invalid, which fails the check
+ */
+function toRegExp(pattern) {
+  try {
+    const literal = pattern.match(/^\/(.+)\/([a-z]*)$/);
+    return literal ? new RegExp(literal[1], literal[2].replace(/[gy]/g, '')) : new RegExp(pattern);
+  } catch {
+    return null;
+  }
+}
+
+// Assertions given to verify_url/quick_verify by job ID, so later status calls can report a verdict
+const jobAssertions = new Map();
+const MAX_REMEMBERED_JOBS = 100;
+
+function rememberAssertions(jobId, assertions, continents) {
+  if (!jobId || !assertions) return;
+  jobAssertions.set(jobId, { assertions, continents });
+  if (jobAssertions.size > MAX_REMEMBERED_JOBS) {
+    jobAssertions.delete(jobAssertions.keys().next().value);
+  }
+}
+
+/**
+ * Add the assertion verdict to a completed result
+ * Results that are still pending are returned unchanged.
+ */
+function withVerdict(result, assertions, continents = null) {
+  const data = result?.data || result;
+  if (!assertions || !data || typeof data !== 'object') return result;
+
+  const results = Array.isArray(data.results) ? data.results : Array.isArray(data.continents) ? data.continents : null;
+  const isFinished = data.status ? data.status === 'completed' : !!(results || data.scores || data.httpStatus);
+  if (!isFinished) return result;
+
+  const all = results || [data];
+  const regions = continents?.length ? all.filter(r => continents.includes(r.continent)) : all;
+  const { verdict, ...evaluation } = evaluateAssertions(assertions, regions);
+  return { ...result, verdict, assertions: evaluation };
+}
+
+/**
+ * Chunked batches (same rules as the extension's batch runner)
+ * The API verifies at most BATCH_SIZE URLs per batch. Longer lists get a "batch-" ID
+ * whose chunks are submitted a few at a time; polling it submits the next chunks as
+ * earlier ones finish and merges their results in the order the URLs were given.
+ * Kept in memory, so batch IDs don't survive a restart of the server.
+ */
+const BATCH_SIZE = 10;
+const MAX_ACTIVE_CHUNKS = 3;
+const SUBMIT_INTERVAL = 1000;
+const FATAL_ERROR_CODES = ['AUTH_MISSING', 'AUTH_INVALID', 'QUOTA_EXHAUSTED'];
+const FINAL_STATUSES = ['completed', 'failed', 'timeout', 'cancelled'];
+// Status checks of a chunk that may fail in a row before the chunk is reported failed
+const MAX_CHUNK_POLL_ERRORS = 3;
+const batchGroups = new Map();
+
+async function submitBatch(apiClient, urls, headers) {
+  if (urls.length <= BATCH_SIZE) {
+    return apiClient.batchVerify(urls, headers);
+  }
+
+  const id = `batch-${crypto.randomUUID()}`;
+  const group = {
+    id,
+    headers,
+    startedAt: Date.now(),
+    chunks: []
+  };
+  for (let i = 0; i < urls.length; i += BATCH_SIZE) {
+    group.chunks.push({ urls: urls.slice(i, i + BATCH_SIZE), jobId: null, status: 'queued', results: null, error: null });
+  }
+
+  // The first chunk's failure fails the call, like an unchunked batch
+  await submitNextChunks(apiClient, group, { throwFirst: true });
+
+  batchGroups.set(id, group);
+  if (batchGroups.size > MAX_REMEMBERED_JOBS) {
+    batchGroups.delete(batchGroups.keys().next().value);
+  }
+
+  return {
+    success: true,
+    jobId: id,
+    status: 'processing',
+    totalUrls: urls.length,
+    chunks: group.chunks.map(chunk => ({ jobId: chunk.jobId, status: chunk.status, urls: chunk.urls.length })),
+    message: `Verifying ${urls.length} URLs in ${group.chunks.length} batches of up to ${BATCH_SIZE}. Poll get_job_status with this jobId; remaining batches are submitted as earlier ones finish.`
+  };
+}
+
+/**
+ * Submit queued chunks until MAX_ACTIVE_CHUNKS are running
+ * Each chunk counts toward the session's scans once it is accepted.
+ */
+async function submitNextChunks(apiClient, group, { throwFirst = false } = {}) {
+  let active = group.chunks.filter(chunk => chunk.status === 'processing').length;
+  for (const chunk of group.chunks) {
+    if (active >= MAX_ACTIVE_CHUNKS) break;
+    if (chunk.status !== 'queued') continue;
+
+    if (group.chunks.some(c => c.status !== 'queued')) {
+      await new Promise(resolve => setTimeout(resolve, SUBMIT_INTERVAL));
+    }
+    // Other calls may have spent scans since the batch was accepted
+    if (MAX_SCANS_PER_SESSION > 0 && sessionScans + chunk.urls.length > MAX_SCANS_PER_SESSION) {
+      chunk.status = 'failed';
+      chunk.error = `Not submitted: session scan limit of ${MAX_SCANS_PER_SESSION} reached`;
+      continue;
+    }
+    try {
+      const result = await apiClient.batchVerify(chunk.urls, group.headers);
+      const data = result?.data || result;
+      if (result?.success === false) {
+        throw new ApiError(result.error || 'Batch verification failed', 'SERVER_ERROR');
+      }
+      sessionScans += chunk.urls.length;
+      chunk.jobId = data.jobId || null;
+      if (Array.isArray(data.results)) {
+        chunk.status = 'completed';
+        chunk.results = data.results;
+      } else {
+        chunk.status = 'processing';
+        active++;
+      }
+    } catch (error) {
+      if (throwFirst && chunk === group.chunks[0]) throw error;
+
+      // Auth and quota errors would fail every remaining chunk the same way
+      const failing = FATAL_ERROR_CODES.includes(error.code)
+        ? group.chunks.filter(c => c.status === 'queued')
+        : [chunk];
+      for (const c of failing) {
+        c.status = 'failed';
+        c.error = `Not submitted: ${error.message}`;
+      }
+    }
+  }
+}
+
+/**
+ * Poll a chunked batch's running chunks, submit the next ones and merge the results
+ */
+async function getBatchStatus(apiClient, id) {
+  const group = batchGroups.get(id);
+  if (!group) {
+    throw new ApiError(`Unknown batch ID ${id}. Batch IDs are kept until the MCP server restarts; check the chunk job IDs returned by batch_verify instead.`, 'VALIDATION');
+  }
+
+  for (const chunk of group.chunks.filter(c => c.status === 'processing')) {
+    let result;
+    try {
+      result = await apiClient.getJobStatus(chunk.jobId);
+    } catch (error) {
+      // One chunk's errors must not hide the others or stall the queued ones
+      chunk.pollErrors = (chunk.pollErrors || 0) + 1;
+      chunk.error = `Status check failed: ${error.message}`;
+      if (chunk.pollErrors >= MAX_CHUNK_POLL_ERRORS) {
+        chunk.status = 'failed';
+      }
+      continue;
+    }
+    chunk.pollErrors = 0;
+    const data = result?.data || result;
+    if (FINAL_STATUSES.includes(data?.status)) {
+      chunk.status = data.status;
+      chunk.results = Array.isArray(data.results) ? data.results : null;
+      chunk.error = data.status === 'completed' ? null : data.error || `Job ${data.status}`;
+    } else {
+      chunk.completed = data?.completedJobs || 0;
+      chunk.error = null;
+    }
+  }
+  await submitNextChunks(apiClient, group);
+
+  const toKey = (url) => String(url || '').toLowerCase().replace(/\/+$/, '');
+  const results = group.chunks.flatMap((chunk) => chunk.urls.map((url) => {
+    if (chunk.status === 'completed') {
+      return (chunk.results || []).find(r => toKey(r.url) === toKey(url)) || { url, status: 'failed', error: 'No result returned' };
+    }
+    if (FINAL_STATUSES.includes(chunk.status)) {
+      return { url, status: chunk.status === 'cancelled' ? 'cancelled' : 'failed', error: chunk.error };
+    }
+    return { url, status: chunk.status === 'queued' ? 'queued' : 'processing' };
+  }));
+
+  const count = (status) => results.filter(r => r.status === status).length;
+  const isFinished = group.chunks.every(chunk => FINAL_STATUSES.includes(chunk.status));
+  const finishedUrls = group.chunks
+    .map(chunk => FINAL_STATUSES.includes(chunk.status) ? chunk.urls.length : chunk.completed || 0)
+    .reduce((sum, n) => sum + n, 0);
+
+  return {
+    success: true,
+    data: {
+      jobId: id,
+      status: isFinished ? 'completed' : 'processing',
+      totalJobs: results.length,
+      completedJobs: finishedUrls,
+      summary: {
+        total: results.length,
+        completed: count('completed'),
+        failed: count('failed'),
+        cancelled: count('cancelled'),
+        pending: count('queued') + count('processing')
+      },
+      elapsedSeconds: Math.round((Date.now() - group.startedAt) / 1000),
+      chunks: group.chunks.map(chunk => ({
+        jobId: chunk.jobId,
+        status: chunk.status,
+        urls: chunk.urls.length,
+        error: chunk.error || undefined
+      })),
+      results
+    }
+  };
+}
+
+/**
+ * Cancel a chunked batch: queued chunks are dropped and running ones cancelled
+ */
+async function cancelBatch(apiClient, id) {
+  const group = batchGroups.get(id);
+  if (!group) {
+    throw new ApiError(`Unknown batch ID ${id}`, 'VALIDATION');
+  }
+
+  for (const chunk of group.chunks) {
+    if (chunk.status === 'queued') {
+      chunk.status = 'cancelled';
+      chunk.error = 'Not submitted';
+    } else if (chunk.status === 'processing') {
+      await apiClient.cancelJob(chunk.jobId);
+      chunk.status = 'cancelled';
+      chunk.error = 'Cancelled';
+    }
+  }
+  return getBatchStatus(apiClient, id);
+}
+
 /**
  * Tool definitions
  */
+const ASSERTIONS_SCHEMA = {
+  type: 'object',
+  description: 'Optional checks for a pass/fail verdict once the job completes: expected HTTP status, text or regex ("/pattern/flags") the page title/body must contain, text it must not contain (e.g. "Maintenance"), and a max response time in ms',
+  properties: {
+    status: { type: 'array', items: { type: 'integer' }, description: 'Allowed HTTP status codes, e.g. [200]' },
+    titleContains: { type: 'array', items: { type: 'string' } },
+    titleMatches: { type: 'array', items: { type: 'string' } },
+    bodyContains: { type: 'array', items: { type: 'string' } },
+    bodyMatches: { type: 'array', items: { type: 'string' } },
+    bodyNotContains: { type: 'array', items: { type: 'string' } },
+    maxResponseTime: { type: 'number', description: 'Maximum response time in any region (ms)' }
+  }
+};
+
 const TOOLS = [
   {
     name: 'verify_url',
-    description: 'Verify a website URL across all 6 continents (NA, EU, AS, AF, OC, SA). Returns reachability scores, response times, and performance metrics from each region. The verification runs asynchronously - use get_job_status to check results.',
+    description: 'Verify a website URL across all 6 continents (NA, EU, AS, AF, OC, SA), or a chosen subset of them. Returns reachability scores, response times, and performance metrics from each region. The verification runs asynchronously - use get_job_status to check results. Pass assertions to get a pass/fail verdict telling whether the right deploy is live.',
     inputSchema: {
       type: 'object',
       properties: {
         url: {
           type: 'string',
           description: 'The URL to verify (e.g., https://example.com)'
-        }
+        },
+        continents: {
+          type: 'array',
+          items: { type: 'string', enum: CONTINENT_CODES },
+          minItems: 1,
+          uniqueItems: true,
+          description: 'Continents to test from (default: all 6). NA=North America, EU=Europe, AS=Asia, AF=Africa, OC=Oceania, SA=South America'
+        },
+        headers: {
+          type: 'object',
+          additionalProperties: { type: 'string' },
+          description: 'Optional request headers to send to the site, e.g. a protection bypass token, Authorization (basic auth) or Cookie'
+        },
+        assertions: ASSERTIONS_SCHEMA
       },
       required: ['url']
     }
   },
   {
     name: 'quick_verify',
-    description: 'Quick verification of a URL from a single region. Faster than full verification but only tests one continent.',
+    description: 'Quick verification of a URL from a single region. Faster than full verification but only tests one continent. Pass assertions to get a pass/fail verdict.',
     inputSchema: {
       type: 'object',
       properties: {
@@ -229,25 +887,35 @@ const TOOLS = [
         continent: {
           type: 'string',
           enum: ['NA', 'EU', 'AS', 'AF', 'OC', 'SA'],
-          description: 'Continent to test from: NA=North America, EU=Europe, AS=Asia, AF=Africa, OC=Oceania, SA=South America',
-          default: 'NA'
-        }
+          description: `Continent to test from (default: ${DEFAULT_REGION}): NA=North America, EU=Europe, AS=Asia, AF=Africa, OC=Oceania, SA=South America`,
+          default: DEFAULT_REGION
+        },
+        headers: {
+          type: 'object',
+          additionalProperties: { type: 'string' },
+          description: 'Optional request headers to send to the site, e.g. a protection bypass token, Authorization (basic auth) or Cookie'
+        },
+        assertions: ASSERTIONS_SCHEMA
       },
       required: ['url']
     }
   },
   {
     name: 'batch_verify',
-    description: 'Verify multiple URLs at once. Each URL is tested across all continents.',
+    description: 'Verify multiple URLs at once. Each URL is tested across all continents. More than 10 URLs are split into batches of 10 and tracked under one batch jobId, whose get_job_status merges the results of every batch.',
     inputSchema: {
       type: 'object',
       properties: {
         urls: {
           type: 'array',
           items: { type: 'string' },
-          description: 'Array of URLs to verify (max 10)',
-          minItems: 1,
-          maxItems: 10
+          description: 'Array of URLs to verify (each URL costs one scan)',
+          minItems: 1
+        },
+        headers: {
+          type: 'object',
+          additionalProperties: { type: 'string' },
+          description: 'Optional request headers to send to every URL, e.g. a protection bypass token, Authorization (basic auth) or Cookie'
         }
       },
       required: ['urls']
@@ -255,13 +923,17 @@ const TOOLS = [
   },
   {
     name: 'get_job_status',
-    description: 'Check the status and progress of a verification job. Returns status (pending/processing/completed), progress percentage, and partial results.',
+    description: 'Check the status and progress of a verification job. Returns status (pending/processing/completed), progress percentage, and partial results. Once completed, includes the verdict (pass/fail/inconclusive) and checklist for the assertions given to the verify request.',
     inputSchema: {
       type: 'object',
       properties: {
         jobId: {
           type: 'string',
-          description: 'The job ID returned from a verify request'
+          description: 'The job ID returned from a verify request (or the batch- ID of a batch of more than 10 URLs)'
+        },
+        assertions: {
+          ...ASSERTIONS_SCHEMA,
+          description: 'Assertions to evaluate instead of the ones given to the verify request'
         }
       },
       required: ['jobId']
@@ -269,13 +941,31 @@ const TOOLS = [
   },
   {
     name: 'get_job_details',
-    description: 'Get detailed results of a completed verification job including full metrics, response times, and performance data from all continents.',
+    description: 'Get detailed results of a completed verification job including full metrics, response times, and performance data from all continents. Once completed, includes the verdict (pass/fail/inconclusive) and checklist for the assertions given to the verify request.',
     inputSchema: {
       type: 'object',
       properties: {
         jobId: {
           type: 'string',
-          description: 'The job ID returned from a verify request'
+          description: 'The job ID returned from a verify request (or the batch- ID of a batch of more than 10 URLs)'
+        },
+        assertions: {
+          ...ASSERTIONS_SCHEMA,
+          description: 'Assertions to evaluate instead of the ones given to the verify request'
+        }
+      },
+      required: ['jobId']
+    }
+  },
+  {
+    name: 'cancel_job',
+    description: 'Cancel a verification job that is still pending or processing. Use this to stop a job started for the wrong URL and avoid wasting scans. For a batch- ID, batches not yet submitted are dropped too.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        jobId: {
+          type: 'string',
+          description: 'The job ID returned from a verify request (or the batch- ID of a batch of more than 10 URLs)'
         }
       },
       required: ['jobId']
@@ -283,7 +973,7 @@ const TOOLS = [
   },
   {
     name: 'get_account_status',
-    description: 'Get your UpRock Verify account status including remaining scans and plan details.',
+    description: 'Get your UpRock Verify account status including remaining scans and plan details, plus the scans this session has spent and its cap (if any).',
     inputSchema: {
       type: 'object',
       properties: {}
@@ -313,7 +1003,7 @@ const TOOLS = [
   },
   {
     name: 'get_history',
-    description: 'Get scan history with advanced filters. Filter by status, continent, URL pattern, date range, and more.',
+    description: 'Get scan history with advanced filters. Filter by team, status, continent, URL pattern, date range, and more.',
     inputSchema: {
       type: 'object',
       properties: {
@@ -327,6 +1017,10 @@ const TOOLS = [
           description: 'Results per page (1-50, default: 10)',
           default: 10
         },
+        team_id: {
+          type: 'string',
+          description: 'Filter by team ID (defaults to the team selected in the VS Code extension; pass an empty string for all teams)'
+        },
         status: {
           type: 'string',
           enum: ['pending', 'processing', 'completed', 'failed'],
@@ -354,6 +1048,15 @@ const TOOLS = [
   }
 ];
 
+/**
+ * Scans a tool call costs: one per URL verified
+ */
+function getScanCost(name, args) {
+  if (name === 'verify_url' || name === 'quick_verify') return 1;
+  if (name === 'batch_verify') return Array.isArray(args.urls) ? new Set(args.urls).size : 0;
+  return 0;
+}
+
 /**
  * Handle tool calls
  */
@@ -365,6 +1068,7 @@ async function handleToolCall(apiClient, name, args) {
           type: 'text',
           text: JSON.stringify({
             error: 'API key not configured',
+            code: 'AUTH_MISSING',
             message: 'Please set your API key in the UpRock Verify VS Code extension first, or set the UPROCK_API_KEY environment variable.'
           }, null, 2)
         }],
@@ -372,31 +1076,73 @@ async function handleToolCall(apiClient, name, args) {
       };
     }
 
+    // Refuse before submitting, so a runaway agent can't spend past the cap
+    const cost = getScanCost(name, args);
+    if (cost > 0 && MAX_SCANS_PER_SESSION > 0 && sessionScans + cost > MAX_SCANS_PER_SESSION) {
+      const left = MAX_SCANS_PER_SESSION - sessionScans;
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify({
+            error: `Session scan limit reached: ${name} needs ${cost} scan(s) but only ${left} of the ${MAX_SCANS_PER_SESSION} allowed this session ${left === 1 ? 'is' : 'are'} left`,
+            code: 'SESSION_LIMIT',
+            message: 'Ask the user before spending more scans. The cap is set by uprockVerify.mcpMaxScansPerSession in the VS Code extension or the UPROCK_MAX_SCANS_PER_SESSION environment variable, and resets when the MCP server restarts.',
+            session: { scansUsed: sessionScans, scansLimit: MAX_SCANS_PER_SESSION }
+          }, null, 2)
+        }],
+        isError: true
+      };
+    }
+
     let result;
 
     switch (name) {
-      case 'verify_url':
-        result = await apiClient.verify(args.url);
+      case 'verify_url': {
+        const assertions = normalizeAssertions(args.assertions);
+        result = await apiClient.verify(args.url, args.continents, args.headers);
+        rememberAssertions((result?.data || result)?.jobId, assertions, args.continents);
+        result = withVerdict(result, assertions, args.continents);
         break;
+      }
 
-      case 'quick_verify':
-        result = await apiClient.verifyDev(args.url, args.continent || 'NA');
+      case 'quick_verify': {
+        const assertions = normalizeAssertions(args.assertions);
+        result = await apiClient.verifyDev(args.url, args.continent || DEFAULT_REGION, args.headers);
+        rememberAssertions((result?.data || result)?.jobId, assertions, null);
+        result = withVerdict(result, assertions);
         break;
+      }
 
       case 'batch_verify':
-        result = await apiClient.batchVerify(args.urls);
+        result = await submitBatch(apiClient, [...new Set(args.urls)], args.headers);
         break;
 
       case 'get_job_status':
-        result = await apiClient.getJobStatus(args.jobId);
+      case 'get_job_details': {
+        if (String(args.jobId).startsWith('batch-')) {
+          result = await getBatchStatus(apiClient, args.jobId);
+          break;
+        }
+        result = name === 'get_job_status'
+          ? await apiClient.getJobStatus(args.jobId)
+          : await apiClient.getJobDetails(args.jobId);
+        const remembered = jobAssertions.get(args.jobId);
+        const assertions = normalizeAssertions(args.assertions) || remembered?.assertions;
+        result = withVerdict(result, assertions, remembered?.continents);
         break;
+      }
 
-      case 'get_job_details':
-        result = await apiClient.getJobDetails(args.jobId);
+      case 'cancel_job':
+        result = String(args.jobId).startsWith('batch-')
+          ? await cancelBatch(apiClient, args.jobId)
+          : await apiClient.cancelJob(args.jobId);
         break;
 
       case 'get_account_status':
-        result = await apiClient.getAccountStatus();
+        result = {
+          ...await apiClient.getAccountStatus(),
+          session: { scansUsed: sessionScans, scansLimit: MAX_SCANS_PER_SESSION || null }
+        };
         break;
 
       case 'list_recent_scans':
@@ -411,6 +1157,7 @@ async function handleToolCall(apiClient, name, args) {
         result = await apiClient.getHistory({
           page: args.page,
           limit: args.limit,
+          team_id: args.team_id,
           status: args.status,
           continent: args.continent,
           url: args.url,
@@ -423,12 +1170,18 @@ async function handleToolCall(apiClient, name, args) {
         return {
           content: [{
             type: 'text',
-            text: JSON.stringify({ error: `Unknown tool: ${name}` }, null, 2)
+            text: JSON.stringify({ error: `Unknown tool: ${name}`, code: 'VALIDATION' }, null, 2)
           }],
           isError: true
         };
     }
 
+    // Chunked batches are charged per chunk as the chunks are accepted
+    const isChunked = String((result?.data || result)?.jobId).startsWith('batch-');
+    if (cost > 0 && result?.success !== false && !isChunked) {
+      sessionScans += cost;
+    }
+
     return {
       content: [{
         type: 'text',
@@ -442,6 +1195,8 @@ async function handleToolCall(apiClient, name, args) {
         type: 'text',
         text: JSON.stringify({
           error: error.message,
+          code: error.code || 'UNKNOWN',
+          ...(error.retryAfter != null && { retryAfterSeconds: Math.ceil(error.retryAfter / 1000) }),
           tool: name,
           args: args
         }, null, 2)
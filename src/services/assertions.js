@@ -0,0 +1,184 @@
+/**
+ * Assertions for UpRock Verify Extension
+ *
+ * A 200 from every region doesn't prove the right build is live, so a
+ * verification can carry assertions: expected HTTP status, text or patterns
+ * the page title/body must (or must not) contain, and a maximum response
+ * time. Each check passes only when every completed region passes it; checks
+ * the API reported no data for are skipped and make the verdict inconclusive.
+ *
+ * The standalone MCP server keeps its own copy of this evaluator
+ * (src/mcp/index.js) since it runs without the extension's modules.
+ */
+
+const { VERDICT_DISPLAY } = require('../constants');
+
+const CHECK_STATUS = {
+  PASS: 'pass',
+  FAIL: 'fail',
+  SKIPPED: 'skipped'
+};
+
+const VERDICT = {
+  PASS: 'pass',
+  FAIL: 'fail',
+  INCONCLUSIVE: 'inconclusive'
+};
+
+/**
+ * Clean up assertions from a config file, form or tool call
+ * Strings are accepted wherever a list is expected.
+ * @returns {Object|null} null when there is nothing to check
+ */
+function normalizeAssertions(input) {
+  if (!input || typeof input !== 'object') return null;
+
+  const strings = (value) => (Array.isArray(value) ? value : [value])
+    .filter(item => typeof item === 'string' && item !== '');
+  const status = (Array.isArray(input.status) ? input.status : [input.status])
+    .map(Number)
+    .filter(code => Number.isInteger(code) && code >= 100 && code <= 599);
+  const maxResponseTime = Number(input.maxResponseTime);
+
+  const assertions = {
+    status,
+    bodyContains: strings(input.bodyContains),
+    bodyNotContains: strings(input.bodyNotContains),
+    bodyMatches: strings(input.bodyMatches),
+    titleContains: strings(input.titleContains),
+    titleMatches: strings(input.titleMatches),
+    maxResponseTime: maxResponseTime > 0 ? maxResponseTime : null
+  };
+
+  const isEmpty = Object.values(assertions).every(value => Array.isArray(value) ? value.length === 0 : value === null);
+  return isEmpty ? null : assertions;
+}
+
+/**
+ * Merge assertion sets; later sets override earlier ones field by field
+ */
+function mergeAssertions(...sets) {
+  const merged = {};
+  for (const set of sets) {
+    for (const [key, value] of Object.entries(set || {})) {
+      const isSet = Array.isArray(value) ? value.length > 0 : value !== null && value !== undefined;
+      if (isSet) merged[key] = value;
+    }
+  }
+  return normalizeAssertions(merged);
+}
+
+/**
+ * Evaluate assertions against per-region results
+ * @param {Object} assertions - From normalizeAssertions
+ * @param {Object[]} regions - Per-region results (status, httpStatus, responseTime, title, body...)
+ * @returns {{verdict: string, passed: number, failed: number, skipped: number,
+ *   checks: Array<{label: string, status: string, details: string}>}}
+ */
+function evaluateAssertions(assertions, regions) {
+  const completed = (regions || []).filter(r => r.status === 'completed' || r.success || r.httpStatus);
+  const checks = [];
+
+  const run = (label, getValue, test, describe) => {
+    const failures = [];
+    let checkedCount = 0;
+    for (const region of completed) {
+      const value = getValue(region);
+      if (value === null || value === undefined) continue;
+      checkedCount++;
+      if (!test(value)) {
+        const where = region.continent || 'result';
+        failures.push(describe ? `${where} (${describe(value)})` : where);
+      }
+    }
+
+    let status = CHECK_STATUS.SKIPPED;
+    let details = completed.length ? 'Not reported for any region' : 'No completed regions';
+    if (failures.length) {
+      status = CHECK_STATUS.FAIL;
+      details = `Failed in ${failures.join(', ')}`;
+    } else if (checkedCount) {
+      status = CHECK_STATUS.PASS;
+      details = `Passed in ${checkedCount} region${checkedCount === 1 ? '' : 's'}`;
+    }
+    checks.push({ label, status, details });
+  };
+
+  if (assertions.status.length) {
+    run(`HTTP status is ${assertions.status.join(' or ')}`, r => r.httpStatus, v => assertions.status.includes(Number(v)), v => `HTTP ${v}`);
+  }
+  for (const text of assertions.titleContains) {
+    run(`Title contains "${text}"`, getTitle, title => title.includes(text));
+  }
+  for (const pattern of assertions.titleMatches) {
+    const regex = toRegExp(pattern);
+    run(`Title matches ${pattern}`, getTitle, title => !!regex && regex.test(title));
+  }
+  for (const text of assertions.bodyContains) {
+    run(`Body contains "${text}"`, getBody, body => body.includes(text));
+  }
+  for (const pattern of assertions.bodyMatches) {
+    const regex = toRegExp(pattern);
+    run(`Body matches ${pattern}`, getBody, body => !!regex && regex.test(body));
+  }
+  for (const text of assertions.bodyNotContains) {
+    run(`Body does not contain "${text}"`, getBody, body => !body.includes(text));
+  }
+  if (assertions.maxResponseTime) {
+    run(`Response time ≤ ${assertions.maxResponseTime}ms`, r => r.responseTime || null, v => v <= assertions.maxResponseTime, v => `${v}ms`);
+  }
+
+  const count = (status) => checks.filter(check => check.status === status).length;
+  const failed = count(CHECK_STATUS.FAIL);
+  const skipped = count(CHECK_STATUS.SKIPPED);
+
+  let verdict = VERDICT.PASS;
+  if (failed) {
+    verdict = VERDICT.FAIL;
+  } else if (skipped) {
+    verdict = VERDICT.INCONCLUSIVE;
+  }
+
+  return { verdict, passed: count(CHECK_STATUS.PASS), failed, skipped, checks };
+}
+
+/**
+ * Summarize an evaluation for a notification, e.g. "Assertions: ❌ Failed (1/3 failed)"
+ */
+function formatVerdict(evaluation) {
+  const verdictInfo = VERDICT_DISPLAY[evaluation.verdict];
+  return `Assertions: ${verdictInfo.emoji} ${verdictInfo.label} (${evaluation.failed}/${evaluation.checks.length} failed)`;
+}
+
+function getTitle(region) {
+  const title = region.pageTitle ?? region.title;
+  return typeof title === 'string' ? title : null;
+}
+
+function getBody(region) {
+  const body = region.bodyText ?? region.body ?? region.content ?? region.html;
+  return typeof body === 'string' ? body : null;
+}
+
+/**
+ * Compile a pattern; "/source/flags" keeps its flags, anything else is a plain pattern
+ * Stateful flags (g, y) are dropped so the same pattern can test every region.
+ * @returns {RegExp|null} null when the pattern is invalid, which fails the check
+ */
+function toRegExp(pattern) {
+  try {
+    const literal = pattern.match(/^\/(.+)\/([a-z]*)$/);
+    return literal ? new RegExp(literal[1], literal[2].replace(/[gy]/g, '')) : new RegExp(pattern);
+  } catch {
+    return null;
+  }
+}
+
+module.exports = {
+  CHECK_STATUS,
+  VERDICT,
+  normalizeAssertions,
+  mergeAssertions,
+  evaluateAssertions,
+  formatVerdict
+};
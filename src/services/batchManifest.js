@@ -0,0 +1,170 @@
+/**
+ * Batch Manifest for UpRock Verify Extension
+ *
+ * A manifest is a CSV or JSON list of URLs where each row carries its own
+ * options: a label, an owner, the regions to verify from and the HTTP status
+ * it should return. One batch can then mix quick single-region checks with
+ * global ones, and its results are grouped by owner or label.
+ *
+ * CSV needs a header row; JSON is an array of URLs or row objects, or an
+ * object with a `urls` array.
+ */
+
+const { CONTINENT_CODES } = require('../constants');
+const { mergeAssertions, normalizeAssertions } = require('./assertions');
+const { parseCsv, normalizeUrl } = require('./urlExtractor');
+
+// Accepted header names per column, compared without case, spaces, dashes or underscores
+const COLUMNS = {
+  url: ['url', 'link', 'href', 'address', 'page', 'website', 'site', 'domain'],
+  label: ['label', 'name', 'title'],
+  owner: ['owner', 'team', 'contact'],
+  regions: ['regions', 'region', 'continents', 'continent'],
+  expectedStatus: ['expectedstatus', 'status', 'expected', 'httpstatus']
+};
+
+/**
+ * Parse a manifest into batch entries
+ * @param {string} text
+ * @param {string} format - 'csv', 'tsv' or 'json'
+ * @returns {{entries: Array<{url: string, label: string|null, owner: string|null, regions: string[]|null,
+ *   assertions: Object|null}>, errors: Array<{row: number, message: string}>}}
+ *   Rows are numbered as in the file (CSV data starts at row 2); rows with errors are left out
+ * @throws {Error} When the file isn't a manifest (invalid JSON, no URL column)
+ */
+function parseManifest(text, format) {
+  const rows = format === 'json' ? readJsonRows(text) : readCsvRows(text, format === 'tsv' ? '\t' : ',');
+
+  const entries = [];
+  const errors = [];
+  const seen = new Map();
+  for (const { row, fields } of rows) {
+    let entry;
+    try {
+      entry = toEntry(fields);
+    } catch (error) {
+      errors.push({ row, message: error.message });
+      continue;
+    }
+
+    // The same URL may be listed again with other regions, not twice with the same ones
+    const key = `${entry.url} ${entry.regions?.join(',') || 'all'}`;
+    if (seen.has(key)) {
+      errors.push({ row, message: `Duplicate of row ${seen.get(key)}` });
+      continue;
+    }
+    seen.set(key, row);
+    entries.push(entry);
+  }
+  return { entries, errors };
+}
+
+function readCsvRows(text, delimiter) {
+  const [header, ...rows] = parseCsv(text.replace(/^\uFEFF/, ''), delimiter);
+  if (!header) return [];
+
+  const columns = header.map(cell => findColumn(cell.value));
+  if (!columns.includes('url')) {
+    throw new Error(`The header row needs a URL column (${COLUMNS.url.join(', ')})`);
+  }
+
+  // parseCsv skips blank lines, so count lines to report the file's row numbers
+  return rows.map((cells) => {
+    const fields = {};
+    cells.forEach((cell, i) => {
+      if (columns[i] && cell.value.trim()) fields[columns[i]] = cell.value.trim();
+    });
+    return { row: text.slice(0, cells[0].offset).split('\n').length, fields };
+  });
+}
+
+function readJsonRows(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid JSON: ${error.message}`);
+  }
+  const list = Array.isArray(data) ? data : data?.urls;
+  if (!Array.isArray(list)) {
+    throw new Error('Expected an array of URLs or rows, or an object with a "urls" array');
+  }
+
+  return list.map((item, i) => ({
+    row: i + 1,
+    fields: typeof item === 'string' ? { url: item } : item
+  }));
+}
+
+function findColumn(name) {
+  const key = name.trim().toLowerCase().replace(/[\s_-]/g, '');
+  return Object.keys(COLUMNS).find(column => COLUMNS[column].includes(key)) || null;
+}
+
+/**
+ * Validate one row's fields
+ * @throws {Error} Describing the first invalid field
+ */
+function toEntry(fields) {
+  if (!fields || typeof fields !== 'object') {
+    throw new Error('Expected a URL or an object with a "url"');
+  }
+
+  const value = typeof fields.url === 'string' ? fields.url.trim() : '';
+  const url = value && normalizeUrl(/^https?:\/\//i.test(value) ? value : `https://${value}`);
+  if (!url) {
+    throw new Error(value ? `Invalid URL: ${value}` : 'Missing URL');
+  }
+
+  const expectedStatus = parseStatus(fields.expectedStatus);
+  const assertions = mergeAssertions({ status: expectedStatus }, normalizeAssertions(fields.assertions));
+
+  return {
+    url,
+    label: toText(fields.label),
+    owner: toText(fields.owner),
+    regions: parseRegions(fields.regions),
+    assertions
+  };
+}
+
+/**
+ * Region codes from "EU", "NA EU", "NA;EU", ["NA", "EU"]; empty, "all" or all six mean a global check
+ */
+function parseRegions(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const codes = (Array.isArray(value) ? value : String(value).split(/[\s,;|]+/))
+    .map(code => String(code).trim().toUpperCase())
+    .filter(Boolean);
+  if (codes.length === 0 || codes.some(code => code === 'ALL' || code === 'GLOBAL')) return null;
+
+  const unknown = codes.filter(code => !CONTINENT_CODES.includes(code));
+  if (unknown.length) {
+    throw new Error(`Unknown region ${unknown.join(', ')} (use ${CONTINENT_CODES.join(', ')} or all)`);
+  }
+  const regions = CONTINENT_CODES.filter(code => codes.includes(code));
+  return regions.length < CONTINENT_CODES.length ? regions : null;
+}
+
+/**
+ * Status codes from 200, "200", "200|301", [200, 301]
+ */
+function parseStatus(value) {
+  if (value === undefined || value === null || value === '') return [];
+  const codes = (Array.isArray(value) ? value : String(value).split(/[\s,;|]+/)).filter(code => code !== '');
+  return codes.map((code) => {
+    const status = Number(code);
+    if (!Number.isInteger(status) || status < 100 || status > 599) {
+      throw new Error(`Invalid expected status: ${code}`);
+    }
+    return status;
+  });
+}
+
+function toText(value) {
+  if (value === undefined || value === null) return null;
+  const text = String(value).trim();
+  return text || null;
+}
+
+module.exports = { parseManifest };
@@ -0,0 +1,301 @@
+/**
+ * Batch Runner for UpRock Verify Extension
+ *
+ * The API verifies at most BATCH_SIZE URLs per batch. Longer lists are split
+ * into chunks that are submitted one after another, with a few running on the
+ * server at once, and tracked like any other job. Manifest entries with their
+ * own regions run as single jobs next to the chunks. Their results are merged
+ * into a single batch result in the order the URLs were given.
+ */
+
+const vscode = require('vscode');
+const { ERROR_CODES } = require('../api/errors');
+const { STATE_RANK } = require('../constants');
+const { evaluateAssertions } = require('./assertions');
+const { logger } = require('./logger');
+
+// URLs the API accepts per batch
+const BATCH_SIZE = 10;
+
+// Chunks running on the server at once
+const MAX_ACTIVE_CHUNKS = 3;
+
+// Pause between chunk submissions, on top of the client's Retry-After handling
+const SUBMIT_INTERVAL = 1000;
+
+// Errors that would fail every remaining chunk the same way
+const FATAL_ERROR_CODES = [ERROR_CODES.AUTH_MISSING, ERROR_CODES.AUTH_INVALID, ERROR_CODES.QUOTA_EXHAUSTED];
+
+// Batch runs still waiting for their chunks, by group ID
+const runningGroups = new Set();
+
+/**
+ * Verify any number of URLs in chunks of BATCH_SIZE
+ * Entries with their own regions (from a manifest) are verified as single jobs
+ * alongside the chunks: one region as a quick check, several as a regional one.
+ * Fails only when the first submission fails; later failures are reported per URL.
+ * @param {Array<string|{url: string, label: string, owner: string, regions: string[], assertions: Object}>} entries
+ * @param {Object} options
+ * @param {string} options.group - ID the jobs are tracked under
+ * @param {vscode.CancellationToken} options.token - Stops submitting further jobs;
+ *   jobs already submitted are still waited for
+ * @param {Function} options.onProgress - Called with { done, total, submitted, chunks }
+ * @returns {Promise<{results: Object[], summary: {total: number, completed: number, failed: number, cancelled: number},
+ *   elapsedSeconds: number, chunks: number, jobIds: string[]}>} Results carry their entry's label, owner,
+ *   regions (with the per-region results in `continents`) and, when it has assertions, their evaluation
+ */
+async function runBatch(apiClient, jobTracker, entries, { group, token, onProgress } = {}) {
+  const started = Date.now();
+  const items = entries.map(entry => typeof entry === 'string' ? { url: entry } : entry);
+  const units = planUnits(items);
+  const unitResults = new Array(units.length).fill(null);
+  const done = new Array(units.length).fill(0);
+  const jobIndexes = new Map();
+  const pending = new Map();
+  let submitted = 0;
+
+  const report = () => onProgress?.({
+    done: done.reduce((sum, n) => sum + n, 0),
+    total: items.length,
+    submitted,
+    chunks: units.length
+  });
+
+  runningGroups.add(group);
+  const updates = jobTracker.onDidUpdateJob((job) => {
+    const index = jobIndexes.get(job.jobId);
+    // A single job's progress counts regions, not URLs
+    if (index === undefined || units[index].regions) return;
+    done[index] = job.completed;
+    report();
+  });
+
+  try {
+    for (let i = 0; i < units.length; i++) {
+      while (pending.size >= MAX_ACTIVE_CHUNKS) {
+        await Promise.race(pending.values());
+      }
+      if (i > 0) {
+        await new Promise(resolve => setTimeout(resolve, SUBMIT_INTERVAL));
+      }
+      if (token?.isCancellationRequested) break;
+
+      const unit = units[i];
+      const urls = unit.items.map(item => item.url);
+      let result;
+      try {
+        result = await submitUnit(apiClient, unit, token);
+        if (!result.success) {
+          throw new Error(result.error || 'Batch verification failed');
+        }
+      } catch (error) {
+        if (error instanceof vscode.CancellationError) break;
+        // Nothing to merge yet: fail the run so the error gets its usual remediation
+        if (submitted === 0) throw error;
+
+        logger.warn(`Batch ${i + 1}/${units.length} could not be submitted`, error);
+        const isFatal = FATAL_ERROR_CODES.includes(error.code);
+        for (let j = i; j < (isFatal ? units.length : i + 1); j++) {
+          unitResults[j] = units[j].items.map(item => ({ url: item.url, status: 'failed', error: `Not submitted: ${error.message}` }));
+          done[j] = units[j].items.length;
+        }
+        report();
+        if (isFatal) break;
+        continue;
+      }
+
+      submitted++;
+      const isRunning = unit.regions
+        ? result.jobId && !result.continents && !result.scores
+        : result.jobId && !result.results;
+      if (isRunning) {
+        jobIndexes.set(result.jobId, i);
+        jobTracker.track({
+          jobId: result.jobId,
+          url: getJobLabel(unit, i, units.length),
+          mode: unit.regions ? (unit.regions.length === 1 ? 'dev' : 'global') : 'batch',
+          continents: unit.regions?.length > 1 ? unit.regions : null,
+          assertions: unit.regions ? unit.items[0].assertions : null,
+          group: { id: group, index: i, count: units.length }
+        });
+        const waiting = jobTracker.waitFor(result.jobId).then((job) => {
+          unitResults[i] = unit.regions ? [collectJobResult(urls[0], job)] : collectChunkResults(urls, job);
+          done[i] = urls.length;
+          pending.delete(i);
+          report();
+        });
+        pending.set(i, waiting);
+      } else {
+        unitResults[i] = unit.regions ? [toRegionalResult(urls[0], result)] : matchResults(urls, result.results || []);
+        done[i] = urls.length;
+      }
+      report();
+    }
+
+    await Promise.all(pending.values());
+  } finally {
+    updates.dispose();
+    runningGroups.delete(group);
+  }
+
+  // Jobs never submitted because the run was cancelled
+  const byItem = new Map();
+  units.forEach((unit, i) => unit.items.forEach((item, j) => {
+    byItem.set(item, unitResults[i]?.[j] || { url: item.url, status: 'cancelled', error: 'Not submitted' });
+  }));
+  const results = items.map(item => withEntryOptions(byItem.get(item), item));
+  logger.info(`Batch of ${items.length} URLs finished: ${submitted}/${units.length} job(s) submitted`);
+
+  return {
+    results,
+    summary: summarizeBatch(results),
+    elapsedSeconds: Math.round((Date.now() - started) / 1000),
+    chunks: units.length,
+    jobIds: [...jobIndexes.keys()]
+  };
+}
+
+/**
+ * Put the outcomes of retrying a batch's unfinished URLs back in its place
+ * @param {Object} original - The batch result the retry was made from
+ * @param {Object} retried - Result of runBatch over the original's non-completed results, in order
+ * @returns {Object} The original batch with the retried results, totals and jobs merged in
+ */
+function mergeBatchResults(original, retried) {
+  let next = 0;
+  const results = original.results.map(r => r.status === 'completed' ? r : retried.results[next++] || r);
+  return {
+    ...original,
+    results,
+    summary: summarizeBatch(results),
+    elapsedSeconds: (original.elapsedSeconds || 0) + retried.elapsedSeconds,
+    jobIds: [...(original.jobIds || []), ...retried.jobIds],
+    retries: (original.retries || 0) + 1
+  };
+}
+
+/**
+ * Check whether a batch run is still waiting for a group's chunks
+ * Its chunks' own notifications are left to the run, which reports them together.
+ */
+function isBatchRunning(group) {
+  return runningGroups.has(group);
+}
+
+/**
+ * Split entries into jobs: chunks of BATCH_SIZE for global checks, one job per entry with its own regions
+ */
+function planUnits(items) {
+  const units = [];
+  const global = items.filter(item => !item.regions);
+  for (let i = 0; i < global.length; i += BATCH_SIZE) {
+    units.push({ items: global.slice(i, i + BATCH_SIZE), regions: null });
+  }
+  for (const item of items.filter(item => item.regions)) {
+    units.push({ items: [item], regions: item.regions });
+  }
+  return units;
+}
+
+function submitUnit(apiClient, unit, token) {
+  const urls = unit.items.map(item => item.url);
+  if (!unit.regions) {
+    return apiClient.batchVerify(urls, { token });
+  }
+  return unit.regions.length === 1
+    ? apiClient.verifyDev(urls[0], unit.regions[0], { token })
+    : apiClient.verify(urls[0], { token, continents: unit.regions });
+}
+
+function getJobLabel(unit, index, count) {
+  if (unit.regions) return unit.items[0].url;
+  const urls = `${unit.items.length} URLs`;
+  return count > 1 ? `Batch ${index + 1}/${count} (${urls})` : urls;
+}
+
+/**
+ * Per-URL results of a finished chunk job; URLs of a job that didn't complete share its status
+ */
+function collectChunkResults(urls, job) {
+  if (job?.status === 'completed' && Array.isArray(job.data?.results)) {
+    return matchResults(urls, job.data.results);
+  }
+  const status = job?.status === 'cancelled' ? 'cancelled' : 'failed';
+  const error = job ? job.error || `Job ${job.status}` : 'Job was not tracked';
+  return urls.map(url => ({ url, status, error }));
+}
+
+/**
+ * Line results up with the URLs submitted; the API may normalize a URL (e.g. add a trailing slash)
+ */
+function matchResults(urls, results) {
+  const toKey = (url) => String(url || '').toLowerCase().replace(/\/+$/, '');
+  return urls.map(url =>
+    results.find(r => toKey(r.url) === toKey(url)) || { url, status: 'failed', error: 'No result returned' });
+}
+
+/**
+ * Result of a finished single job (quick or regional check) as a batch result
+ */
+function collectJobResult(url, job) {
+  if (job?.status === 'completed' && job.data) {
+    return toRegionalResult(url, job.data);
+  }
+  const status = job?.status === 'cancelled' ? 'cancelled' : 'failed';
+  return { url, status, error: job ? job.error || `Job ${job.status}` : 'Job was not tracked' };
+}
+
+/**
+ * Summarize a quick or regional verification like a batch result; the regions are kept for assertions
+ */
+function toRegionalResult(url, data) {
+  if (data.scores) {
+    return { url, status: 'completed', scores: data.scores, regionResults: [data] };
+  }
+
+  const regionResults = data.results || data.continents || [];
+  const completed = regionResults.filter(r => r.status === 'completed');
+  if (completed.length === 0) {
+    return { url, status: 'failed', error: regionResults.find(r => r.error)?.error || 'No region completed', regionResults };
+  }
+
+  const average = (key) => Math.round(completed.reduce((sum, r) => sum + (r.scores?.[key] || 0), 0) / completed.length);
+  const worst = Math.min(...completed.map(r => Math.max(0, STATE_RANK.indexOf(r.scores?.state))));
+  return {
+    url,
+    status: 'completed',
+    scores: {
+      state: data.summary?.overallState || STATE_RANK[worst],
+      reachability: average('reachability'),
+      usability: average('usability')
+    },
+    regionResults
+  };
+}
+
+/**
+ * Attach a manifest entry's label, owner and regions, and evaluate its assertions
+ * Entries verified from their own regions keep the per-region results, for budget checks.
+ */
+function withEntryOptions(result, item) {
+  const { regionResults, ...rest } = result;
+  const withOptions = { ...rest };
+  if (item.label) withOptions.label = item.label;
+  if (item.owner) withOptions.owner = item.owner;
+  if (item.regions) withOptions.regions = item.regions;
+  if (item.regions && regionResults) withOptions.continents = regionResults;
+  if (item.assertions) withOptions.assertions = item.assertions;
+  if (item.assertions && result.status === 'completed') {
+    withOptions.evaluation = evaluateAssertions(item.assertions, regionResults || [result]);
+  }
+  return withOptions;
+}
+
+function summarizeBatch(results) {
+  const count = (status) => results.filter(r => r.status === status).length;
+  const completed = count('completed');
+  const cancelled = count('cancelled');
+  return { total: results.length, completed, failed: results.length - completed - cancelled, cancelled };
+}
+
+module.exports = { BATCH_SIZE, runBatch, mergeBatchResults, isBatchRunning };
@@ -0,0 +1,247 @@
+/**
+ * Budget Diagnostics for UpRock Verify Extension
+ *
+ * Compares completed verifications of a workspace target against the budgets
+ * in its .uprockverify.json and reports every breach in the Problems panel,
+ * on the target's definition, so performance regressions show up like lint
+ * errors. A target's problems are replaced by each new verification of it and
+ * re-evaluated when the config file changes.
+ */
+
+const vscode = require('vscode');
+const { CONTINENT_DISPLAY, WEB_VITALS_THRESHOLDS } = require('../constants');
+const { logger } = require('./logger');
+
+// Budgeted metrics and where to find them in a region's result
+const METRICS = [
+  { key: 'responseTime', label: 'Response time', unit: 'ms', getValue: r => r.responseTime },
+  ...['lcp', 'fcp', 'ttfb', 'tti', 'cls'].map(key => ({
+    key,
+    label: WEB_VITALS_THRESHOLDS[key].label,
+    unit: WEB_VITALS_THRESHOLDS[key].unit,
+    getValue: r => r.webVitals?.[key]
+  }))
+];
+
+class BudgetDiagnostics {
+  constructor(workspaceConfig) {
+    this.workspaceConfig = workspaceConfig;
+    this._collection = vscode.languages.createDiagnosticCollection('uprock-verify');
+    // Latest completed results by config file, then target name
+    this._results = new Map();
+
+    this._disposables = [
+      workspaceConfig.onDidChange(() => this._refresh())
+    ];
+  }
+
+  /**
+   * Check a finished job against the budgets of the target it verified
+   * A batch job's URLs are each checked against their own target.
+   */
+  async checkJob(job) {
+    if (job.status !== 'completed' || !job.data) return;
+
+    if (job.mode === 'batch') {
+      await this.checkBatch(job.data.results || []);
+      return;
+    }
+    await this.checkResult(job.url, job.data, job.continents);
+  }
+
+  /**
+   * Check a quick or global verification's result against the budgets of the target it verified
+   * URLs that aren't workspace targets, or targets without budgets, are ignored.
+   * @param {string[]} continents - The regions asked for (default: every region in the result)
+   */
+  async checkResult(url, data, continents = null) {
+    const configUri = this._store(url, data, continents);
+    if (configUri) {
+      await this._render(configUri);
+    }
+  }
+
+  /**
+   * Check each completed URL of a batch result against the budgets of its target
+   */
+  async checkBatch(results) {
+    const configUris = new Map();
+    for (const result of results) {
+      if (result.status !== 'completed') continue;
+      const configUri = this._store(result.url, result, result.regions);
+      if (configUri) {
+        configUris.set(configUri.toString(), configUri);
+      }
+    }
+    for (const configUri of configUris.values()) {
+      await this._render(configUri);
+    }
+  }
+
+  /**
+   * Keep a target's latest regions, replacing those of its previous verification
+   * @returns {vscode.Uri|null} The target's config file, or null when the URL isn't a workspace target
+   */
+  _store(url, data, continents) {
+    const target = this.workspaceConfig.findTargetByUrl(url);
+    if (!target) return null;
+
+    // Jobs list their regions in `results`, synchronous global results in `continents`;
+    // quick checks and batch URLs report their result at the top level
+    const results = [data.results, data.continents].find(Array.isArray) || [data];
+    const regions = continents ? results.filter(r => continents.includes(r.continent)) : results;
+
+    const key = target.configUri.toString();
+    if (!this._results.has(key)) {
+      this._results.set(key, new Map());
+    }
+    this._results.get(key).set(target.name, regions);
+    return target.configUri;
+  }
+
+  /**
+   * Drop the results of targets that were removed and re-check the rest against the new budgets
+   */
+  async _refresh() {
+    const targets = this.workspaceConfig.getTargets();
+    for (const [key, byTarget] of this._results) {
+      for (const name of byTarget.keys()) {
+        if (!targets.some(t => t.configUri.toString() === key && t.name === name)) {
+          byTarget.delete(name);
+        }
+      }
+      await this._render(vscode.Uri.parse(key));
+      if (byTarget.size === 0) {
+        this._results.delete(key);
+      }
+    }
+  }
+
+  async _render(configUri) {
+    const byTarget = this._results.get(configUri.toString());
+    if (!byTarget || byTarget.size === 0) {
+      this._collection.delete(configUri);
+      return;
+    }
+
+    let text = '';
+    try {
+      text = Buffer.from(await vscode.workspace.fs.readFile(configUri)).toString('utf8');
+    } catch {
+      // Deleted since; the watcher reloads the targets and _refresh clears them
+    }
+
+    const diagnostics = [];
+    for (const [name, regions] of byTarget) {
+      const target = this.workspaceConfig.getTargets()
+        .find(t => t.configUri.toString() === configUri.toString() && t.name === name);
+      if (!target?.budgets) continue;
+
+      const range = findTargetRange(text, name);
+      for (const breach of findBreaches(target.budgets, regions)) {
+        const diagnostic = new vscode.Diagnostic(range, formatBreach(target, breach), vscode.DiagnosticSeverity.Warning);
+        diagnostic.source = 'UpRock Verify';
+        diagnostic.code = breach.metric.key;
+        diagnostics.push(diagnostic);
+      }
+    }
+
+    logger.debug(`${diagnostics.length} budget breach(es) in ${configUri.fsPath}`);
+    this._collection.set(configUri, diagnostics);
+  }
+
+  dispose() {
+    this._disposables.forEach(d => d.dispose());
+    this._collection.dispose();
+  }
+}
+
+/**
+ * Find the metrics over budget in each completed region
+ * A region's own budgets (budgets.regions.EU...) override the target-wide values.
+ */
+function findBreaches(budgets, regions) {
+  const breaches = [];
+  for (const region of regions) {
+    if (region.status && region.status !== 'completed') continue;
+
+    const limits = { ...budgets, ...budgets.regions?.[region.continent] };
+    for (const metric of METRICS) {
+      const value = metric.getValue(region);
+      const limit = limits[metric.key];
+      if (typeof limit === 'number' && typeof value === 'number' && value > limit) {
+        breaches.push({ metric, region: region.continent, value, limit });
+      }
+    }
+  }
+  return breaches;
+}
+
+function formatBreach(target, { metric, region, value, limit }) {
+  const format = (v) => metric.unit === 'ms' ? `${Math.round(v)}ms` : v.toFixed(3);
+  const where = CONTINENT_DISPLAY[region] ? `${CONTINENT_DISPLAY[region].label} (${region})` : region || 'the checked region';
+  return `${target.label}: ${metric.label} ${format(value)} in ${where} exceeds the ${format(limit)} budget`;
+}
+
+/**
+ * Locate a target's key inside "targets", falling back to the start of the file
+ */
+function findTargetRange(text, name) {
+  const key = findTargetKey(text, name);
+  if (!key) {
+    return new vscode.Range(0, 0, 0, 0);
+  }
+  const position = (offset) => {
+    const before = text.slice(0, offset).split('\n');
+    return new vscode.Position(before.length - 1, before[before.length - 1].length);
+  };
+  return new vscode.Range(position(key.start), position(key.end));
+}
+
+/**
+ * Find a key directly inside the top-level "targets" object
+ * Keys are compared at that depth only, so a target named like a nested
+ * property (e.g. "regions") doesn't match inside an earlier target.
+ * @returns {{start: number, end: number}|null} Offsets of the quoted key
+ */
+function findTargetKey(text, name) {
+  // Keys of the objects and arrays enclosing the current position, outermost first
+  const containers = [];
+  let lastKey = null;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === '"') {
+      const start = i;
+      for (i++; i < text.length && text[i] !== '"'; i++) {
+        if (text[i] === '\\') i++;
+      }
+      // Only keys are followed by a colon
+      let next = i + 1;
+      while (/\s/.test(text[next] || '')) next++;
+      if (text[next] !== ':') continue;
+
+      let key = null;
+      try {
+        key = JSON.parse(text.slice(start, i + 1));
+      } catch {
+        // Not a valid string; the file doesn't parse anyway
+      }
+      if (key === name && containers.length === 2 && containers[1] === 'targets') {
+        return { start, end: i + 1 };
+      }
+      lastKey = key;
+    } else if (char === '{' || char === '[') {
+      containers.push(lastKey);
+      lastKey = null;
+    } else if (char === '}' || char === ']') {
+      containers.pop();
+      lastKey = null;
+    } else if (char === ',') {
+      lastKey = null;
+    }
+  }
+  return null;
+}
+
+module.exports = BudgetDiagnostics;
@@ -0,0 +1,176 @@
+/**
+ * Deployment Discovery for UpRock Verify Extension
+ *
+ * Finds the URLs a workspace deploys to from files it already has:
+ * package.json `homepage`, vercel.json, netlify.toml, fly.toml, app.yaml,
+ * a GitHub Pages CNAME, URL variables in .env files (NEXT_PUBLIC_SITE_URL,
+ * SITE_URL, ...) and Docker labels (OCI image URL, Traefik Host rules,
+ * VIRTUAL_HOST). Only URL values are read; other variables are ignored.
+ */
+
+const vscode = require('vscode');
+const path = require('path');
+const { logger } = require('./logger');
+
+const EXCLUDE = '**/{node_modules,.git,dist,build,out,vendor}/**';
+
+// Files read per kind of source
+const MAX_FILES = 20;
+
+// Framework prefixes stripped from variable names (NEXT_PUBLIC_SITE_URL -> SITE_URL)
+const ENV_PREFIXES = /^(?:NEXT_PUBLIC_|NUXT_PUBLIC_|VITE_|REACT_APP_|GATSBY_|EXPO_PUBLIC_|PUBLIC_)/;
+
+// Variable names (after the prefix) that hold the site's own URL or domain
+const URL_KEY = /^(?:(?:SITE|APP|BASE|PUBLIC|DEPLOY|FRONTEND|WEB|WEBSITE|HOMEPAGE|CANONICAL|PRODUCTION|PROD)_(?:URL|ORIGIN|DOMAIN|HOST)|URL|ORIGIN|DOMAIN|NEXTAUTH_URL|VIRTUAL_HOST|LETSENCRYPT_HOST)$/;
+
+// Hosts that are never a deployment: local machines, documentation placeholders,
+// and code hosts (package.json homepage often points at the repository)
+const IGNORED_HOST = /^(?:localhost|127\.\d+\.\d+\.\d+|0\.0\.0\.0|\[::1\]|host\.docker\.internal)$|\.(?:local|localhost|test|internal|invalid)$|(?:^|\.)(?:example\.(?:com|org|net)|github\.com|gitlab\.com|bitbucket\.org|npmjs\.com)$/i;
+
+const DETECTORS = [
+  {
+    pattern: '**/package.json',
+    extract: (text) => {
+      const { homepage } = JSON.parse(text);
+      return [{ value: homepage, detail: 'homepage' }];
+    }
+  },
+  {
+    pattern: '**/vercel.json',
+    extract: (text) => {
+      const config = JSON.parse(text);
+      const aliases = [].concat(config.alias || []).map(value => ({ value, detail: 'alias' }));
+      const env = [config.env, config.build?.env].flatMap(vars => Object.entries(vars || {}))
+        .filter(([key]) => isUrlKey(key))
+        .map(([key, value]) => ({ value, detail: key }));
+      const name = config.name ? [{ value: `https://${config.name}.vercel.app`, detail: 'default domain' }] : [];
+      return [...aliases, ...env, ...name];
+    }
+  },
+  {
+    pattern: '**/netlify.toml',
+    extract: (text) => [
+      ...findUrlAssignments(text),
+      // Domain-level redirects name the site's own domains
+      ...[...text.matchAll(/^\s*from\s*=\s*["'](https?:\/\/[^"'/]+)/gm)].map(m => ({ value: m[1], detail: 'redirect' }))
+    ]
+  },
+  {
+    pattern: '**/fly.toml',
+    extract: (text) => {
+      const app = text.match(/^\s*app\s*=\s*["']([a-z0-9-]+)["']/m)?.[1];
+      return [
+        ...(app ? [{ value: `https://${app}.fly.dev`, detail: 'app' }] : []),
+        ...findUrlAssignments(text)
+      ];
+    }
+  },
+  {
+    pattern: '**/{app.yaml,app.yml}',
+    extract: (text) => [
+      ...findUrlAssignments(text),
+      // DigitalOcean App Platform specs list their domains
+      ...[...text.matchAll(/^\s*-?\s*domain\s*:\s*["']?([^\s"'#]+)/gm)].map(m => ({ value: m[1], detail: 'domain' }))
+    ]
+  },
+  {
+    pattern: '**/CNAME',
+    extract: (text) => [{ value: text.split(/\r?\n/).map(line => line.trim()).find(Boolean), detail: 'GitHub Pages' }]
+  },
+  {
+    pattern: '**/.env*',
+    extract: (text) => findUrlAssignments(text)
+  },
+  {
+    pattern: '**/{Dockerfile,*.Dockerfile,docker-compose*.{yml,yaml},compose*.{yml,yaml}}',
+    extract: (text) => [
+      ...findUrlAssignments(text),
+      ...[...text.matchAll(/org\.opencontainers\.image\.url["']?\s*[=:]\s*["']?(https?:\/\/[^\s"']+)/g)]
+        .map(m => ({ value: m[1], detail: 'image URL label' })),
+      ...[...text.matchAll(/Host\(([^)]*)\)/g)]
+        .flatMap(m => [...m[1].matchAll(/[`"']([^`"']+)[`"']/g)])
+        .map(m => ({ value: m[1], detail: 'Traefik rule' }))
+    ]
+  }
+];
+
+/**
+ * Scan the open workspace for deployment URLs
+ * @returns {Promise<Array<{url: string, sources: Array<{label: string, uri: vscode.Uri}>}>>}
+ *   One entry per URL, with every file that mentions it
+ */
+async function discoverDeployments() {
+  const byUrl = new Map();
+
+  for (const detector of DETECTORS) {
+    const files = await vscode.workspace.findFiles(detector.pattern, EXCLUDE, MAX_FILES);
+    for (const uri of files) {
+      let found;
+      try {
+        const text = Buffer.from(await vscode.workspace.fs.readFile(uri)).toString('utf8');
+        found = detector.extract(text);
+      } catch (error) {
+        logger.debug(`Skipped ${uri.fsPath}: ${error.message}`);
+        continue;
+      }
+
+      for (const { value, detail } of found) {
+        const url = toDeploymentUrl(value);
+        if (!url) continue;
+        if (!byUrl.has(url)) {
+          byUrl.set(url, { url, sources: [] });
+        }
+        const label = `${path.basename(uri.fsPath)}${detail ? ` (${detail})` : ''}`;
+        byUrl.get(url).sources.push({ label, uri });
+      }
+    }
+  }
+
+  logger.info(`Discovered ${byUrl.size} deployment URL(s) in the workspace`);
+  return [...byUrl.values()];
+}
+
+/**
+ * Find KEY=value / KEY: value lines whose key names the site's URL
+ * Covers .env files, TOML/YAML env sections, compose environment lists and Dockerfile ENV/ARG.
+ */
+function findUrlAssignments(text) {
+  const found = [];
+  for (const line of text.split(/\r?\n/)) {
+    const match = line.match(/^\s*(?:-\s*)?(?:export\s+|ENV\s+|ARG\s+)?["']?([A-Za-z_][A-Za-z0-9_]*)["']?\s*[=:]\s*(.*)$/);
+    if (!match || !isUrlKey(match[1])) continue;
+
+    const value = match[2].replace(/\s+#.*$/, '').trim().replace(/^(["'])(.*)\1$/, '$2');
+    if (value) {
+      found.push({ value, detail: match[1] });
+    }
+  }
+  return found;
+}
+
+function isUrlKey(key) {
+  return URL_KEY.test(key.toUpperCase().replace(ENV_PREFIXES, ''));
+}
+
+/**
+ * Turn a URL or bare domain into a verifiable URL; null for local, placeholder or templated values
+ */
+function toDeploymentUrl(value) {
+  if (typeof value !== 'string') return null;
+  const trimmed = value.trim();
+  if (!trimmed || /[$%{}<>\s]/.test(trimmed)) return null;
+
+  let url;
+  try {
+    url = new URL(/^https?:\/\//i.test(trimmed) ? trimmed : `https://${trimmed}`);
+  } catch {
+    return null;
+  }
+  if (!['http:', 'https:'].includes(url.protocol) || !url.hostname.includes('.') || IGNORED_HOST.test(url.hostname)) {
+    return null;
+  }
+  // A bare origin is shown without its trailing slash
+  return url.pathname === '/' && !url.search ? url.origin : url.href;
+}
+
+module.exports = { discoverDeployments };
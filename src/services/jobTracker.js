@@ -0,0 +1,347 @@
+/**
+ * Job Tracker for UpRock Verify Extension
+ *
+ * Polls submitted verification jobs until they reach a final state and
+ * notifies listeners (sidebar, status bar) of progress along the way.
+ * In-flight jobs are persisted in globalState so they survive window reloads.
+ */
+
+const vscode = require('vscode');
+const { logger } = require('./logger');
+const { evaluateAssertions } = require('./assertions');
+
+// Polling schedule: start fast, back off to the max interval
+const INITIAL_POLL_INTERVAL = 3000;
+const MAX_POLL_INTERVAL = 30000;
+const BACKOFF_FACTOR = 1.5;
+
+// Give up after this many consecutive failed polls
+const MAX_CONSECUTIVE_ERRORS = 5;
+
+const FINAL_STATUSES = ['completed', 'failed', 'timeout', 'cancelled'];
+
+// globalState key for jobs that were still running when the window closed
+const PENDING_JOBS_KEY = 'uprockVerify.pendingJobs';
+
+// Persisted jobs older than this are dropped instead of resumed
+const STALE_JOB_AGE = 24 * 60 * 60 * 1000;
+
+class JobTracker {
+  constructor(context, apiClient) {
+    this.context = context;
+    this.apiClient = apiClient;
+    this._jobs = new Map();
+    this._disposed = false;
+
+    this._onDidUpdateJob = new vscode.EventEmitter();
+    this._onDidFinishJob = new vscode.EventEmitter();
+
+    /** Fired on every poll with the latest job snapshot */
+    this.onDidUpdateJob = this._onDidUpdateJob.event;
+    /** Fired once when a job reaches a final state, times out or errors out */
+    this.onDidFinishJob = this._onDidFinishJob.event;
+  }
+
+  /**
+   * Start tracking a submitted job
+   * @param {Object} job
+   * @param {string} job.jobId - Job ID returned by /extension/verify
+   * @param {string} job.url - URL being verified
+   * @param {string} job.mode - 'global', 'dev' or 'batch'
+   * @param {number} job.submittedAt - Submission timestamp (set when resuming)
+   * @param {string} job.profile - Profile the job was submitted with (defaults to the active one)
+   * @param {string[]} job.continents - Regions requested, when not all six
+   * @param {Object} job.assertions - Checks the results are evaluated against once the job completes
+   * @param {Object} job.preflight - Local pre-flight run before submitting, shown with the results
+   * @param {Object} job.group - Chunked batch the job belongs to: { id, index, count }
+   */
+  track({
+    jobId,
+    url,
+    mode = 'global',
+    submittedAt = Date.now(),
+    profile = this.apiClient.profile,
+    continents = null,
+    assertions = null,
+    preflight = null,
+    group = null
+  }) {
+    if (!jobId || this._disposed) return;
+    if (this._jobs.has(jobId)) return;
+
+    const config = vscode.workspace.getConfiguration('uprockVerify');
+    const jobTimeout = config.get('jobTimeout') || 600000;
+
+    const job = {
+      jobId,
+      url,
+      mode,
+      profile,
+      continents,
+      assertions,
+      preflight,
+      group,
+      status: 'pending',
+      completed: 0,
+      total: continents?.length || (mode === 'global' ? 6 : 1),
+      data: null,
+      submittedAt,
+      deadline: Date.now() + jobTimeout,
+      interval: INITIAL_POLL_INTERVAL,
+      errors: 0,
+      polling: false,
+      timer: null
+    };
+
+    this._jobs.set(jobId, job);
+    this._rememberJob(job);
+    logger.info(`Tracking ${mode} job ${jobId} for ${url}`);
+    this._onDidUpdateJob.fire(this._snapshot(job));
+    this._schedule(job, INITIAL_POLL_INTERVAL);
+  }
+
+  /**
+   * Resume tracking jobs persisted by a previous session
+   * @returns {number} Number of jobs resumed
+   */
+  resume() {
+    const pending = this.context.globalState.get(PENDING_JOBS_KEY, []);
+    const cutoff = Date.now() - STALE_JOB_AGE;
+    const resumable = pending.filter(job => job.jobId && job.submittedAt >= cutoff);
+
+    if (resumable.length !== pending.length) {
+      logger.info(`Dropped ${pending.length - resumable.length} stale persisted job(s)`);
+      this.context.globalState.update(PENDING_JOBS_KEY, resumable);
+    }
+    if (resumable.length) {
+      logger.info(`Resuming ${resumable.length} job(s) from the previous session`);
+    }
+
+    for (const job of resumable) {
+      this.track(job);
+    }
+
+    return resumable.length;
+  }
+
+  /**
+   * Poll a tracked job right away instead of waiting for the next tick
+   */
+  async refresh(jobId) {
+    const job = this._jobs.get(jobId);
+    if (!job) return;
+
+    clearTimeout(job.timer);
+    await this._poll(job);
+  }
+
+  /**
+   * Mark a job as cancelled (after cancelling it on the server) and stop polling it
+   */
+  markCancelled(jobId) {
+    const job = this._jobs.get(jobId);
+    if (!job) return;
+
+    job.status = 'cancelled';
+    this._finish(job);
+  }
+
+  /**
+   * Wait for a tracked job to finish
+   * @param {string} jobId
+   * @param {vscode.CancellationToken} token - Rejects with CancellationError when cancelled;
+   *   the job itself keeps being tracked
+   * @returns {Promise<Object|null>} Final job snapshot, or null if the job is not tracked;
+   *   the snapshot is marked `awaited`, as its result is handled by the caller
+   */
+  waitFor(jobId, token) {
+    const job = this._jobs.get(jobId);
+    if (!job) {
+      return Promise.resolve(null);
+    }
+
+    job.waiters = (job.waiters || 0) + 1;
+    return new Promise((resolve, reject) => {
+      const subscriptions = [];
+      const cleanup = () => subscriptions.forEach(s => s.dispose());
+
+      subscriptions.push(this.onDidFinishJob((job) => {
+        if (job.jobId !== jobId) return;
+        cleanup();
+        resolve(job);
+      }));
+
+      if (token) {
+        subscriptions.push(token.onCancellationRequested(() => {
+          cleanup();
+          job.waiters--;
+          reject(new vscode.CancellationError());
+        }));
+      }
+    });
+  }
+
+  /**
+   * Check whether a job is currently being tracked
+   */
+  isTracking(jobId) {
+    return this._jobs.has(jobId);
+  }
+
+  /**
+   * Get snapshots of all jobs still in flight
+   */
+  getActiveJobs() {
+    return Array.from(this._jobs.values()).map(job => this._snapshot(job));
+  }
+
+  _schedule(job, delay) {
+    if (this._disposed) return;
+    job.timer = setTimeout(() => this._poll(job), delay);
+  }
+
+  async _poll(job) {
+    if (this._disposed || !this._jobs.has(job.jobId) || job.polling) return;
+
+    job.polling = true;
+    try {
+      const result = await this.apiClient.getJobStatus(job.jobId, { profile: job.profile });
+      // Handle both direct response and wrapped response (e.g., { success: true, data: {...} })
+      const data = result?.data || result;
+
+      // The job may have been stopped while the request was in flight
+      if (!this._jobs.has(job.jobId)) return;
+
+      job.errors = 0;
+      job.data = data;
+      const previousStatus = job.status;
+      job.status = data?.status || job.status;
+      if (job.status !== previousStatus) {
+        logger.info(`Job ${job.jobId}: ${previousStatus} -> ${job.status}`);
+      }
+      job.total = data?.totalJobs || data?.summary?.totalContinents || job.total;
+      job.completed = data?.completedJobs || data?.summary?.completedContinents || 0;
+
+      if (FINAL_STATUSES.includes(job.status)) {
+        this._finish(job);
+        return;
+      }
+
+      this._onDidUpdateJob.fire(this._snapshot(job));
+    } catch (error) {
+      if (!this._jobs.has(job.jobId)) return;
+
+      job.errors++;
+      logger.warn(`Polling job ${job.jobId} failed (${job.errors}/${MAX_CONSECUTIVE_ERRORS})`, error);
+      if (job.errors >= MAX_CONSECUTIVE_ERRORS) {
+        job.status = 'failed';
+        job.error = error.message;
+        this._finish(job);
+        return;
+      }
+    } finally {
+      job.polling = false;
+    }
+
+    if (Date.now() >= job.deadline) {
+      job.status = 'timeout';
+      job.error = 'Stopped waiting for results. The job may still complete - check Scan History later.';
+      this._finish(job);
+      return;
+    }
+
+    job.interval = Math.min(Math.round(job.interval * BACKOFF_FACTOR), MAX_POLL_INTERVAL);
+    this._schedule(job, job.interval);
+  }
+
+  _finish(job) {
+    logger.info(`Job ${job.jobId} finished: ${job.status}${job.error ? ` - ${job.error}` : ''}`);
+    clearTimeout(job.timer);
+    this._jobs.delete(job.jobId);
+    this._forgetJob(job.jobId);
+    const snapshot = this._snapshot(job);
+    if (snapshot.evaluation) {
+      const { verdict, passed, failed, skipped } = snapshot.evaluation;
+      logger.info(`Job ${job.jobId} assertions: ${verdict} (${passed} passed, ${failed} failed, ${skipped} skipped)`);
+    }
+    this._onDidUpdateJob.fire(snapshot);
+    this._onDidFinishJob.fire(snapshot);
+  }
+
+  /**
+   * Persist a job so it can be resumed after a reload.
+   * Entries written by other windows are left untouched.
+   */
+  _rememberJob(job) {
+    const pending = this.context.globalState.get(PENDING_JOBS_KEY, [])
+      .filter(p => p.jobId !== job.jobId);
+    pending.push({
+      url: job.url,
+      jobId: job.jobId,
+      mode: job.mode,
+      profile: job.profile,
+      continents: job.continents,
+      assertions: job.assertions,
+      preflight: job.preflight,
+      group: job.group,
+      submittedAt: job.submittedAt
+    });
+    this.context.globalState.update(PENDING_JOBS_KEY, pending);
+  }
+
+  _forgetJob(jobId) {
+    const pending = this.context.globalState.get(PENDING_JOBS_KEY, []);
+    const remaining = pending.filter(p => p.jobId !== jobId);
+    if (remaining.length !== pending.length) {
+      this.context.globalState.update(PENDING_JOBS_KEY, remaining);
+    }
+  }
+
+  _snapshot(job) {
+    return {
+      jobId: job.jobId,
+      url: job.url,
+      mode: job.mode,
+      profile: job.profile,
+      continents: job.continents,
+      assertions: job.assertions,
+      preflight: job.preflight,
+      group: job.group,
+      submittedAt: job.submittedAt,
+      status: job.status,
+      completed: job.completed,
+      total: job.total,
+      error: job.error,
+      data: job.data,
+      evaluation: this._evaluate(job),
+      awaited: job.waiters > 0
+    };
+  }
+
+  /**
+   * Evaluate a completed job's assertions over the regions it was submitted for
+   */
+  _evaluate(job) {
+    if (!job.assertions || job.status !== 'completed' || !job.data) return null;
+
+    // Single-region jobs report their result at the top level
+    const results = Array.isArray(job.data.results) ? job.data.results : [job.data];
+    const regions = job.continents ? results.filter(r => job.continents.includes(r.continent)) : results;
+    return evaluateAssertions(job.assertions, regions);
+  }
+
+  /**
+   * Stop polling. Persisted jobs are kept so the next session can resume them.
+   */
+  dispose() {
+    this._disposed = true;
+    for (const job of this._jobs.values()) {
+      clearTimeout(job.timer);
+    }
+    this._jobs.clear();
+    this._onDidUpdateJob.dispose();
+    this._onDidFinishJob.dispose();
+  }
+}
+
+module.exports = JobTracker;
@@ -0,0 +1,100 @@
+/**
+ * Logger for UpRock Verify Extension
+ *
+ * Writes to the "UpRock Verify" output channel. The verbosity follows the
+ * `uprockVerify.logLevel` setting, and secrets are redacted before anything
+ * is written so the log can be pasted into support tickets as-is.
+ */
+
+const vscode = require('vscode');
+
+const LEVELS = ['off', 'error', 'warn', 'info', 'debug'];
+
+// Object keys whose values are never written to the log
+const SECRET_KEY_PATTERN = /api[-_]?key|authorization|cookie|password|secret|token|request[-_]?headers|basic[-_]?auth/i;
+
+const REDACTED = '[redacted]';
+
+/**
+ * Redact secrets from a value before logging
+ * Masks secret-looking object keys and credentials embedded in URLs.
+ */
+function redact(value) {
+  if (typeof value === 'string') {
+    return value.replace(/(\/\/)[^/@\s]+@/g, `$1${REDACTED}@`);
+  }
+  if (Array.isArray(value)) {
+    return value.map(redact);
+  }
+  if (value && typeof value === 'object') {
+    const result = {};
+    for (const [key, entry] of Object.entries(value)) {
+      result[key] = SECRET_KEY_PATTERN.test(key) && entry ? REDACTED : redact(entry);
+    }
+    return result;
+  }
+  return value;
+}
+
+class Logger {
+  constructor() {
+    this._channel = null;
+  }
+
+  debug(message, details) {
+    this._log('debug', message, details);
+  }
+
+  info(message, details) {
+    this._log('info', message, details);
+  }
+
+  warn(message, details) {
+    this._log('warn', message, details);
+  }
+
+  error(message, details) {
+    this._log('error', message, details);
+  }
+
+  /**
+   * Reveal the output channel
+   */
+  show() {
+    this._getChannel().show(true);
+  }
+
+  _isEnabled(level) {
+    const configured = vscode.workspace.getConfiguration('uprockVerify').get('logLevel') || 'info';
+    return LEVELS.indexOf(level) <= LEVELS.indexOf(configured);
+  }
+
+  _log(level, message, details) {
+    if (!this._isEnabled(level)) return;
+
+    let line = `[${new Date().toISOString()}] [${level}] ${redact(message)}`;
+    if (details instanceof Error) {
+      line += ` - ${details.code ? `${details.code}: ` : ''}${redact(details.message)}`;
+    } else if (details !== undefined) {
+      line += ` ${JSON.stringify(redact(details))}`;
+    }
+    this._getChannel().appendLine(line);
+  }
+
+  _getChannel() {
+    if (!this._channel) {
+      this._channel = vscode.window.createOutputChannel('UpRock Verify');
+    }
+    return this._channel;
+  }
+
+  dispose() {
+    this._channel?.dispose();
+    this._channel = null;
+  }
+}
+
+module.exports = {
+  logger: new Logger(),
+  redact
+};
@@ -0,0 +1,331 @@
+/**
+ * Local Pre-flight for UpRock Verify Extension
+ *
+ * Checks a URL from the developer's machine before a scan is spent on it:
+ * DNS resolution, TCP connect, TLS handshake and certificate expiry, then the
+ * HTTP status and redirect chain. Comparing the outcome with the global
+ * results tells "down for everyone" apart from "down only remotely".
+ *
+ * When the URL is reached through a proxy, only the HTTP check runs (through
+ * the proxy, like API requests); direct DNS/TCP/TLS checks would just fail.
+ */
+
+const dns = require('dns').promises;
+const net = require('net');
+const tls = require('tls');
+const axios = require('axios');
+const vscode = require('vscode');
+const { getNetworkSettings, isProxyBypassed, loadCertificates, createNetworkOptions, createAbortSignal } = require('../api/network');
+const { logger } = require('./logger');
+
+// Time allowed for each step
+const STEP_TIMEOUT = 5000;
+
+// Redirects followed before the chain is reported as a loop
+const MAX_REDIRECTS = 5;
+
+// Certificates expiring sooner than this are flagged
+const CERT_EXPIRY_WARNING_DAYS = 14;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Run the pre-flight checks for a URL
+ * @param {string} url
+ * @param {Object} options
+ * @param {Object} options.headers - Request headers for the HTTP check (e.g. a protected site's credentials);
+ *   only sent to the URL's own origin
+ * @param {vscode.CancellationToken} options.token - Stops the checks; rejects with CancellationError when cancelled
+ * @returns {Promise<{url: string, ok: boolean, checkedAt: number, viaProxy: boolean,
+ *   checks: Array<{name: string, label: string, status: string, details: string}>,
+ *   redirects: Array<{url: string, status: number}>, finalStatus: number|null,
+ *   certificate: {subject: string, issuer: string, validTo: string, daysRemaining: number}|null}>}
+ *   Check status is pass, warn, fail or skipped; `ok` is false when any check failed.
+ */
+async function runPreflight(url, options = {}) {
+  const target = new URL(url);
+  const isHttps = target.protocol === 'https:';
+  const port = Number(target.port) || (isHttps ? 443 : 80);
+  const hostname = target.hostname.replace(/^\[|\]$/g, '');
+
+  const settings = getNetworkSettings();
+  const viaProxy = !!settings.proxy && !isProxyBypassed(url, settings.noProxy);
+  const result = {
+    url,
+    ok: true,
+    checkedAt: Date.now(),
+    viaProxy,
+    checks: [],
+    redirects: [],
+    finalStatus: null,
+    certificate: null
+  };
+
+  const { signal, dispose } = createAbortSignal(options.token);
+
+  // Record a step; later steps are skipped once one fails
+  let blockedBy = null;
+  const step = async (name, label, run) => {
+    if (signal.aborted) {
+      throw new vscode.CancellationError();
+    }
+    if (blockedBy) {
+      result.checks.push({ name, label, status: 'skipped', details: `Skipped after ${blockedBy} failed` });
+      return;
+    }
+    try {
+      const { status = 'pass', details } = await run();
+      result.checks.push({ name, label, status, details });
+      if (status === 'fail') blockedBy = label;
+    } catch (error) {
+      if (signal.aborted) {
+        throw new vscode.CancellationError();
+      }
+      result.checks.push({ name, label, status: 'fail', details: describeError(error) });
+      blockedBy = label;
+    }
+  };
+
+  try {
+    let address = hostname;
+    if (viaProxy) {
+      for (const [name, label] of [['dns', 'DNS resolution'], ['tcp', 'TCP connect'], ['tls', 'TLS handshake']]) {
+        if (name !== 'tls' || isHttps) {
+          result.checks.push({ name, label, status: 'skipped', details: 'Connections go through the proxy' });
+        }
+      }
+    } else {
+      await step('dns', 'DNS resolution', async () => {
+        const addresses = net.isIP(hostname)
+          ? [{ address: hostname }]
+          : await withTimeout(dns.lookup(hostname, { all: true }), 'DNS lookup', signal);
+        address = addresses[0].address;
+        return { details: addresses.map(a => a.address).join(', ') };
+      });
+
+      await step('tcp', 'TCP connect', async () => {
+        const started = Date.now();
+        await connect(address, port, signal);
+        return { details: `${address}:${port} in ${Date.now() - started}ms` };
+      });
+
+      if (isHttps) {
+        await step('tls', 'TLS handshake', async () => {
+          const { certificate, authorized, authorizationError } = await handshake(address, port, hostname, settings, signal);
+          result.certificate = certificate;
+          if (!authorized) {
+            return { status: 'fail', details: `Certificate not trusted: ${authorizationError}` };
+          }
+          if (certificate.daysRemaining < CERT_EXPIRY_WARNING_DAYS) {
+            return { status: 'warn', details: `Certificate expires in ${certificate.daysRemaining} day(s) (${certificate.validTo})` };
+          }
+          return { details: `Certificate valid for ${certificate.daysRemaining} more days, issued by ${certificate.issuer}` };
+        });
+      }
+    }
+
+    await step('http', 'HTTP response', async () => {
+      result.redirects = await followRedirects(url, options.headers || {}, signal);
+      const last = result.redirects[result.redirects.length - 1];
+      result.finalStatus = last.status;
+
+      const chain = result.redirects.length > 1
+        ? ` after ${result.redirects.length - 1} redirect(s) to ${last.url}`
+        : '';
+      if (last.status >= 300 && last.status < 400) {
+        return { status: 'fail', details: `Still redirecting after ${MAX_REDIRECTS} redirects (HTTP ${last.status})` };
+      }
+      if (last.status === 401 || last.status === 403) {
+        return { status: 'warn', details: `HTTP ${last.status}${chain}; set site credentials if the site is protected` };
+      }
+      if (last.status >= 400) {
+        return { status: 'fail', details: `HTTP ${last.status}${chain}` };
+      }
+      return { details: `HTTP ${last.status}${chain}` };
+    });
+  } finally {
+    dispose();
+  }
+
+  result.ok = !result.checks.some(check => check.status === 'fail');
+  logger.info(`Pre-flight ${url}: ${result.ok ? 'ok' : 'failed'} (${result.checks.map(c => `${c.name}=${c.status}`).join(', ')})`);
+  return result;
+}
+
+/**
+ * Summarize the first failed (or warned) check, e.g. "DNS resolution: Host not found (ENOTFOUND)"
+ */
+function describePreflight(result) {
+  const problem = result.checks.find(check => check.status === 'fail') ||
+    result.checks.find(check => check.status === 'warn');
+  return problem ? `${problem.label}: ${problem.details}` : 'All checks passed';
+}
+
+/**
+ * Compare the pre-flight with the remote results
+ * @param {Object[]} regions - Per-region results of the verification
+ * @returns {string|null} e.g. "Down only remotely: ...", or null without remote results
+ */
+function comparePreflight(result, regions) {
+  if (!regions?.length) return null;
+
+  const isUp = (r) => (r.status === 'completed' || r.success || r.httpStatus) && (r.scores?.state || r.state) !== 'down';
+  const down = regions.filter(r => !isUp(r)).map(r => r.continent || 'the checked region');
+
+  if (result.ok) {
+    return down.length === 0
+      ? 'Up for everyone: reachable from your machine and every region'
+      : `Down only remotely: reachable from your machine but not from ${down.join(', ')}`;
+  }
+  return down.length === regions.length
+    ? 'Down for everyone: unreachable from your machine and every region'
+    : 'Down only from your machine: the regions reached it, so check your network, VPN or local DNS';
+}
+
+function connect(host, port, signal) {
+  return new Promise((resolve, reject) => {
+    const socket = net.connect({ host, port });
+    destroyOnAbort(socket, signal, reject);
+    socket.setTimeout(STEP_TIMEOUT, () => {
+      socket.destroy();
+      reject(Object.assign(new Error(`No response within ${STEP_TIMEOUT / 1000}s`), { code: 'ETIMEDOUT' }));
+    });
+    socket.once('connect', () => {
+      socket.end();
+      resolve();
+    });
+    socket.once('error', reject);
+  });
+}
+
+/**
+ * TLS handshake that reports, rather than rejects, an untrusted certificate
+ */
+function handshake(host, port, servername, settings, signal) {
+  return new Promise((resolve, reject) => {
+    const socket = tls.connect({
+      host,
+      port,
+      servername: net.isIP(servername) ? undefined : servername,
+      ca: loadCertificates(settings.caFiles),
+      rejectUnauthorized: false
+    });
+    destroyOnAbort(socket, signal, reject);
+    socket.setTimeout(STEP_TIMEOUT, () => {
+      socket.destroy();
+      reject(Object.assign(new Error(`No response within ${STEP_TIMEOUT / 1000}s`), { code: 'ETIMEDOUT' }));
+    });
+    socket.once('secureConnect', () => {
+      const peer = socket.getPeerCertificate();
+      // A valid chain for another host still fails the hostname check
+      const hostError = peer?.subject ? tls.checkServerIdentity(servername, peer) : null;
+      const validTo = peer?.valid_to || '';
+      resolve({
+        certificate: peer?.subject ? {
+          subject: peer.subject.CN || '',
+          issuer: peer.issuer?.O || peer.issuer?.CN || '',
+          validTo,
+          daysRemaining: Math.floor((new Date(validTo).getTime() - Date.now()) / DAY)
+        } : null,
+        authorized: socket.authorized && !hostError,
+        authorizationError: socket.authorizationError || hostError?.message
+      });
+      socket.end();
+    });
+    socket.once('error', reject);
+  });
+}
+
+/**
+ * Request the URL, following redirects by hand so each hop is recorded
+ * Only the status line and headers are read; bodies are discarded. The headers
+ * (the site's credentials) go to the URL's origin only, and are dropped for
+ * good once a redirect leaves it.
+ */
+async function followRedirects(url, headers, signal) {
+  const network = createNetworkOptions(url);
+  const origin = new URL(url).origin;
+  const redirects = [];
+  let current = url;
+  let leftOrigin = false;
+
+  try {
+    for (let i = 0; i <= MAX_REDIRECTS; i++) {
+      const response = await axios.request({
+        ...network,
+        method: 'GET',
+        url: current,
+        headers: { 'User-Agent': 'UpRock-Verify-Preflight', ...(leftOrigin ? {} : headers) },
+        maxRedirects: 0,
+        timeout: STEP_TIMEOUT,
+        responseType: 'stream',
+        validateStatus: () => true,
+        signal
+      });
+      response.data.destroy();
+      redirects.push({ url: current, status: response.status });
+
+      const location = response.headers.location;
+      if (response.status < 300 || response.status >= 400 || !location) break;
+      current = new URL(location, current).href;
+      leftOrigin = leftOrigin || new URL(current).origin !== origin;
+    }
+  } finally {
+    network.httpAgent.destroy();
+    network.httpsAgent.destroy();
+  }
+
+  return redirects;
+}
+
+function withTimeout(promise, what, signal) {
+  let timer;
+  let onAbort;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(Object.assign(new Error(`${what} took longer than ${STEP_TIMEOUT / 1000}s`), { code: 'ETIMEDOUT' })), STEP_TIMEOUT);
+    onAbort = () => reject(new Error(`${what} cancelled`));
+    signal?.addEventListener('abort', onAbort);
+  });
+  return Promise.race([promise, timeout]).finally(() => {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', onAbort);
+  });
+}
+
+/**
+ * Close a probe's socket when the pre-flight is cancelled
+ */
+function destroyOnAbort(socket, signal, reject) {
+  if (!signal) return;
+  const onAbort = () => {
+    socket.destroy();
+    reject(new Error('Cancelled'));
+  };
+  if (signal.aborted) {
+    onAbort();
+    return;
+  }
+  signal.addEventListener('abort', onAbort);
+  socket.once('close', () => signal.removeEventListener('abort', onAbort));
+}
+
+const ERROR_DESCRIPTIONS = {
+  ENOTFOUND: 'Host not found',
+  EAI_AGAIN: 'DNS server did not answer',
+  ECONNREFUSED: 'Connection refused',
+  ECONNRESET: 'Connection reset',
+  ETIMEDOUT: 'Timed out',
+  ECONNABORTED: 'Timed out',
+  EHOSTUNREACH: 'Host unreachable',
+  ENETUNREACH: 'Network unreachable'
+};
+
+function describeError(error) {
+  const description = ERROR_DESCRIPTIONS[error.code];
+  if (description) {
+    return `${description} (${error.code})`;
+  }
+  return error.code ? `${error.message} (${error.code})` : error.message;
+}
+
+module.exports = { runPreflight, describePreflight, comparePreflight };
@@ -0,0 +1,167 @@
+/**
+ * Profile Manager for UpRock Verify Extension
+ *
+ * A profile is a named API base URL plus its own API key, so staging,
+ * production and self-hosted accounts can be switched without re-entering keys.
+ * Profiles are listed in the `uprockVerify.profiles` setting; keys live in
+ * SecretStorage. The built-in "Default" profile is the original
+ * `uprockVerify.apiBaseUrl` setting and `uprockVerify.apiKey` secret.
+ */
+
+const vscode = require('vscode');
+
+const DEFAULT_PROFILE = 'Default';
+const DEFAULT_API_BASE_URL = 'https://api.uprockverify.com';
+
+// SecretStorage key of the Default profile; other profiles append their name
+const API_KEY_SECRET = 'uprockVerify.apiKey';
+
+// globalState key prefix for each profile's selected team
+const TEAM_STATE_KEY = 'uprockVerify.team';
+
+class ProfileManager {
+  constructor(context) {
+    this.context = context;
+
+    this._onDidChangeProfile = new vscode.EventEmitter();
+    this._onDidChangeTeam = new vscode.EventEmitter();
+
+    /** Fired when the active profile, or its base URL, changes */
+    this.onDidChangeProfile = this._onDidChangeProfile.event;
+    /** Fired when a different team is selected for the active profile */
+    this.onDidChangeTeam = this._onDidChangeTeam.event;
+
+    this._configListener = vscode.workspace.onDidChangeConfiguration((e) => {
+      if (e.affectsConfiguration('uprockVerify.activeProfile') ||
+          e.affectsConfiguration('uprockVerify.profiles') ||
+          e.affectsConfiguration('uprockVerify.apiBaseUrl')) {
+        this._onDidChangeProfile.fire(this.getActiveProfile());
+      }
+    });
+  }
+
+  /**
+   * Get all profiles, Default first
+   * @returns {Array<{name: string, apiBaseUrl: string}>}
+   */
+  getProfiles() {
+    const config = vscode.workspace.getConfiguration('uprockVerify');
+    const defaultProfile = {
+      name: DEFAULT_PROFILE,
+      apiBaseUrl: config.get('apiBaseUrl') || DEFAULT_API_BASE_URL
+    };
+
+    const profiles = (config.get('profiles') || [])
+      .filter(p => p && p.name && p.name !== DEFAULT_PROFILE)
+      .map(p => ({ name: p.name, apiBaseUrl: p.apiBaseUrl || defaultProfile.apiBaseUrl }));
+
+    return [defaultProfile, ...profiles];
+  }
+
+  /**
+   * Look up a profile by name
+   */
+  getProfile(name) {
+    return this.getProfiles().find(p => p.name === name);
+  }
+
+  /**
+   * Get the active profile (workspace setting wins over user setting)
+   * Falls back to Default if the configured profile no longer exists.
+   */
+  getActiveProfile() {
+    const config = vscode.workspace.getConfiguration('uprockVerify');
+    const name = config.get('activeProfile') || DEFAULT_PROFILE;
+    return this.getProfile(name) || this.getProfile(DEFAULT_PROFILE);
+  }
+
+  /**
+   * Make a profile active
+   * Saved to the workspace settings when a folder is open, so each project keeps its own profile.
+   */
+  async setActiveProfile(name) {
+    const config = vscode.workspace.getConfiguration('uprockVerify');
+    const target = vscode.workspace.workspaceFolders?.length
+      ? vscode.ConfigurationTarget.Workspace
+      : vscode.ConfigurationTarget.Global;
+    await config.update('activeProfile', name, target);
+  }
+
+  /**
+   * Add (or update) a profile in the user settings
+   */
+  async addProfile(name, apiBaseUrl) {
+    const config = vscode.workspace.getConfiguration('uprockVerify');
+    const profiles = (config.get('profiles') || []).filter(p => p.name !== name);
+    profiles.push({ name, apiBaseUrl });
+    await config.update('profiles', profiles, vscode.ConfigurationTarget.Global);
+  }
+
+  /**
+   * Remove a profile and its stored API key
+   */
+  async removeProfile(name) {
+    if (name === DEFAULT_PROFILE) return;
+
+    const config = vscode.workspace.getConfiguration('uprockVerify');
+    const profiles = (config.get('profiles') || []).filter(p => p.name !== name);
+    await config.update('profiles', profiles, vscode.ConfigurationTarget.Global);
+    await this.context.secrets.delete(this.getSecretKey(name));
+    await this.context.globalState.update(`${TEAM_STATE_KEY}.${name}`, undefined);
+  }
+
+  /**
+   * Get the team selected for a profile
+   * @returns {{id: string, name: string}|null} null when no team is selected (all teams)
+   */
+  getTeam(name = this.getActiveProfile().name) {
+    return this.context.globalState.get(`${TEAM_STATE_KEY}.${name}`, null);
+  }
+
+  /**
+   * Select the team a profile's verifications and history are scoped to
+   * @param {{id: string, name: string}|null} team - null to clear the selection
+   */
+  async setTeam(team, name = this.getActiveProfile().name) {
+    await this.context.globalState.update(`${TEAM_STATE_KEY}.${name}`, team || undefined);
+    if (name === this.getActiveProfile().name) {
+      this._onDidChangeTeam.fire(team || null);
+    }
+  }
+
+  /**
+   * SecretStorage key holding a profile's API key
+   */
+  getSecretKey(name) {
+    return name === DEFAULT_PROFILE ? API_KEY_SECRET : `${API_KEY_SECRET}.${name}`;
+  }
+
+  /**
+   * Check whether a SecretStorage key belongs to a profile's API key
+   */
+  isApiKeySecret(key) {
+    return key === API_KEY_SECRET || key.startsWith(`${API_KEY_SECRET}.`);
+  }
+
+  async getApiKey(name = this.getActiveProfile().name) {
+    return this.context.secrets.get(this.getSecretKey(name));
+  }
+
+  async setApiKey(apiKey, name = this.getActiveProfile().name) {
+    await this.context.secrets.store(this.getSecretKey(name), apiKey);
+  }
+
+  async deleteApiKey(name = this.getActiveProfile().name) {
+    await this.context.secrets.delete(this.getSecretKey(name));
+  }
+
+  dispose() {
+    this._configListener.dispose();
+    this._onDidChangeProfile.dispose();
+    this._onDidChangeTeam.dispose();
+  }
+}
+
+ProfileManager.DEFAULT_PROFILE = DEFAULT_PROFILE;
+
+module.exports = ProfileManager;
@@ -0,0 +1,208 @@
+/**
+ * Quota Monitor for UpRock Verify Extension
+ *
+ * Caches the account's scan quota (/extension/status billing) so the status
+ * bar can show the scans left without an API call per refresh. Submissions
+ * update the cache from the scansRemaining the API returns, or count down
+ * locally when it doesn't. Warns once when the quota drops to
+ * `uprockVerify.lowQuotaThreshold`, and again when it runs out.
+ */
+
+const vscode = require('vscode');
+const { logger } = require('./logger');
+
+// How long a fetched quota is trusted before it is fetched again
+const CACHE_TTL = 5 * 60 * 1000;
+
+class QuotaMonitor {
+  constructor(apiClient) {
+    this.apiClient = apiClient;
+    this._quota = null;
+    this._fetching = null;
+    // Scans left when the low-quota warning was last shown
+    this._warnedAt = null;
+
+    this._onDidChange = new vscode.EventEmitter();
+    /** Fired when the cached quota changes */
+    this.onDidChange = this._onDidChange.event;
+
+    this._disposables = [
+      apiClient.onDidSubmit(({ scans, scansRemaining }) => this._recordUsage(scans, scansRemaining))
+    ];
+  }
+
+  /**
+   * Get the cached quota, without fetching
+   * @returns {{used: number|null, limit: number|null, remaining: number|null, unlimited: boolean,
+   *   plan: string|null, fetchedAt: number}|null} null until fetched; remaining is null when unknown
+   */
+  getCached() {
+    return this._quota;
+  }
+
+  /**
+   * Get the quota, fetching it when the cache is stale
+   * Errors are logged and the cached quota (possibly null) is returned.
+   */
+  async getQuota({ force = false } = {}) {
+    const isFresh = this._quota && Date.now() - this._quota.fetchedAt < CACHE_TTL;
+    if (isFresh && !force) return this._quota;
+    if (!await this.apiClient.hasApiKey()) return null;
+
+    // Concurrent callers share one request
+    if (!this._fetching) {
+      this._fetching = this._fetch().finally(() => {
+        this._fetching = null;
+      });
+    }
+    return this._fetching;
+  }
+
+  /**
+   * Forget the cached quota, e.g. after switching profile or API key
+   */
+  invalidate() {
+    this._quota = null;
+    this._warnedAt = null;
+    this._onDidChange.fire(null);
+  }
+
+  /**
+   * Check whether the quota is at or below the warning threshold
+   */
+  isLow(quota = this._quota) {
+    if (!quota || quota.unlimited || quota.remaining === null) return false;
+    // A threshold of 0 turns the warning off
+    const threshold = getThreshold();
+    return threshold > 0 && quota.remaining <= threshold;
+  }
+
+  /**
+   * Preview the cost of a submission and confirm it
+   * Asks when uprockVerify.confirmBatchCost is on, or whenever the scans left don't cover it.
+   * @param {number} scans - Scans the submission costs
+   * @param {string} what - What is being submitted, e.g. "12 URLs"
+   * @returns {Promise<boolean>} Whether to submit
+   */
+  async confirmCost(scans, what) {
+    const quota = await this.getQuota();
+    const config = vscode.workspace.getConfiguration('uprockVerify');
+    const known = quota && !quota.unlimited && quota.remaining !== null;
+    const isShort = known && scans > quota.remaining;
+    if (!isShort && config.get('confirmBatchCost') === false) return true;
+
+    const cost = `Verifying ${what} uses ${scans} scan${scans === 1 ? '' : 's'}.`;
+    let detail = 'Scans left could not be determined.';
+    if (quota?.unlimited) {
+      detail = 'Your plan has unlimited scans.';
+    } else if (known) {
+      detail = isShort
+        ? `Only ${quota.remaining} scan${quota.remaining === 1 ? ' is' : 's are'} left this month (${quota.used}/${quota.limit} used); the API may reject or partially run this batch.`
+        : `${quota.remaining} of ${quota.limit} scans left this month; ${quota.remaining - scans} after this batch.`;
+    }
+
+    const action = await (isShort ? vscode.window.showWarningMessage : vscode.window.showInformationMessage)(
+      cost,
+      { modal: true, detail },
+      isShort ? 'Verify Anyway' : 'Verify'
+    );
+    return action !== undefined;
+  }
+
+  async _fetch() {
+    try {
+      const result = await this.apiClient.getAccountStatus();
+      const billing = result?.data?.billing;
+      if (!result?.success || !billing) return this._quota;
+
+      const limit = Number(billing.scansLimit);
+      const used = Number(billing.scansUsed) || 0;
+      const unlimited = !Number.isFinite(limit) || limit < 0 || billing.scansLimit === 'Unlimited';
+      this._update({
+        used,
+        limit: unlimited ? null : limit,
+        remaining: unlimited ? null : Math.max(0, limit - used),
+        unlimited,
+        plan: billing.plan || null,
+        fetchedAt: Date.now()
+      });
+    } catch (error) {
+      logger.warn('Failed to fetch the scan quota', error);
+    }
+    return this._quota;
+  }
+
+  _recordUsage(scans, scansRemaining) {
+    if (scansRemaining === 'Unlimited') {
+      this._update({ ...this._quota, remaining: null, unlimited: true, fetchedAt: this._quota?.fetchedAt || Date.now() });
+      return;
+    }
+
+    const reported = Number(scansRemaining);
+    if (scansRemaining !== undefined && scansRemaining !== null && Number.isFinite(reported)) {
+      const limit = this._quota?.limit ?? null;
+      this._update({
+        plan: null,
+        ...this._quota,
+        used: limit !== null ? Math.max(0, limit - reported) : this._quota?.used ?? null,
+        limit,
+        remaining: reported,
+        unlimited: false,
+        fetchedAt: this._quota?.fetchedAt || Date.now()
+      });
+    } else if (this._quota && !this._quota.unlimited && this._quota.remaining !== null) {
+      // Not reported: count down until the next fetch corrects it
+      this._update({
+        ...this._quota,
+        used: this._quota.used + scans,
+        remaining: Math.max(0, this._quota.remaining - scans)
+      });
+    } else {
+      this.getQuota({ force: true });
+    }
+  }
+
+  _update(quota) {
+    const previous = this._quota;
+    this._quota = quota;
+    if (previous?.remaining !== quota.remaining || previous?.unlimited !== quota.unlimited) {
+      logger.debug(`Scan quota: ${quota.unlimited ? 'unlimited' : `${quota.remaining} left`}`);
+    }
+    this._onDidChange.fire(quota);
+    this._warnIfLow(quota);
+  }
+
+  _warnIfLow(quota) {
+    if (!this.isLow(quota)) {
+      // Back above the threshold (new month or upgraded plan): warn again next time
+      this._warnedAt = null;
+      return;
+    }
+
+    // Warn when first crossing the threshold, and once more when the quota runs out
+    const isNewLow = this._warnedAt === null || (quota.remaining === 0 && this._warnedAt > 0);
+    if (!isNewLow) return;
+    this._warnedAt = quota.remaining;
+
+    const message = quota.remaining === 0
+      ? 'UpRock Verify: you have no scans left this month. Verifications will be rejected until your quota resets or you upgrade.'
+      : `UpRock Verify: only ${quota.remaining} scan${quota.remaining === 1 ? '' : 's'} left this month${quota.limit !== null ? ` (${quota.used}/${quota.limit} used)` : ''}.`;
+    vscode.window.showWarningMessage(message, 'Account Status').then((action) => {
+      if (action === 'Account Status') {
+        vscode.commands.executeCommand('uprock.status');
+      }
+    });
+  }
+
+  dispose() {
+    this._disposables.forEach(d => d.dispose());
+    this._onDidChange.dispose();
+  }
+}
+
+function getThreshold() {
+  const threshold = vscode.workspace.getConfiguration('uprockVerify').get('lowQuotaThreshold');
+  return typeof threshold === 'number' ? threshold : 10;
+}
+
+module.exports = QuotaMonitor;
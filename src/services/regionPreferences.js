@@ -0,0 +1,58 @@
+/**
+ * Region Preferences for UpRock Verify Extension
+ *
+ * Resolves the region quick checks run from. The `uprockVerify.defaultRegion`
+ * setting can be set per workspace to override the user setting; recently
+ * picked regions are kept in globalState so the region picker lists them first.
+ */
+
+const vscode = require('vscode');
+const { CONTINENT_CODES, DEFAULT_CONFIG } = require('../constants');
+
+// globalState key of the recently picked regions, most recent first
+const RECENT_REGIONS_KEY = 'uprockVerify.recentRegions';
+const MAX_RECENT_REGIONS = 3;
+
+class RegionPreferences {
+  constructor(context) {
+    this.context = context;
+  }
+
+  /**
+   * Get the configured quick-check region (workspace setting wins over user setting)
+   */
+  getDefaultRegion() {
+    const region = vscode.workspace.getConfiguration('uprockVerify').get('defaultRegion');
+    return CONTINENT_CODES.includes(region) ? region : DEFAULT_CONFIG.defaultRegion;
+  }
+
+  /**
+   * Save the quick-check region
+   * @param {boolean} forWorkspace - Save to the workspace settings instead of the user settings
+   */
+  async setDefaultRegion(region, forWorkspace = false) {
+    const config = vscode.workspace.getConfiguration('uprockVerify');
+    const target = forWorkspace && vscode.workspace.workspaceFolders?.length
+      ? vscode.ConfigurationTarget.Workspace
+      : vscode.ConfigurationTarget.Global;
+    await config.update('defaultRegion', region, target);
+  }
+
+  /**
+   * Get the recently picked regions, most recent first
+   */
+  getRecentRegions() {
+    return this.context.globalState.get(RECENT_REGIONS_KEY, [])
+      .filter(region => CONTINENT_CODES.includes(region));
+  }
+
+  /**
+   * Remember a picked region for the top of the region picker
+   */
+  async addRecentRegion(region) {
+    const recent = [region, ...this.getRecentRegions().filter(r => r !== region)];
+    await this.context.globalState.update(RECENT_REGIONS_KEY, recent.slice(0, MAX_RECENT_REGIONS));
+  }
+}
+
+module.exports = RegionPreferences;
@@ -0,0 +1,164 @@
+/**
+ * Request Auth for UpRock Verify Extension
+ *
+ * Credentials the verification devices send to a protected site: extra
+ * request headers (e.g. a Vercel protection bypass or Cloudflare Access
+ * token), cookies and basic auth. They are kept per site origin in
+ * SecretStorage, never in settings; globalState only lists which origins
+ * have credentials so they can be managed.
+ */
+
+// SecretStorage key prefix; the site origin is appended
+const SECRET_PREFIX = 'uprockVerify.requestAuth';
+
+// globalState key of the origins that have stored credentials
+const ORIGINS_KEY = 'uprockVerify.requestAuthOrigins';
+
+class RequestAuth {
+  constructor(context) {
+    this.context = context;
+  }
+
+  /**
+   * Get the origin credentials are stored under (null for an invalid URL)
+   */
+  static getOrigin(url) {
+    try {
+      return new URL(/^https?:\/\//.test(url) ? url : `https://${url}`).origin;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Get the origins that have stored credentials
+   */
+  getOrigins() {
+    return this.context.globalState.get(ORIGINS_KEY, []);
+  }
+
+  /**
+   * Get the stored credentials for a URL's origin
+   * @returns {Promise<{headers?: Object, cookies?: Object, basicAuth?: {username: string, password: string}}|null>}
+   */
+  async get(url) {
+    const origin = RequestAuth.getOrigin(url);
+    if (!origin || !this.getOrigins().includes(origin)) return null;
+
+    const stored = await this.context.secrets.get(`${SECRET_PREFIX}.${origin}`);
+    if (!stored) return null;
+    try {
+      return JSON.parse(stored);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Store credentials for a URL's origin (removes them when empty)
+   */
+  async set(url, auth) {
+    const origin = RequestAuth.getOrigin(url);
+    if (!origin) return;
+
+    if (isEmpty(auth)) {
+      await this.delete(url);
+      return;
+    }
+
+    await this.context.secrets.store(`${SECRET_PREFIX}.${origin}`, JSON.stringify(auth));
+    const origins = this.getOrigins().filter(o => o !== origin);
+    await this.context.globalState.update(ORIGINS_KEY, [...origins, origin]);
+  }
+
+  /**
+   * Remove the credentials for a URL's origin
+   */
+  async delete(url) {
+    const origin = RequestAuth.getOrigin(url);
+    if (!origin) return;
+
+    await this.context.secrets.delete(`${SECRET_PREFIX}.${origin}`);
+    await this.context.globalState.update(ORIGINS_KEY, this.getOrigins().filter(o => o !== origin));
+  }
+}
+
+/**
+ * Check whether credentials contain anything to send
+ */
+function isEmpty(auth) {
+  return !auth ||
+    (!Object.keys(auth.headers || {}).length &&
+     !Object.keys(auth.cookies || {}).length &&
+     !auth.basicAuth?.username);
+}
+
+/**
+ * Convert credentials into verify payload fields
+ * @returns {Object} requestHeaders, cookies and basicAuth, only the ones that are set
+ */
+function toPayload(auth) {
+  if (isEmpty(auth)) return {};
+
+  const payload = {};
+  if (Object.keys(auth.headers || {}).length) payload.requestHeaders = auth.headers;
+  if (Object.keys(auth.cookies || {}).length) payload.cookies = auth.cookies;
+  if (auth.basicAuth?.username) {
+    payload.basicAuth = { username: auth.basicAuth.username, password: auth.basicAuth.password || '' };
+  }
+  return payload;
+}
+
+/**
+ * Convert credentials into plain HTTP request headers (Cookie and Authorization included)
+ */
+function toHeaders(auth) {
+  if (isEmpty(auth)) return {};
+
+  const headers = { ...auth.headers };
+  const cookies = Object.entries(auth.cookies || {});
+  if (cookies.length) {
+    headers.Cookie = cookies.map(([name, value]) => `${name}=${value}`).join('; ');
+  }
+  if (auth.basicAuth?.username) {
+    const token = Buffer.from(`${auth.basicAuth.username}:${auth.basicAuth.password || ''}`).toString('base64');
+    headers.Authorization = `Basic ${token}`;
+  }
+  return headers;
+}
+
+/**
+ * Parse "Name: value" header lines into an object
+ */
+function parseHeaders(text) {
+  const headers = {};
+  for (const line of (text || '').split(/\r?\n/)) {
+    const index = line.indexOf(':');
+    if (index <= 0) continue;
+    const name = line.slice(0, index).trim();
+    if (name) headers[name] = line.slice(index + 1).trim();
+  }
+  return headers;
+}
+
+/**
+ * Parse a "name=value; name2=value2" cookie string into an object
+ */
+function parseCookies(text) {
+  const cookies = {};
+  for (const pair of (text || '').split(';')) {
+    const index = pair.indexOf('=');
+    if (index <= 0) continue;
+    const name = pair.slice(0, index).trim();
+    if (name) cookies[name] = pair.slice(index + 1).trim();
+  }
+  return cookies;
+}
+
+RequestAuth.isEmpty = isEmpty;
+RequestAuth.toPayload = toPayload;
+RequestAuth.toHeaders = toHeaders;
+RequestAuth.parseHeaders = parseHeaders;
+RequestAuth.parseCookies = parseCookies;
+
+module.exports = RequestAuth;
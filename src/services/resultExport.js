@@ -0,0 +1,244 @@
+/**
+ * Result Export for UpRock Verify Extension
+ *
+ * Turns what the results panel shows into files that can be attached to a
+ * release checklist or pasted into a PR: raw JSON, CSV with one row per
+ * URL and region, Markdown, and a standalone HTML report with its
+ * screenshots embedded.
+ */
+
+const axios = require('axios');
+const { createNetworkOptions } = require('../api/network');
+const { STATE_DISPLAY, CONTINENT_DISPLAY, VERDICT_DISPLAY, CHECK_DISPLAY } = require('../constants');
+const { evaluateAssertions } = require('./assertions');
+const { logger } = require('./logger');
+
+const FILE_EXTENSIONS = {
+  json: 'json',
+  csv: 'csv',
+  markdown: 'md',
+  html: 'html'
+};
+
+const CSV_COLUMNS = [
+  'url', 'label', 'owner', 'region', 'status', 'state', 'reachability', 'usability',
+  'httpStatus', 'responseTime', 'verdict', 'error'
+];
+
+// Screenshots larger than this are linked instead of embedded
+const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+const IMAGE_TIMEOUT = 30000;
+
+/**
+ * Raw result with the options it was shown with
+ * @param {{type: string, data: Object, options: Object}} view - As stored by ResultsPanel
+ */
+function toJson(view) {
+  const { continents, assertions, preflight } = view.options || {};
+  return JSON.stringify({
+    type: view.type,
+    exportedAt: new Date().toISOString(),
+    continents: continents || undefined,
+    assertions: assertions || undefined,
+    preflight: preflight || undefined,
+    result: view.data
+  }, null, 2);
+}
+
+/**
+ * One row per URL and region; batch URLs verified globally in a chunk have a single "all" row
+ */
+function toCsv(view) {
+  const lines = [CSV_COLUMNS, ...toRows(view).map(row => CSV_COLUMNS.map(column => row[column]))];
+  return lines.map(cells => cells.map(toCsvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Summary and results table for PR descriptions and chat
+ */
+function toMarkdown(view) {
+  const { type, data, options = {} } = view;
+  const rows = toRows(view);
+  const lines = [];
+
+  if (type === 'batch') {
+    const { total, completed, failed, cancelled } = data.summary || summarize(rows);
+    lines.push('### 📋 Batch Verification');
+    lines.push('', `${total} URLs: ${completed} successful, ${failed} failed${cancelled ? `, ${cancelled} cancelled` : ''}`);
+  } else {
+    const state = type === 'global' ? data.summary?.overallState : data.scores?.state;
+    const stateInfo = STATE_DISPLAY[state] || STATE_DISPLAY.degraded;
+    const title = { dev: 'Quick Verification', global: 'Global Verification', job: 'Scan Details' }[type];
+    lines.push(`### ${stateInfo.emoji} ${title}: ${data.url || data.normalizedUrl || data.jobId}`);
+
+    const facts = [`**${stateInfo.label}**`];
+    if (type === 'global') {
+      const regions = rows.filter(row => row.status === 'completed').length;
+      facts.push(`${regions}/${rows.length} regions OK`);
+    }
+    const scored = rows.filter(row => row.status === 'completed');
+    if (scored.length) {
+      facts.push(`Reachability ${average(scored, 'reachability')}%`, `Usability ${average(scored, 'usability')}%`);
+    }
+    lines.push('', facts.join(' · '));
+  }
+
+  const hasLabels = rows.some(row => row.label || row.owner);
+  const hasVerdicts = rows.some(row => row.verdict);
+  const columns = [
+    type === 'batch' && ['URL', row => row.url],
+    hasLabels && ['Label', row => [row.label, row.owner && `(${row.owner})`].filter(Boolean).join(' ')],
+    ['Region', row => CONTINENT_DISPLAY[row.region] ? `${CONTINENT_DISPLAY[row.region].flag} ${CONTINENT_DISPLAY[row.region].label}` : row.region],
+    ['State', row => row.status === 'completed' ? `${(STATE_DISPLAY[row.state] || STATE_DISPLAY.degraded).emoji} ${row.state || 'unknown'}` : `❌ ${row.status}`],
+    ['Reachability', row => row.reachability === '' ? '' : `${row.reachability}%`],
+    ['Usability', row => row.usability === '' ? '' : `${row.usability}%`],
+    ['HTTP', row => row.httpStatus],
+    ['Response', row => row.responseTime === '' ? '' : `${row.responseTime}ms`],
+    hasVerdicts && ['Assertions', row => row.verdict && `${VERDICT_DISPLAY[row.verdict].emoji} ${VERDICT_DISPLAY[row.verdict].label}`],
+    ['Error', row => row.error]
+  ].filter(Boolean);
+
+  lines.push('', `| ${columns.map(([name]) => name).join(' | ')} |`, `|${columns.map(() => '---').join('|')}|`);
+  for (const row of rows) {
+    lines.push(`| ${columns.map(([, cell]) => toMarkdownCell(cell(row))).join(' | ')} |`);
+  }
+
+  // A single URL's assertion checklist
+  const evaluation = type !== 'batch' && options.assertions && getEvaluation(view);
+  if (evaluation) {
+    lines.push('', `**Assertions: ${VERDICT_DISPLAY[evaluation.verdict].emoji} ${VERDICT_DISPLAY[evaluation.verdict].label}**`, '');
+    for (const check of evaluation.checks) {
+      lines.push(`- ${CHECK_DISPLAY[check.status] || ''} ${check.label}${check.details ? ` (${check.details})` : ''}`);
+    }
+  }
+
+  lines.push('', `_Verified with UpRock Verify · exported ${new Date().toISOString()}_`, '');
+  return lines.join('\n');
+}
+
+/**
+ * Make an HTML report standalone by embedding its remote images as data URIs
+ * Images that can't be fetched stay linked.
+ */
+async function embedImages(html) {
+  const sources = [...new Set([...html.matchAll(/<img [^>]*src="(https?:\/\/[^"]+)"/g)].map(match => match[1]))];
+  let embedded = html;
+  for (const source of sources) {
+    try {
+      const dataUri = await fetchDataUri(source.replace(/&amp;/g, '&'));
+      embedded = embedded.split(`src="${source}"`).join(`src="${dataUri}"`);
+    } catch (error) {
+      logger.warn(`Could not embed ${source} in the report`, error);
+    }
+  }
+  return embedded;
+}
+
+/**
+ * A file name for an export, e.g. uprock-verify-example-com-2024-05-01.md
+ */
+function getExportFileName(view, format) {
+  let subject = view.type === 'batch' ? 'batch' : 'result';
+  try {
+    subject = new URL(view.data.url || view.data.normalizedUrl).hostname.replace(/^www\./, '').replace(/\./g, '-');
+  } catch {
+    // Batches and jobs without a URL keep the generic name
+  }
+  return `uprock-verify-${subject}-${new Date().toISOString().slice(0, 10)}.${FILE_EXTENSIONS[format]}`;
+}
+
+/**
+ * Flatten a view into export rows (all cells strings or numbers)
+ */
+function toRows({ type, data, options = {} }) {
+  const toRow = (fields, result) => ({
+    ...Object.fromEntries(CSV_COLUMNS.map(column => [column, ''])),
+    ...fields,
+    status: result.status || (result.scores ? 'completed' : ''),
+    state: result.scores?.state || '',
+    reachability: result.scores?.reachability ?? '',
+    usability: result.scores?.usability ?? '',
+    httpStatus: result.httpStatus ?? '',
+    responseTime: result.responseTime ?? '',
+    error: result.status && result.status !== 'completed' ? result.error || '' : ''
+  });
+
+  if (type === 'batch') {
+    return data.results.flatMap((r) => {
+      const fields = { url: r.url, label: r.label || '', owner: r.owner || '', verdict: r.evaluation?.verdict || '' };
+      // Entries verified from their own regions keep a result per region
+      if (r.continents?.length) {
+        return r.continents.map(c => toRow({ ...fields, region: c.continent || r.regions?.[0] || '' }, c));
+      }
+      return [toRow({ ...fields, region: r.regions ? r.regions.join(' ') : 'all' }, r)];
+    });
+  }
+
+  const verdict = options.assertions ? getEvaluation({ type, data, options })?.verdict || '' : '';
+  if (type === 'global') {
+    return getRegions(data, options.continents).map(c => toRow({ url: data.url, region: c.continent, verdict }, c));
+  }
+  return [toRow({ url: data.url || data.normalizedUrl || '', region: data.continent || '', verdict }, data)];
+}
+
+function getRegions(data, continents) {
+  const regions = data.continents || [];
+  if (!continents?.length) return regions;
+  return continents.map(code => regions.find(c => c.continent === code) || { continent: code, status: 'missing', error: 'No result' });
+}
+
+function getEvaluation({ type, data, options }) {
+  if (type === 'job' && data.status !== 'completed') return null;
+  const regions = type === 'global' ? getRegions(data, options.continents) : [data];
+  return evaluateAssertions(options.assertions, regions);
+}
+
+function summarize(rows) {
+  const count = (status) => rows.filter(row => row.status === status).length;
+  const completed = count('completed');
+  const cancelled = count('cancelled');
+  return { total: rows.length, completed, failed: rows.length - completed - cancelled, cancelled };
+}
+
+function average(rows, key) {
+  return Math.round(rows.reduce((sum, row) => sum + (Number(row[key]) || 0), 0) / rows.length);
+}
+
+async function fetchDataUri(url) {
+  const network = createNetworkOptions(url);
+  try {
+    const response = await axios.request({
+      ...network,
+      method: 'GET',
+      url,
+      responseType: 'arraybuffer',
+      maxContentLength: MAX_IMAGE_BYTES,
+      timeout: IMAGE_TIMEOUT
+    });
+    const type = String(response.headers['content-type'] || 'image/png').split(';')[0];
+    return `data:${type};base64,${Buffer.from(response.data).toString('base64')}`;
+  } finally {
+    network.httpAgent.destroy();
+    network.httpsAgent.destroy();
+  }
+}
+
+function toCsvCell(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  // Quote cells with separators, and keep spreadsheets from running cells as formulas
+  const safe = /^[=+\-@]/.test(text) ? `'${text}` : text;
+  return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+}
+
+function toMarkdownCell(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return text.replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+module.exports = {
+  toJson,
+  toCsv,
+  toMarkdown,
+  embedImages,
+  getExportFileName
+};
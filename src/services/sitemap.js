@@ -0,0 +1,284 @@
+/**
+ * Sitemap Reader for UpRock Verify Extension
+ *
+ * Turns sitemaps into URL lists for batch verification: XML url sets, sitemap
+ * index files (followed recursively), gzip sitemaps and plain-text sitemaps,
+ * read from the workspace or fetched over HTTP. Sitemaps can be discovered
+ * from an origin's robots.txt. Include/exclude globs and sampling narrow a
+ * large sitemap down to the pages worth spending scans on.
+ */
+
+const vscode = require('vscode');
+const zlib = require('zlib');
+const axios = require('axios');
+const { createNetworkOptions } = require('../api/network');
+const { logger } = require('./logger');
+
+// Limits from the sitemap protocol: 50,000 URLs and 50MB (uncompressed) per file
+const MAX_URLS = 50000;
+const MAX_SITEMAP_BYTES = 50 * 1024 * 1024;
+
+// Sitemap files read per run, index files included
+const MAX_SITEMAPS = 50;
+
+const REQUEST_TIMEOUT = 30000;
+
+// Redirects followed per sitemap or robots.txt request
+const MAX_REDIRECTS = 5;
+
+/**
+ * Find an origin's sitemaps through the Sitemap: lines of its robots.txt
+ * @param {string} origin - e.g. https://example.com
+ * @param {Object} options
+ * @param {Function} options.getHeaders - Resolves the request headers for a URL (e.g. a protected site's credentials)
+ * @returns {Promise<{sitemaps: string[], fromRobots: boolean}>} /sitemap.xml when robots.txt lists none
+ */
+async function discoverSitemaps(origin, { getHeaders } = {}) {
+  const robotsUrl = new URL('/robots.txt', origin).href;
+  let sitemaps = [];
+  try {
+    const text = (await fetchBytes(robotsUrl, getHeaders)).toString('utf8');
+    sitemaps = text.split(/\r?\n/)
+      .map(line => line.match(/^\s*sitemap\s*:\s*(\S+)/i)?.[1])
+      .filter(Boolean)
+      .map(location => new URL(location, origin).href);
+  } catch (error) {
+    logger.warn(`Could not read ${robotsUrl}`, error);
+  }
+
+  if (sitemaps.length === 0) {
+    return { sitemaps: [new URL('/sitemap.xml', origin).href], fromRobots: false };
+  }
+  return { sitemaps: [...new Set(sitemaps)], fromRobots: true };
+}
+
+/**
+ * Read sitemaps and the sitemaps their index files point to
+ * @param {Array<string|vscode.Uri>} sources - Sitemap URLs or workspace files
+ * @param {Object} options
+ * @param {Function} options.getHeaders - Resolves the request headers for a URL
+ * @param {vscode.CancellationToken} options.token
+ * @returns {Promise<{urls: string[], sitemaps: number, errors: Array<{source: string, message: string}>, truncated: boolean}>}
+ *   Fails only when none of the given sources can be read.
+ */
+async function loadSitemaps(sources, { getHeaders, token } = {}) {
+  const queue = [...sources];
+  const visited = new Set();
+  const urls = new Set();
+  const errors = [];
+  let truncated = false;
+
+  while (queue.length && !token?.isCancellationRequested) {
+    const source = queue.shift();
+    const key = source.toString();
+    if (visited.has(key)) continue;
+    if (visited.size >= MAX_SITEMAPS) {
+      truncated = true;
+      break;
+    }
+    visited.add(key);
+
+    let entries;
+    try {
+      const bytes = typeof source === 'string'
+        ? await fetchBytes(source, getHeaders)
+        : Buffer.from(await vscode.workspace.fs.readFile(source));
+      entries = parseSitemap(decompress(bytes).toString('utf8'));
+    } catch (error) {
+      logger.warn(`Could not read sitemap ${key}`, error);
+      errors.push({ source: key, message: error.message });
+      continue;
+    }
+
+    queue.push(...entries.sitemaps);
+    for (const url of entries.urls) {
+      if (urls.size >= MAX_URLS) {
+        truncated = true;
+        break;
+      }
+      urls.add(url);
+    }
+  }
+
+  if (urls.size === 0 && errors.length === visited.size && errors.length > 0) {
+    throw new Error(errors.length === 1 ? errors[0].message : `None of the ${errors.length} sitemaps could be read`);
+  }
+
+  logger.info(`Read ${urls.size} URL(s) from ${visited.size} sitemap(s)${errors.length ? `, ${errors.length} failed` : ''}`);
+  return { urls: [...urls], sitemaps: visited.size, errors, truncated };
+}
+
+/**
+ * Parse a sitemap into page URLs and, for index files, child sitemap URLs
+ * Text sitemaps list one URL per line.
+ */
+function parseSitemap(text) {
+  if (!/<(urlset|sitemapindex)[\s>]/i.test(text)) {
+    const urls = text.split(/\r?\n/).map(line => line.trim()).filter(line => /^https?:\/\//i.test(line));
+    return { urls, sitemaps: [] };
+  }
+
+  // Only an entry's own <loc>; extensions such as <image:loc> are ignored
+  const locs = (tag) => [...text.matchAll(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, 'gi'))]
+    .map(match => match[1].match(/<loc>([\s\S]*?)<\/loc>/i)?.[1])
+    .filter(Boolean)
+    .map(decodeXml)
+    .filter(url => /^https?:\/\//i.test(url));
+
+  return { urls: locs('url'), sitemaps: locs('sitemap') };
+}
+
+/**
+ * Keep the URLs whose path matches an include glob (all, when none are given) and no exclude glob
+ * Globs match the URL's path: * within a segment, ** across segments, e.g. /blog/** or /docs/*.pdf
+ */
+function filterUrls(urls, { include = [], exclude = [] } = {}) {
+  const includes = include.map(globToRegExp);
+  const excludes = exclude.map(globToRegExp);
+  return urls.filter((url) => {
+    const path = getPath(url);
+    return (includes.length === 0 || includes.some(re => re.test(path))) && !excludes.some(re => re.test(path));
+  });
+}
+
+/**
+ * Keep the first URL under each path prefix of `depth` segments
+ * With depth 1, /blog/a and /blog/b share the prefix /blog; /pricing is its own.
+ */
+function sampleByPrefix(urls, depth) {
+  const seen = new Set();
+  return urls.filter((url) => {
+    let key;
+    try {
+      const { host, pathname } = new URL(url);
+      key = `${host}/${pathname.split('/').filter(Boolean).slice(0, depth).join('/')}`;
+    } catch {
+      key = url;
+    }
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Pick `count` URLs at random, keeping the sitemap's order
+ */
+function sampleRandom(urls, count) {
+  if (count >= urls.length) return [...urls];
+  const indexes = urls.map((_, i) => i);
+  for (let i = 0; i < count; i++) {
+    const j = i + Math.floor(Math.random() * (indexes.length - i));
+    [indexes[i], indexes[j]] = [indexes[j], indexes[i]];
+  }
+  return indexes.slice(0, count).sort((a, b) => a - b).map(i => urls[i]);
+}
+
+/**
+ * Fetch a sitemap or robots.txt, following redirects by hand
+ * The site's credentials go to the URL's origin only, and are dropped for good
+ * once a redirect leaves it.
+ */
+async function fetchBytes(url, getHeaders) {
+  const network = createNetworkOptions(url);
+  const origin = new URL(url).origin;
+  const headers = getHeaders ? await getHeaders(url) : {};
+  let current = url;
+  let leftOrigin = false;
+  try {
+    for (let i = 0; i <= MAX_REDIRECTS; i++) {
+      const response = await axios.request({
+        ...network,
+        method: 'GET',
+        url: current,
+        headers: { 'User-Agent': 'UpRock-Verify-Sitemap', ...(leftOrigin ? {} : headers) },
+        responseType: 'arraybuffer',
+        maxContentLength: MAX_SITEMAP_BYTES,
+        maxRedirects: 0,
+        timeout: REQUEST_TIMEOUT,
+        validateStatus: status => status < 400
+      });
+
+      const location = response.headers.location;
+      if (response.status < 300 || !location) {
+        return Buffer.from(response.data);
+      }
+      current = new URL(location, current).href;
+      leftOrigin = leftOrigin || new URL(current).origin !== origin;
+    }
+    throw new Error(`${url} redirected more than ${MAX_REDIRECTS} times`);
+  } catch (error) {
+    if (error.response) {
+      throw new Error(`${current} returned HTTP ${error.response.status}`);
+    }
+    throw error;
+  } finally {
+    network.httpAgent.destroy();
+    network.httpsAgent.destroy();
+  }
+}
+
+/**
+ * Gunzip .gz sitemaps (detected by their magic bytes, whatever the server says)
+ */
+function decompress(bytes) {
+  if (bytes[0] === 0x1f && bytes[1] === 0x8b) {
+    return zlib.gunzipSync(bytes, { maxOutputLength: MAX_SITEMAP_BYTES });
+  }
+  return bytes;
+}
+
+function decodeXml(text) {
+  return text
+    .replace(/^\s*<!\[CDATA\[([\s\S]*)\]\]>\s*$/, '$1')
+    .trim()
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, '\'')
+    .replace(/&amp;/g, '&');
+}
+
+function getPath(url) {
+  try {
+    return new URL(url).pathname;
+  } catch {
+    return url;
+  }
+}
+
+function globToRegExp(glob) {
+  const normalized = glob.startsWith('/') || glob.startsWith('*') ? glob : `/${glob}`;
+  let pattern = '';
+  for (let i = 0; i < normalized.length; i++) {
+    const char = normalized[i];
+    if (char === '*' && normalized[i + 1] === '*') {
+      // "**/" also matches no directories at all
+      if (normalized[i + 2] === '/') {
+        pattern += '(?:.*/)?';
+        i += 2;
+      } else {
+        pattern += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      pattern += '[^/]*';
+    } else if (char === '?') {
+      pattern += '[^/]';
+    } else {
+      pattern += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${pattern}$`);
+}
+
+module.exports = {
+  discoverSitemaps,
+  loadSitemaps,
+  parseSitemap,
+  filterUrls,
+  sampleByPrefix,
+  sampleRandom
+};
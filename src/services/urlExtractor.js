@@ -0,0 +1,239 @@
+/**
+ * URL Extractor for UpRock Verify Extension
+ *
+ * Finds the URLs in a document for batch verification, reading it the way
+ * its language is written: Markdown link targets, HTML hrefs, JSON string
+ * values, the URL column of a CSV, and any number of URLs per line in plain
+ * text. Results are normalized and deduplicated, in document order.
+ */
+
+// Absolute URLs in free text; trailing punctuation is trimmed afterwards
+const URL_PATTERN = /https?:\/\/[^\s"'<>`]+/gi;
+
+// A bare domain, optionally with a path: example.com, www.example.com/pricing
+const DOMAIN_PATTERN = /^(?:[a-z0-9](?:[a-z0-9-]*[a-z0-9])?\.)+[a-z]{2,}(?::\d+)?(?:\/\S*)?$/i;
+
+// CSV header names of the column holding the URLs
+const URL_COLUMN = /^(?:url|link|href|address|page|website|site|domain|loc|location)s?$/i;
+
+const EXTRACTORS = {
+  markdown: extractFromMarkdown,
+  html: extractFromHtml,
+  xml: extractFromHtml,
+  vue: extractFromHtml,
+  svelte: extractFromHtml,
+  astro: extractFromHtml,
+  php: extractFromHtml,
+  handlebars: extractFromHtml,
+  json: extractFromJson,
+  jsonc: extractFromJson,
+  jsonl: extractFromJson,
+  csv: (text) => extractFromCsv(text, ','),
+  tsv: (text) => extractFromCsv(text, '\t')
+};
+
+/**
+ * Find the URLs in a document's text
+ * @param {string} text
+ * @param {string} languageId - The document's language; unknown languages are read as plain text
+ * @returns {Array<{url: string, offset: number}>} Normalized, deduplicated URLs with the offset of their first mention
+ */
+function extractUrls(text, languageId) {
+  const extract = EXTRACTORS[languageId] || extractFromText;
+  const found = extract(text).sort((a, b) => a.offset - b.offset);
+
+  const seen = new Set();
+  const urls = [];
+  for (const { value, offset } of found) {
+    const url = normalizeUrl(value);
+    if (!url || seen.has(url)) continue;
+    seen.add(url);
+    urls.push({ url, offset });
+  }
+  return urls;
+}
+
+/**
+ * Every URL on every line, and lines that are just a bare domain
+ */
+function extractFromText(text) {
+  const found = findUrls(text);
+  let offset = 0;
+  for (const line of text.split('\n')) {
+    const trimmed = line.trim();
+    if (DOMAIN_PATTERN.test(trimmed)) {
+      found.push({ value: `https://${trimmed}`, offset: offset + line.indexOf(trimmed) });
+    }
+    offset += line.length + 1;
+  }
+  return found;
+}
+
+/**
+ * Link targets, autolinks, reference definitions and bare URLs
+ */
+function extractFromMarkdown(text) {
+  const linked = [
+    // [text](url "title") and ![alt](url)
+    ...matchAll(text, /\]\(\s*<?(https?:\/\/[^\s)>]+(?:\([^\s)]*\)[^\s)>]*)*)>?/gi),
+    // <https://...>
+    ...matchAll(text, /<(https?:\/\/[^\s>]+)>/gi),
+    // [label]: url
+    ...matchAll(text, /^ {0,3}\[[^\]]+\]:\s*<?(https?:\/\/[^\s>]+)/gim)
+  ];
+  // Bare URLs not already covered by a link
+  const covered = new Set(linked.map(match => match.offset));
+  return [...linked, ...findUrls(text).filter(match => !covered.has(match.offset))];
+}
+
+/**
+ * href attributes; protocol-relative links are read as https
+ */
+function extractFromHtml(text) {
+  return matchAll(text, /\bhref\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/gi)
+    .map(({ value, offset }) => ({ value: decodeEntities(value.trim()), offset }))
+    .filter(({ value }) => /^(?:https?:)?\/\//i.test(value))
+    .map(({ value, offset }) => ({ value: value.startsWith('//') ? `https:${value}` : value, offset }));
+}
+
+/**
+ * String values that are URLs; doesn't need the document to parse (comments, JSON Lines)
+ */
+function extractFromJson(text) {
+  const found = [];
+  for (const match of text.matchAll(/"((?:[^"\\\n]|\\.)*)"(\s*:)?/g)) {
+    if (match[2]) continue; // an object key
+    let value;
+    try {
+      value = JSON.parse(`"${match[1]}"`).trim();
+    } catch {
+      continue;
+    }
+    if (/^https?:\/\/\S+$/i.test(value)) {
+      found.push({ value, offset: match.index + 1 });
+    }
+  }
+  return found;
+}
+
+/**
+ * The URL column when the header names one, otherwise every cell holding a URL or bare domain
+ */
+function extractFromCsv(text, delimiter) {
+  const rows = parseCsv(text, delimiter);
+  if (rows.length === 0) return [];
+
+  const column = rows[0].findIndex(cell => URL_COLUMN.test(cell.value.trim()));
+  const cells = column >= 0
+    ? rows.slice(1).map(row => row[column]).filter(Boolean)
+    : rows.flat();
+
+  return cells.flatMap(({ value, offset }) => {
+    const trimmed = value.trim();
+    if (/^https?:\/\/\S+$/i.test(trimmed)) return [{ value: trimmed, offset }];
+    if (DOMAIN_PATTERN.test(trimmed)) return [{ value: `https://${trimmed}`, offset }];
+    // A free-text cell may still mention URLs
+    return findUrls(value).map(match => ({ value: match.value, offset: offset + match.offset }));
+  });
+}
+
+/**
+ * Split CSV into rows of cells with their offsets, honouring quoted fields
+ */
+function parseCsv(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let i = 0;
+
+  while (i <= text.length) {
+    let value = '';
+    const offset = i;
+    if (text[i] === '"') {
+      i++;
+      while (i < text.length) {
+        if (text[i] === '"' && text[i + 1] === '"') {
+          value += '"';
+          i += 2;
+        } else if (text[i] === '"') {
+          i++;
+          break;
+        } else {
+          value += text[i++];
+        }
+      }
+      // Anything after the closing quote belongs to the same cell
+      while (i < text.length && text[i] !== delimiter && text[i] !== '\n') {
+        value += text[i++];
+      }
+    } else {
+      while (i < text.length && text[i] !== delimiter && text[i] !== '\n') {
+        value += text[i++];
+      }
+    }
+    row.push({ value: value.replace(/\r$/, ''), offset });
+
+    if (text[i] === delimiter) {
+      i++;
+      continue;
+    }
+    if (row.some(cell => cell.value.trim())) {
+      rows.push(row);
+    }
+    row = [];
+    i++;
+  }
+  return rows;
+}
+
+function findUrls(text) {
+  return [...text.matchAll(URL_PATTERN)].map(match => ({ value: match[0], offset: match.index }));
+}
+
+/**
+ * Offsets of the first capture group that matched
+ */
+function matchAll(text, pattern) {
+  return [...text.matchAll(pattern)].map((match) => {
+    const group = match.slice(1).findIndex(value => value !== undefined);
+    const value = match[group + 1];
+    return { value, offset: match.index + match[0].indexOf(value) };
+  });
+}
+
+/**
+ * Make a URL verifiable and comparable: no trailing punctuation or fragment, bare origins without a slash
+ * @returns {string|null} null when the value isn't an http(s) URL
+ */
+function normalizeUrl(value) {
+  let trimmed = value.trim().replace(/[.,;:!?*]+$/, '');
+  // Drop closing brackets the URL doesn't open, e.g. "(see https://example.com/docs)"
+  for (const [open, close] of [['(', ')'], ['[', ']']]) {
+    while (trimmed.endsWith(close) && trimmed.split(close).length > trimmed.split(open).length) {
+      trimmed = trimmed.slice(0, -1).replace(/[.,;:!?*]+$/, '');
+    }
+  }
+  // Template placeholders, e.g. https://{{host}}/ or https://${domain}
+  if (/[{}]/.test(trimmed)) return null;
+
+  let url;
+  try {
+    url = new URL(trimmed);
+  } catch {
+    return null;
+  }
+  if (!['http:', 'https:'].includes(url.protocol) || !url.hostname) return null;
+
+  url.hash = '';
+  return url.pathname === '/' && !url.search ? url.origin : url.href;
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, '\'')
+    .replace(/&amp;/g, '&');
+}
+
+module.exports = { extractUrls, parseCsv, normalizeUrl };
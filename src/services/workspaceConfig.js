@@ -0,0 +1,192 @@
+/**
+ * Workspace Config for UpRock Verify Extension
+ *
+ * Reads `.uprockverify.json` from the root of each workspace folder. The file
+ * is checked into the repository and names its deployment targets (prod,
+ * staging, preview...) so commands and the sidebar can offer them instead of
+ * an empty URL box. Top-level regions, expected status codes and budgets are
+ * defaults that each target can override, and so are content assertions.
+ * See schemas/uprockverify.schema.json.
+ */
+
+const vscode = require('vscode');
+const { CONTINENT_CODES } = require('../constants');
+const { logger } = require('./logger');
+const { mergeAssertions } = require('./assertions');
+
+const CONFIG_FILE = '.uprockverify.json';
+
+class WorkspaceConfig {
+  constructor() {
+    this._targets = [];
+    // Parse errors by file path, so each broken file is only reported once
+    this._errors = new Map();
+
+    this._onDidChange = new vscode.EventEmitter();
+    /** Fired after the targets are reloaded */
+    this.onDidChange = this._onDidChange.event;
+
+    this._watcher = vscode.workspace.createFileSystemWatcher(`**/${CONFIG_FILE}`);
+    this._disposables = [
+      this._watcher,
+      this._watcher.onDidCreate(() => this.load()),
+      this._watcher.onDidChange(() => this.load()),
+      this._watcher.onDidDelete(() => this.load()),
+      vscode.workspace.onDidChangeWorkspaceFolders(() => this.load())
+    ];
+  }
+
+  /**
+   * Get the config file location for a workspace folder
+   */
+  getConfigUri(folder) {
+    return vscode.Uri.joinPath(folder.uri, CONFIG_FILE);
+  }
+
+  /**
+   * Get the targets from every workspace folder
+   * @returns {Array<{name: string, label: string, url: string, regions: string[]|null,
+   *   expectedStatus: number[]|null, budgets: Object|null, assertions: Object|null,
+   *   labels: string[], folder: string, configUri: vscode.Uri}>}
+   */
+  getTargets() {
+    return this._targets;
+  }
+
+  /**
+   * Look up a target by name
+   */
+  getTarget(name) {
+    return this._targets.find(target => target.name === name);
+  }
+
+  /**
+   * Look up the target for a verified URL
+   * The API may normalize URLs, so a trailing slash and the host's case are ignored.
+   */
+  findTargetByUrl(url) {
+    const key = toUrlKey(url);
+    return key ? this._targets.find(target => toUrlKey(target.url) === key) : undefined;
+  }
+
+  /**
+   * Re-read the config files and notify listeners
+   */
+  async load() {
+    const targets = [];
+    for (const folder of vscode.workspace.workspaceFolders || []) {
+      const config = await this._read(folder);
+      if (config) {
+        targets.push(...parseTargets(config, folder, this.getConfigUri(folder)));
+      }
+    }
+
+    this._targets = targets;
+    logger.debug(`Loaded ${targets.length} target(s) from ${CONFIG_FILE}`);
+    this._onDidChange.fire(targets);
+  }
+
+  async _read(folder) {
+    const uri = this.getConfigUri(folder);
+    let text;
+    try {
+      text = Buffer.from(await vscode.workspace.fs.readFile(uri)).toString('utf8');
+    } catch {
+      // No config file in this folder
+      this._errors.delete(uri.fsPath);
+      return null;
+    }
+
+    try {
+      const config = JSON.parse(text);
+      this._errors.delete(uri.fsPath);
+      return config && typeof config === 'object' ? config : null;
+    } catch (error) {
+      if (this._errors.get(uri.fsPath) !== error.message) {
+        this._errors.set(uri.fsPath, error.message);
+        logger.warn(`Ignoring ${uri.fsPath}`, error);
+        vscode.window.showWarningMessage(`UpRock Verify: ${CONFIG_FILE} in "${folder.name}" is not valid JSON: ${error.message}`, 'Open File')
+          .then((action) => {
+            if (action === 'Open File') vscode.window.showTextDocument(uri);
+          });
+      }
+      return null;
+    }
+  }
+
+  dispose() {
+    this._disposables.forEach(d => d.dispose());
+    this._onDidChange.dispose();
+  }
+}
+
+/**
+ * Resolve the targets in a config file, applying the top-level defaults
+ * Entries without a URL are skipped; the JSON schema flags them in the editor.
+ */
+function parseTargets(config, folder, configUri) {
+  const targets = config.targets && typeof config.targets === 'object' ? config.targets : {};
+
+  return Object.entries(targets)
+    .filter(([, target]) => target && typeof target.url === 'string' && target.url.trim())
+    .map(([name, target]) => {
+      const url = target.url.trim();
+      const budgets = mergeBudgets(config.budgets, target.budgets);
+      const expectedStatus = normalizeStatus(target.expectedStatus ?? config.expectedStatus);
+      return {
+        name,
+        label: target.label || name,
+        url: /^https?:\/\//.test(url) ? url : `https://${url}`,
+        regions: normalizeRegions(target.regions || config.regions),
+        expectedStatus,
+        budgets: Object.keys(budgets).length > 0 ? budgets : null,
+        assertions: mergeAssertions({ status: expectedStatus }, config.assertions, target.assertions),
+        labels: Array.isArray(target.labels) ? target.labels : [],
+        folder: folder.name,
+        configUri
+      };
+    });
+}
+
+/**
+ * Merge top-level and target budgets, including the per-region overrides
+ */
+function mergeBudgets(base, override) {
+  const asObject = (value) => value && typeof value === 'object' ? value : {};
+  const merged = { ...asObject(base), ...asObject(override) };
+
+  const regions = {};
+  for (const code of CONTINENT_CODES) {
+    const budgets = { ...asObject(asObject(base).regions)[code], ...asObject(asObject(override).regions)[code] };
+    if (Object.keys(budgets).length > 0) regions[code] = budgets;
+  }
+  delete merged.regions;
+  if (Object.keys(regions).length > 0) merged.regions = regions;
+
+  return merged;
+}
+
+function toUrlKey(url) {
+  try {
+    const parsed = new URL(/^https?:\/\//.test(url) ? url : `https://${url}`);
+    return `${parsed.protocol}//${parsed.host}${parsed.pathname.replace(/\/+$/, '')}${parsed.search}`;
+  } catch {
+    return null;
+  }
+}
+
+function normalizeRegions(regions) {
+  if (!Array.isArray(regions)) return null;
+  const valid = CONTINENT_CODES.filter(code => regions.includes(code));
+  return valid.length > 0 ? valid : null;
+}
+
+function normalizeStatus(status) {
+  if (status === undefined || status === null) return null;
+  const codes = (Array.isArray(status) ? status : [status]).filter(Number.isInteger);
+  return codes.length > 0 ? codes : null;
+}
+
+WorkspaceConfig.CONFIG_FILE = CONFIG_FILE;
+
+module.exports = WorkspaceConfig;
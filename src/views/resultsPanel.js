@@ -3,41 +3,183 @@
  */
 
 const vscode = require('vscode');
-const { STATE_DISPLAY, CONTINENT_DISPLAY, WEB_VITALS_THRESHOLDS } = require('../constants');
+const {
+  STATE_DISPLAY,
+  CONTINENT_DISPLAY,
+  CONTINENT_CODES,
+  STATE_RANK,
+  WEB_VITALS_THRESHOLDS,
+  VERDICT_DISPLAY,
+  CHECK_DISPLAY
+} = require('../constants');
+const { evaluateAssertions } = require('../services/assertions');
+const { comparePreflight } = require('../services/preflight');
+
+// Export buttons shown above every result
+const EXPORT_FORMATS = [
+  { format: 'json', label: 'JSON' },
+  { format: 'csv', label: 'CSV' },
+  { format: 'markdown', label: 'Markdown' },
+  { format: 'clipboard', label: 'Copy Markdown' },
+  { format: 'html', label: 'HTML Report' }
+];
+
+// Stand-ins for the VS Code theme variables the panel's styles use, for exported reports
+const REPORT_THEME = `
+    :root {
+      --vscode-foreground: #1f2937;
+      --vscode-descriptionForeground: #6b7280;
+      --vscode-editor-background: #ffffff;
+      --vscode-editor-inactiveSelectionBackground: #f3f4f6;
+      --vscode-input-background: #f9fafb;
+      --vscode-panel-border: #e5e7eb;
+      --vscode-editor-font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+    }`;
 
 class ResultsPanel {
   constructor(context) {
     this.context = context;
     this.panel = null;
+    // What the panel shows, for exporting it: { type: 'dev'|'global'|'batch'|'job', data, options }
+    this.current = null;
+    // Last batch shown, for retrying its failed URLs
+    this.batchResult = null;
   }
 
   /**
    * Show verification results
+   * @param {Object} options
+   * @param {string[]} options.continents - Regions requested, when not all six
+   * @param {Object} options.assertions - Checks to show a pass/fail checklist for
+   * @param {Object} options.preflight - Local pre-flight to show alongside the results
    */
-  show(result, isDev = false) {
-    this.createPanel();
-
-    if (isDev) {
-      this.panel.webview.html = this.getDevResultHtml(result);
-    } else {
-      this.panel.webview.html = this.getGlobalResultHtml(result);
-    }
+  show(result, isDev = false, options = {}) {
+    this.render({ type: isDev ? 'dev' : 'global', data: result, options });
   }
 
   /**
    * Show batch results
    */
   showBatch(result) {
-    this.createPanel();
-    this.panel.webview.html = this.getBatchResultHtml(result);
+    this.batchResult = result;
+    this.render({ type: 'batch', data: result, options: {} });
   }
 
   /**
    * Show job details
+   * @param {Object} options
+   * @param {string[]} options.continents - Regions requested, when not all six
+   * @param {Object} options.assertions - Checks to show a pass/fail checklist for
+   * @param {Object} options.preflight - Local pre-flight to show alongside the results
    */
-  showJobDetails(data) {
+  showJobDetails(data, options = {}) {
+    // Completed multi-region jobs carry per-region results; render them like a global verification
+    if (Array.isArray(data.results) && data.results.length > 0) {
+      this.render({ type: 'global', data: this.toGlobalResult(data), options });
+    } else {
+      this.render({ type: 'job', data, options });
+    }
+  }
+
+  /**
+   * Show a result in the panel and remember it for exporting
+   */
+  render(view) {
+    // Exports cover the requested regions only, like the panel
+    const { continents } = view.options;
+    const isSubset = view.type === 'global' && continents?.length > 0 && continents.length < CONTINENT_CODES.length;
+    this.current = isSubset ? { ...view, data: this.forContinents(view.data, continents) } : view;
     this.createPanel();
-    this.panel.webview.html = this.getJobDetailsHtml(data);
+    this.panel.webview.html = this.getViewHtml(this.current);
+  }
+
+  /**
+   * Get HTML for a shown result
+   */
+  getViewHtml({ type, data, options }) {
+    switch (type) {
+      case 'dev':
+        return this.getDevResultHtml(data, options);
+      case 'global':
+        return this.getGlobalResultHtml(data, options.continents, options);
+      case 'batch':
+        return this.getBatchResultHtml(data);
+      default:
+        return this.getJobDetailsHtml(data, options);
+    }
+  }
+
+  /**
+   * Get a result as a standalone HTML page: no panel buttons, and VS Code
+   * theme colors replaced with a light theme so it reads in any browser
+   * @param {Object} view - Default: the result shown
+   */
+  getReportHtml(view = this.current) {
+    if (!view) return null;
+    return this.getViewHtml(view)
+      .replace(/<!-- actions -->[\s\S]*?<!-- \/actions -->/g, '')
+      .replace('</style>', `${REPORT_THEME}\n  </style>`);
+  }
+
+  /**
+   * Map job status data (/extension/job/:jobId) to the global verification result shape
+   */
+  toGlobalResult(data) {
+    const results = data.results;
+    const completed = results.filter(r => r.status === 'completed');
+    const summary = data.summary || {};
+    const average = (key) => completed.length
+      ? Math.round(completed.reduce((sum, r) => sum + (r.scores?.[key] || 0), 0) / completed.length)
+      : 0;
+
+    return {
+      url: data.normalizedUrl || data.url,
+      continents: results,
+      summary: {
+        overallState: summary.overallState,
+        completed: summary.completedContinents ?? completed.length,
+        totalContinents: summary.totalContinents || results.length,
+        avgReachability: summary.avgReachability ?? average('reachability'),
+        avgUsability: summary.avgUsability ?? average('usability')
+      },
+      elapsedSeconds: data.elapsedSeconds
+    };
+  }
+
+  /**
+   * Restrict a global result to the requested regions and recompute its summary over them
+   * Requested regions missing from the result are shown as having no result.
+   */
+  forContinents(result, continents) {
+    const regions = continents.map(code =>
+      result.continents.find(c => c.continent === code) || { continent: code, status: 'missing', error: 'No result' }
+    );
+    const completed = regions.filter(c => c.status === 'completed');
+    const average = (key) => completed.length
+      ? Math.round(completed.reduce((sum, c) => sum + (c.scores?.[key] || 0), 0) / completed.length)
+      : 0;
+
+    // Worst completed region sets the state; any failed region makes it at best degraded
+    let overallState = 'down';
+    if (completed.length > 0) {
+      const ranks = completed.map(c => Math.max(0, STATE_RANK.indexOf(c.scores?.state)));
+      overallState = STATE_RANK[Math.min(...ranks)];
+      if (completed.length < regions.length) {
+        overallState = STATE_RANK[Math.min(STATE_RANK.indexOf(overallState), STATE_RANK.indexOf('degraded'))];
+      }
+    }
+
+    return {
+      ...result,
+      continents: regions,
+      summary: {
+        overallState,
+        completed: completed.length,
+        totalContinents: regions.length,
+        avgReachability: average('reachability'),
+        avgUsability: average('usability')
+      }
+    };
   }
 
   /**
@@ -59,6 +201,17 @@ class ResultsPanel {
       }
     );
 
+    this.panel.webview.onDidReceiveMessage((message) => {
+      switch (message.type) {
+        case 'retryFailed':
+          vscode.commands.executeCommand('uprock.retryFailedBatch');
+          break;
+        case 'export':
+          vscode.commands.executeCommand('uprock.exportResults', message.format);
+          break;
+      }
+    });
+
     this.panel.onDidDispose(() => {
       this.panel = null;
     });
@@ -66,8 +219,9 @@ class ResultsPanel {
 
   /**
    * Get HTML for dev verification result
+   * @param {Object} options - assertions and preflight, as for show()
    */
-  getDevResultHtml(result) {
+  getDevResultHtml(result, options = {}) {
     const state = result.scores?.state || 'unknown';
     const stateInfo = STATE_DISPLAY[state] || STATE_DISPLAY.degraded;
 
@@ -122,6 +276,10 @@ class ResultsPanel {
         </div>
       </div>
 
+      ${options.preflight ? this.getPreflightHtml(options.preflight, [result]) : ''}
+
+      ${options.assertions ? this.getAssertionsHtml(evaluateAssertions(options.assertions, [result])) : ''}
+
       ${this.getWebVitalsHtml(result.webVitals)}
 
       ${result.screenshotUrl ? `
@@ -135,8 +293,16 @@ class ResultsPanel {
 
   /**
    * Get HTML for global verification result
+   * @param {Object} result
+   * @param {string[]} continents - Only render these regions (default: every region in the result)
+   * @param {Object} options - assertions and preflight, as for show()
    */
-  getGlobalResultHtml(result) {
+  getGlobalResultHtml(result, continents = null, options = {}) {
+    const isSubset = continents?.length > 0 && continents.length < CONTINENT_CODES.length;
+    if (isSubset) {
+      result = this.forContinents(result, continents);
+    }
+
     const state = result.summary?.overallState || 'unknown';
     const stateInfo = STATE_DISPLAY[state] || STATE_DISPLAY.degraded;
 
@@ -170,7 +336,7 @@ class ResultsPanel {
 
     return this.getBaseHtml(`
       <div class="header">
-        <h1>${stateInfo.emoji} Global Verification Result</h1>
+        <h1>${stateInfo.emoji} ${isSubset ? `Verification Result (${continents.join(', ')})` : 'Global Verification Result'}</h1>
         <p class="url">${this.escapeHtml(result.url)}</p>
       </div>
 
@@ -194,11 +360,15 @@ class ResultsPanel {
           <div class="summary-label">Avg Usability</div>
         </div>
         <div class="summary-item">
-          <div class="summary-value">${result.elapsedSeconds}s</div>
+          <div class="summary-value">${result.elapsedSeconds != null ? result.elapsedSeconds + 's' : '-'}</div>
           <div class="summary-label">Total Time</div>
         </div>
       </div>
 
+      ${options.preflight ? this.getPreflightHtml(options.preflight, result.continents) : ''}
+
+      ${options.assertions ? this.getAssertionsHtml(evaluateAssertions(options.assertions, result.continents)) : ''}
+
       <div class="section">
         <h2>Results by Region</h2>
         <div class="continents-grid">
@@ -208,34 +378,117 @@ class ResultsPanel {
     `);
   }
 
+  /**
+   * Get HTML for an assertion checklist
+   * @param {Object} evaluation - From evaluateAssertions
+   */
+  getAssertionsHtml(evaluation) {
+    const verdictInfo = VERDICT_DISPLAY[evaluation.verdict];
+    const checksHtml = evaluation.checks.map(check => `
+      <li class="assertion-item ${check.status}">
+        <span class="assertion-icon">${CHECK_DISPLAY[check.status]}</span>
+        <span class="assertion-label">${this.escapeHtml(check.label)}</span>
+        <span class="assertion-details">${this.escapeHtml(check.details)}</span>
+      </li>
+    `).join('');
+
+    return `
+      <div class="section">
+        <h2>Assertions <span class="verdict" style="color: ${verdictInfo.color}">${verdictInfo.emoji} ${verdictInfo.label}</span></h2>
+        <ul class="assertion-list">
+          ${checksHtml}
+        </ul>
+      </div>
+    `;
+  }
+
+  /**
+   * Get HTML for the local pre-flight, compared with the remote results
+   * @param {Object} preflight - From runPreflight
+   * @param {Object[]} regions - Per-region results of the verification
+   */
+  getPreflightHtml(preflight, regions) {
+    const comparison = comparePreflight(preflight, regions);
+    const checksHtml = preflight.checks.map(check => `
+      <li class="assertion-item ${check.status}">
+        <span class="assertion-icon">${CHECK_DISPLAY[check.status]}</span>
+        <span class="assertion-label">${this.escapeHtml(check.label)}</span>
+        <span class="assertion-details">${this.escapeHtml(check.details)}</span>
+      </li>
+    `).join('');
+    const redirectsHtml = preflight.redirects.length > 1
+      ? `<p class="preflight-note">Redirects: ${preflight.redirects.map(r => `${this.escapeHtml(r.url)} (${r.status})`).join(' → ')}</p>`
+      : '';
+
+    return `
+      <div class="section">
+        <h2>Local Pre-flight <span class="verdict">${preflight.ok ? '✅ Reachable from this machine' : '❌ Failed from this machine'}</span></h2>
+        ${comparison ? `<p class="preflight-note"><strong>${this.escapeHtml(comparison)}</strong></p>` : ''}
+        <ul class="assertion-list">
+          ${checksHtml}
+        </ul>
+        ${redirectsHtml}
+      </div>
+    `;
+  }
+
   /**
    * Get HTML for batch verification result
+   * Chunked batches (more than 10 URLs) arrive merged, with the number of chunks in `chunks`.
+   * Manifest results carry a label, owner, regions and assertion evaluation, and are grouped.
    */
   getBatchResultHtml(result) {
-    const resultsHtml = result.results.map(r => {
+    const renderItem = (r) => {
       const state = r.scores?.state || (r.status === 'completed' ? 'unknown' : 'down');
       const stateInfo = STATE_DISPLAY[state] || STATE_DISPLAY.down;
+      const verdictInfo = r.evaluation && VERDICT_DISPLAY[r.evaluation.verdict];
+      const meta = [
+        r.regions && r.regions.map(code => CONTINENT_DISPLAY[code]?.flag || code).join(' '),
+        verdictInfo && `<span style="color: ${verdictInfo.color}">${verdictInfo.emoji} ${verdictInfo.label}</span>`
+      ].filter(Boolean).join(' · ');
 
       return `
         <div class="batch-item ${r.status !== 'completed' ? 'failed' : ''}">
           <div class="batch-state">${stateInfo.emoji}</div>
-          <div class="batch-url">${this.escapeHtml(r.url)}</div>
+          <div class="batch-url">
+            ${r.label ? `<div class="batch-label">${this.escapeHtml(r.label)}</div>` : ''}
+            ${this.escapeHtml(r.url)}
+            ${meta ? `<div class="batch-meta">${meta}</div>` : ''}
+          </div>
           ${r.status === 'completed' ? `
             <div class="batch-scores">
               <span>R: ${r.scores?.reachability || 0}%</span>
               <span>U: ${r.scores?.usability || 0}%</span>
             </div>
           ` : `
-            <div class="batch-error">${r.error || r.status}</div>
+            <div class="batch-error">${this.escapeHtml(r.error || r.status)}</div>
           `}
         </div>
       `;
+    };
+
+    const retryable = result.results.filter(r => r.status !== 'completed').length;
+    const groupsHtml = this.groupBatchResults(result.results).map(({ name, results }) => {
+      const completed = results.filter(r => r.status === 'completed').length;
+      return `
+        <div class="section">
+          <h2>${name === null ? 'Results' : `${this.escapeHtml(name)} <span class="verdict">${completed}/${results.length} successful</span>`}</h2>
+          <div class="batch-list">
+            ${results.map(renderItem).join('')}
+          </div>
+        </div>
+      `;
     }).join('');
 
     return this.getBaseHtml(`
       <div class="header">
         <h1>📋 Batch Verification Results</h1>
-        <p class="subtitle">${result.summary.total} URLs verified</p>
+        <p class="subtitle">${result.summary.total} URLs verified${result.chunks > 1 ? ` in ${result.chunks} batches` : ''}${result.retries ? `, failed URLs retried ${result.retries === 1 ? 'once' : `${result.retries} times`}` : ''}</p>
+        ${retryable ? `
+          <!-- actions -->
+          <button class="action-button" onclick="vscode.postMessage({ type: 'retryFailed' })">🔁 Retry ${retryable} Failed</button>
+          <!-- /actions -->
+        ` : ''}
       </div>
 
       <div class="summary-grid">
@@ -247,25 +500,47 @@ class ResultsPanel {
           <div class="summary-value">${result.summary.failed}</div>
           <div class="summary-label">Failed</div>
         </div>
+        ${result.summary.cancelled ? `
+          <div class="summary-item">
+            <div class="summary-value">${result.summary.cancelled}</div>
+            <div class="summary-label">Cancelled</div>
+          </div>
+        ` : ''}
         <div class="summary-item">
           <div class="summary-value">${result.elapsedSeconds}s</div>
           <div class="summary-label">Total Time</div>
         </div>
       </div>
 
-      <div class="section">
-        <h2>Results</h2>
-        <div class="batch-list">
-          ${resultsHtml}
-        </div>
-      </div>
+      ${groupsHtml}
     `);
   }
 
+  /**
+   * Group batch results by owner, or by label when several URLs share one
+   * @returns {Array<{name: string|null, results: Object[]}>} A single unnamed group when there is nothing to group by
+   */
+  groupBatchResults(results) {
+    const hasOwners = results.some(r => r.owner);
+    const labels = results.map(r => r.label).filter(Boolean);
+    const key = hasOwners ? 'owner' : labels.length > new Set(labels).size ? 'label' : null;
+    if (!key) return [{ name: null, results }];
+
+    const groups = new Map();
+    for (const r of results) {
+      const name = r[key] || (key === 'owner' ? 'No owner' : 'No label');
+      if (!groups.has(name)) groups.set(name, []);
+      groups.get(name).push(r);
+    }
+    return [...groups].map(([name, grouped]) => ({ name, results: grouped }));
+  }
+
   /**
    * Get HTML for job details
+   * @param {Object} options - assertions and preflight, as for show()
    */
-  getJobDetailsHtml(data) {
+  getJobDetailsHtml(data, options = {}) {
+    const isFinished = data.status === 'completed';
     const state = data.scores?.state || 'unknown';
     const stateInfo = STATE_DISPLAY[state] || STATE_DISPLAY.degraded;
 
@@ -319,6 +594,10 @@ class ResultsPanel {
         </div>
       </div>
 
+      ${options.preflight ? this.getPreflightHtml(options.preflight, isFinished ? [data] : []) : ''}
+
+      ${options.assertions && isFinished ? this.getAssertionsHtml(evaluateAssertions(options.assertions, [data])) : ''}
+
       ${data.webVitals ? this.getWebVitalsHtml(data.webVitals) : ''}
 
       ${data.screenshotUrl ? `
@@ -525,6 +804,39 @@ class ResultsPanel {
       margin-bottom: 24px;
     }
 
+    .action-button {
+      margin-top: 8px;
+      padding: 6px 14px;
+      border: none;
+      border-radius: 4px;
+      background: var(--vscode-button-background);
+      color: var(--vscode-button-foreground);
+      font-family: inherit;
+      cursor: pointer;
+    }
+
+    .action-button:hover {
+      background: var(--vscode-button-hoverBackground);
+    }
+
+    .action-button.secondary {
+      margin-top: 0;
+      padding: 3px 10px;
+      background: var(--vscode-button-secondaryBackground, var(--vscode-editor-inactiveSelectionBackground));
+      color: var(--vscode-button-secondaryForeground, var(--vscode-foreground));
+    }
+
+    .toolbar {
+      display: flex;
+      flex-wrap: wrap;
+      align-items: center;
+      justify-content: flex-end;
+      gap: 6px;
+      margin-bottom: 12px;
+      font-size: 0.85em;
+      color: var(--vscode-descriptionForeground);
+    }
+
     .details-grid {
       display: grid;
       grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
@@ -552,6 +864,50 @@ class ResultsPanel {
       font-size: 0.85em;
     }
 
+    .verdict {
+      font-size: 0.8em;
+      margin-left: 8px;
+    }
+
+    .assertion-list {
+      list-style: none;
+      padding: 0;
+      margin: 0;
+      display: flex;
+      flex-direction: column;
+      gap: 6px;
+    }
+
+    .assertion-item {
+      display: flex;
+      align-items: center;
+      gap: 8px;
+      padding: 8px 12px;
+      background: var(--vscode-editor-inactiveSelectionBackground);
+      border-radius: 4px;
+      border-left: 3px solid var(--green);
+    }
+
+    .assertion-item.fail { border-left-color: var(--red); }
+    .assertion-item.warn { border-left-color: var(--yellow); }
+    .assertion-item.skipped { border-left-color: var(--vscode-descriptionForeground); }
+
+    .assertion-label {
+      flex: 1;
+      font-weight: 500;
+    }
+
+    .assertion-details {
+      font-size: 0.85em;
+      color: var(--vscode-descriptionForeground);
+    }
+
+    .preflight-note {
+      margin: 0 0 8px;
+      font-size: 0.9em;
+      word-break: break-all;
+    }
+
     .continents-grid {
       display: grid;
       grid-template-columns: repeat(auto-fit, minmax(180px, 1fr));
@@ -672,6 +1028,16 @@ class ResultsPanel {
       font-size: 0.9em;
     }
 
+    .batch-label {
+      font-weight: 600;
+    }
+
+    .batch-meta {
+      margin-top: 4px;
+      color: var(--vscode-descriptionForeground);
+      font-size: 0.9em;
+    }
+
     .batch-scores {
       display: flex;
       gap: 12px;
@@ -691,6 +1057,15 @@ class ResultsPanel {
   </style>
 </head>
 <body>
+  <!-- actions -->
+  <div class="toolbar">
+    <span>Export:</span>
+    ${EXPORT_FORMATS.map(({ format, label }) => `
+      <button class="action-button secondary" onclick="vscode.postMessage({ type: 'export', format: '${format}' })">${label}</button>
+    `).join('')}
+  </div>
+  <script>const vscode = acquireVsCodeApi();</script>
+  <!-- /actions -->
   ${content}
 </body>
 </html>`;
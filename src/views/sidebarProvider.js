@@ -4,12 +4,34 @@
  */
 
 const vscode = require('vscode');
+const ProfileManager = require('../services/profileManager');
+const RequestAuth = require('../services/requestAuth');
+const { mergeAssertions } = require('../services/assertions');
+const { describePreflight, comparePreflight } = require('../services/preflight');
+const { checkBeforeVerify } = require('../commands/preflight');
+const { CONTINENT_DISPLAY, CONTINENT_CODES } = require('../constants');
 
 class SidebarProvider {
-  constructor(context, apiClient) {
+  constructor(context, apiClient, jobTracker, regionPreferences, workspaceConfig, requestAuth) {
     this.context = context;
     this.apiClient = apiClient;
+    this.jobTracker = jobTracker;
+    this.regionPreferences = regionPreferences;
+    this.workspaceConfig = workspaceConfig;
+    this.requestAuth = requestAuth;
     this._view = null;
+    // Jobs that finished while the view was not open, replayed on resolve
+    this._finishedJobs = [];
+
+    // Push job progress to the webview as the tracker polls
+    context.subscriptions.push(
+      jobTracker.onDidUpdateJob((job) => this._handleJobUpdate(job)),
+      jobTracker.onDidFinishJob((job) => {
+        if (!this._view) this._finishedJobs.push(job);
+      }),
+      // Offer the targets from .uprockverify.json above the URL box
+      workspaceConfig.onDidChange(() => this._postTargets())
+    );
   }
 
   resolveWebviewView(webviewView, _context, _token) {
@@ -26,10 +48,10 @@ class SidebarProvider {
     webviewView.webview.onDidReceiveMessage(async (message) => {
       switch (message.command) {
         case 'verify':
-          await this._handleVerify(message.url, false);
+          await this._handleVerify(message.url, false, message.continents, message.auth, message.assertions);
           break;
         case 'verifyDev':
-          await this._handleVerify(message.url, true);
+          await this._handleVerify(message.url, true, null, message.auth, message.assertions);
           break;
         case 'setApiKey':
           await this._handleSetApiKey(message.apiKey);
@@ -46,12 +68,27 @@ class SidebarProvider {
         case 'checkJob':
           await this._handleCheckJob(message.jobId);
           break;
+        case 'cancelJob':
+          await this._handleCancelJob(message.jobId);
+          break;
         case 'openSlack':
           vscode.env.openExternal(vscode.Uri.parse('https://slack.com'));
           break;
         case 'openSettings':
           vscode.commands.executeCommand('workbench.action.openSettings', 'uprockVerify');
           break;
+        case 'openSetApiKey':
+          vscode.commands.executeCommand('uprock.setApiKey');
+          break;
+        case 'selectTeam':
+          vscode.commands.executeCommand('uprock.selectTeam');
+          break;
+        case 'setSiteCredentials':
+          vscode.commands.executeCommand('uprock.setSiteCredentials');
+          break;
+        case 'openCaSettings':
+          vscode.commands.executeCommand('workbench.action.openSettings', 'uprockVerify.caCertificates');
+          break;
         case 'openExternal':
           vscode.env.openExternal(vscode.Uri.parse(message.url));
           break;
@@ -60,10 +97,31 @@ class SidebarProvider {
 
     // Check API key on load - no delay needed, webview handles initial state
     this._checkApiKey();
+    this._postTargets();
+
+    // Re-render jobs that are still running or finished while the view was closed
+    this._restoreJobs();
+  }
+
+  _restoreJobs() {
+    const jobs = [...this.jobTracker.getActiveJobs(), ...this._finishedJobs];
+    this._finishedJobs = [];
+
+    for (const job of jobs) {
+      this._postMessage({
+        type: 'verificationSubmitted',
+        url: job.url,
+        jobId: job.jobId,
+        resumed: true
+      });
+      this._handleJobUpdate(job);
+    }
   }
 
   async _checkApiKey() {
     const hasKey = await this.apiClient.hasApiKey();
+    // Only name the profile once the user has set up more than one
+    const profile = this.apiClient.profile === ProfileManager.DEFAULT_PROFILE ? null : this.apiClient.profile;
 
     if (hasKey) {
       // Validate stored key with server
@@ -73,19 +131,29 @@ class SidebarProvider {
           this._postMessage({
             type: 'apiKeyStatus',
             hasKey: true,
-            user: result.user
+            user: result.user,
+            profile
           });
         } else {
           // Key is invalid, clear it
           await this.apiClient.clearApiKey();
-          this._postMessage({ type: 'apiKeyStatus', hasKey: false });
+          this._postMessage({ type: 'apiKeyStatus', hasKey: false, profile });
         }
       } catch (error) {
         // Network error - still show as connected (key exists locally)
-        this._postMessage({ type: 'apiKeyStatus', hasKey: true });
+        this._postMessage({ type: 'apiKeyStatus', hasKey: true, profile });
       }
     } else {
-      this._postMessage({ type: 'apiKeyStatus', hasKey: false });
+      this._postMessage({ type: 'apiKeyStatus', hasKey: false, profile });
+    }
+  }
+
+  /**
+   * Re-check the connection after the active profile changes
+   */
+  refreshConnection() {
+    if (this._view) {
+      this._checkApiKey();
     }
   }
 
@@ -134,7 +202,12 @@ class SidebarProvider {
     }
   }
 
-  async _handleVerify(url, isDev) {
+  /**
+   * @param {Object} authInput - Advanced options from the form: header lines, cookie string,
+   *   basic auth and whether to save them for the site
+   * @param {Object} assertionInput - Assertions from the form; they override the matching target's
+   */
+  async _handleVerify(url, isDev, continents = null, authInput = null, assertionInput = null) {
     if (!url) {
       this._postMessage({ type: 'error', message: 'Please enter a URL' });
       return;
@@ -154,18 +227,42 @@ class SidebarProvider {
       return;
     }
 
+    // Only a strict subset of regions changes the request
+    const regions = !isDev && continents?.length < CONTINENT_CODES.length ? continents : null;
+    const devRegion = isDev ? this.regionPreferences.getDefaultRegion() : null;
+
+    // Credentials typed into the form win over the ones saved for the site
+    const auth = authInput && {
+      headers: RequestAuth.parseHeaders(authInput.headers),
+      cookies: RequestAuth.parseCookies(authInput.cookies),
+      basicAuth: authInput.username ? { username: authInput.username, password: authInput.password || '' } : undefined
+    };
+    if (auth && authInput.remember && !RequestAuth.isEmpty(auth)) {
+      await this.requestAuth.set(normalizedUrl, auth);
+    }
+
+    const target = this.workspaceConfig.findTargetByUrl(normalizedUrl);
+    const assertions = mergeAssertions(target?.assertions, assertionInput);
+
     this._postMessage({
       type: 'verificationStarted',
       url: normalizedUrl,
-      isDev
+      isDev,
+      region: devRegion,
+      continents: regions
     });
 
     try {
+      const { proceed, preflight } = await checkBeforeVerify(this.apiClient, normalizedUrl, auth);
+      if (!proceed) {
+        throw new Error(`Not verified: the local pre-flight failed (${describePreflight(preflight)})`);
+      }
+
       let result;
       if (isDev) {
-        result = await this.apiClient.verifyDev(normalizedUrl);
+        result = await this.apiClient.verifyDev(normalizedUrl, devRegion, { auth });
       } else {
-        result = await this.apiClient.verify(normalizedUrl);
+        result = await this.apiClient.verify(normalizedUrl, { continents: regions, auth });
       }
 
       if (result.success) {
@@ -176,13 +273,26 @@ class SidebarProvider {
           scansRemaining: result.scansRemaining,
           message: result.message
         });
+        this.jobTracker.track({
+          jobId: result.jobId,
+          url: result.url || normalizedUrl,
+          mode: isDev ? 'dev' : 'global',
+          continents: regions,
+          assertions,
+          preflight
+        });
       } else {
         throw new Error(result.error || 'Verification failed');
       }
     } catch (error) {
       this._postMessage({
         type: 'verificationError',
-        error: error.message
+        error: error.message,
+        code: error.code,
+        retryAfter: error.retryAfter,
+        url: normalizedUrl,
+        isDev,
+        continents: regions
       });
     }
   }
@@ -200,11 +310,16 @@ class SidebarProvider {
 
   async _handleGetHistory(page = 1) {
     try {
+      // Scoped to the selected team (getHistory applies it)
+      const team = this.apiClient.getTeam();
+
       // Try the new history endpoint first, fall back to scans endpoint
       let result;
       try {
         result = await this.apiClient.getHistory({ limit: 10, page });
       } catch (historyError) {
+        // The scans endpoint can't filter by team, so only fall back when no team is selected
+        if (team) throw historyError;
         // Fall back to old scans endpoint if history endpoint fails
         result = await this.apiClient.listScans(10, (page - 1) * 10);
       }
@@ -214,7 +329,8 @@ class SidebarProvider {
         this._postMessage({
           type: 'history',
           data: result.data,
-          pagination: result.pagination
+          pagination: result.pagination,
+          team: team?.name || null
         });
       } else {
         throw new Error(result.error || 'Failed to get history');
@@ -224,8 +340,36 @@ class SidebarProvider {
     }
   }
 
+  _postTargets() {
+    this._postMessage({
+      type: 'targets',
+      targets: this.workspaceConfig.getTargets().map(({ name, label, url, regions }) => ({ name, label, url, regions }))
+    });
+  }
+
+  /**
+   * Show the new quick-check region after the defaultRegion setting changes
+   */
+  refreshRegion() {
+    this._postMessage({ type: 'regionChanged', region: this.regionPreferences.getDefaultRegion() });
+  }
+
+  /**
+   * Reload the history tab after a different team is selected
+   */
+  refreshTeam() {
+    this._postMessage({ type: 'teamChanged', team: this.apiClient.getTeam()?.name || null });
+  }
+
   async _handleCheckJob(jobId) {
     this._postMessage({ type: 'jobChecking', jobId });
+
+    // Tracked jobs report back through _handleJobUpdate
+    if (this.jobTracker.isTracking(jobId)) {
+      await this.jobTracker.refresh(jobId);
+      return;
+    }
+
     try {
       const result = await this.apiClient.getJobStatus(jobId);
       // Handle both direct response and wrapped response (e.g., { success: true, data: {...} })
@@ -236,6 +380,51 @@ class SidebarProvider {
     }
   }
 
+  async _handleCancelJob(jobId) {
+    try {
+      // Cancel with the profile the job was submitted under
+      const job = this.jobTracker.getActiveJobs().find(j => j.jobId === jobId);
+      await this.apiClient.cancelJob(jobId, { profile: job?.profile });
+      // Fires a 'cancelled' update that the webview renders
+      this.jobTracker.markCancelled(jobId);
+    } catch (error) {
+      this._postMessage({ type: 'error', message: 'Failed to cancel job: ' + error.message });
+    }
+  }
+
+  _handleJobUpdate(job) {
+    // The tracker's status wins: timeouts and cancellations are decided locally
+    this._postMessage({
+      type: 'jobStatus',
+      data: {
+        ...job.data,
+        jobId: job.jobId,
+        status: job.status,
+        continents: job.continents,
+        evaluation: job.evaluation,
+        preflight: this._summarizePreflight(job)
+      }
+    });
+    if (job.error) {
+      this._postMessage({ type: 'jobError', jobId: job.jobId, error: job.error });
+    }
+  }
+
+  /**
+   * One-line pre-flight outcome for the result card, compared with the remote results once completed
+   */
+  _summarizePreflight(job) {
+    if (!job.preflight) return null;
+
+    const results = Array.isArray(job.data?.results) ? job.data.results : [];
+    const regions = job.continents ? results.filter(r => job.continents.includes(r.continent)) : results;
+    return {
+      ok: job.preflight.ok,
+      details: describePreflight(job.preflight),
+      comparison: job.status === 'completed' ? comparePreflight(job.preflight, regions) : null
+    };
+  }
+
   _postMessage(message) {
     if (this._view) {
       this._view.webview.postMessage(message);
@@ -250,7 +439,7 @@ class SidebarProvider {
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
   <title>UpRock Verify</title>
   <style>
-*{box-sizing:border-box;margin:0;padding:0}body{font-family:var(--vscode-font-family);font-size:var(--vscode-font-size);color:var(--vscode-foreground);background:var(--vscode-sideBar-background);padding:0;height:100vh;display:flex;flex-direction:column}.header{padding:12px 16px;border-bottom:1px solid var(--vscode-panel-border);display:flex;align-items:center;gap:8px}.header-icon{font-size:20px}.header-title{font-weight:600;font-size:14px}.header-status{margin-left:auto;font-size:11px;padding:2px 8px;border-radius:10px;background:var(--vscode-badge-background);color:var(--vscode-badge-foreground)}.header-status.connected{background:#22c55e20;color:#22c55e}.header-status.disconnected{background:#ef444420;color:#ef4444}.content{flex:1;overflow-y:auto;padding:16px;display:flex;flex-direction:column;gap:16px}.setup-card{background:var(--vscode-input-background);border-radius:8px;padding:16px;text-align:center}.setup-card h3{margin-bottom:8px;font-size:14px}.setup-card p{font-size:12px;color:var(--vscode-descriptionForeground);margin-bottom:12px}.input-group{display:flex;flex-direction:column;gap:8px}.input-wrapper{position:relative;display:flex;gap:8px}input{flex:1;padding:8px 12px;border:1px solid var(--vscode-input-border);background:var(--vscode-input-background);color:var(--vscode-input-foreground);border-radius:6px;font-size:13px;outline:none}input:focus{border-color:var(--vscode-focusBorder)}input::placeholder{color:var(--vscode-input-placeholderForeground)}button{padding:8px 16px;border:none;border-radius:6px;font-size:13px;cursor:pointer;display:inline-flex;align-items:center;justify-content:center;gap:6px}button:hover{opacity:0.9}button:disabled{opacity:0.5;cursor:not-allowed}.btn-primary{background:var(--vscode-button-background);color:var(--vscode-button-foreground)}.btn-secondary{background:var(--vscode-button-secondaryBackground);color:var(--vscode-button-secondaryForeground)}.btn-full{width:100%;margin-top:8px}.btn-link{background:none;color:var(--vscode-textLink-foreground);font-size:12px;margin-top:12px;padding:4px}.btn-link:hover{text-decoration:underline}.tab-nav{display:flex;gap:4px;margin-bottom:12px;border-bottom:1px solid var(--vscode-panel-border);padding-bottom:8px}.tab-btn{flex:1;padding:8px 12px;background:transparent;color:var(--vscode-descriptionForeground);border:none;border-radius:6px 6px 0 0;font-size:12px;cursor:pointer;transition:all 0.2s}.tab-btn:hover{background:var(--vscode-input-background)}.tab-btn.active{background:var(--vscode-button-background);color:var(--vscode-button-foreground)}.tab-content{flex:1;display:flex;flex-direction:column;gap:12px}.instructions{display:flex;flex-direction:column;gap:12px}.instruction-step{display:flex;gap:12px;padding:12px;background:var(--vscode-input-background);border-radius:8px}.step-number{width:24px;height:24px;background:var(--vscode-button-background);color:var(--vscode-button-foreground);border-radius:50%;display:flex;align-items:center;justify-content:center;font-weight:600;font-size:12px;flex-shrink:0}.step-content h4{font-size:13px;margin-bottom:4px}.step-content p{font-size:11px;color:var(--vscode-descriptionForeground);margin-bottom:4px}.step-content code{display:inline-block;background:var(--vscode-editor-background);padding:4px 8px;border-radius:4px;font-family:var(--vscode-editor-font-family);font-size:12px;color:var(--vscode-textPreformat-foreground)}.slack-commands{background:var(--vscode-input-background);border-radius:8px;padding:12px}.slack-commands h4{font-size:12px;margin-bottom:8px}.command-list{display:flex;flex-direction:column;gap:6px}.command-item{font-size:11px;display:flex;gap:8px;align-items:center}.command-item code{background:var(--vscode-editor-background);padding:2px 6px;border-radius:3px;font-family:var(--vscode-editor-font-family);font-size:11px}.verify-section{display:flex;flex-direction:column;gap:8px}.verify-buttons{display:flex;gap:8px}.verify-buttons button{flex:1}.messages{flex:1;display:flex;flex-direction:column;gap:12px;min-height:200px}.message{padding:12px;border-radius:8px;font-size:13px}.message.user{background:var(--vscode-input-background);border:1px solid var(--vscode-input-border)}.message.assistant{background:var(--vscode-editor-inactiveSelectionBackground)}.message.error{background:#ef444420;border:1px solid #ef4444;color:#ef4444}.message.loading{display:flex;align-items:center;gap:8px}.spinner{width:16px;height:16px;border:2px solid var(--vscode-foreground);border-top-color:transparent;border-radius:50%;animation:spin 1s linear infinite}@keyframes spin{to{transform:rotate(360deg)}}.result-card{background:var(--vscode-editor-inactiveSelectionBackground);border-radius:8px;overflow:hidden}.result-header{padding:12px;display:flex;align-items:center;gap:8px;border-bottom:1px solid var(--vscode-panel-border)}.result-state{font-size:20px}.result-title{flex:1}.result-title .url{font-size:12px;color:var(--vscode-descriptionForeground);word-break:break-all}.result-title .label{font-weight:600;font-size:14px}.result-body{padding:12px}.scores-row{display:flex;gap:12px;margin-bottom:12px}.score-box{flex:1;text-align:center;padding:8px;background:var(--vscode-input-background);border-radius:6px}.score-value{font-size:24px;font-weight:700}.score-label{font-size:11px;color:var(--vscode-descriptionForeground)}.score-good{color:#22c55e}.score-warning{color:#eab308}.score-bad{color:#ef4444}.continents-grid{display:grid;grid-template-columns:repeat(2,1fr);gap:8px;margin-top:12px}.continent-item{display:flex;align-items:center;gap:6px;padding:6px 8px;background:var(--vscode-input-background);border-radius:4px;font-size:12px}.continent-item.failed{opacity:0.6}.vitals-section{margin-top:12px}.vitals-title{font-size:12px;font-weight:600;margin-bottom:8px;color:var(--vscode-descriptionForeground)}.vitals-grid{display:grid;grid-template-columns:repeat(2,1fr);gap:8px}.vital-item{padding:8px;background:var(--vscode-input-background);border-radius:4px;border-left:3px solid}.vital-item.good{border-color:#22c55e}.vital-item.warning{border-color:#eab308}.vital-item.poor{border-color:#ef4444}.vital-label{font-size:10px;color:var(--vscode-descriptionForeground)}.vital-value{font-size:14px;font-weight:600}.history-header{display:flex;justify-content:space-between;align-items:center;margin-bottom:12px}.history-title{display:flex;align-items:center;gap:8px;font-weight:600;font-size:14px}.history-count{font-size:11px;font-weight:normal;color:var(--vscode-descriptionForeground);background:var(--vscode-badge-background);padding:2px 8px;border-radius:10px}.history-list{flex:1;display:flex;flex-direction:column;gap:10px;overflow-y:auto}.history-item{padding:12px;background:var(--vscode-input-background);border-radius:8px;border-left:3px solid #22c55e;cursor:pointer;transition:all 0.2s}.history-item:hover{background:var(--vscode-editor-inactiveSelectionBackground)}.history-item.failed{border-left-color:#ef4444}.history-item.timeout{border-left-color:#eab308}.history-item-header{display:flex;align-items:center;gap:8px;margin-bottom:8px}.history-item-status{font-size:16px}.history-item-url{flex:1;font-size:12px;font-weight:500;overflow:hidden;text-overflow:ellipsis;white-space:nowrap}.history-item-time{font-size:10px;color:var(--vscode-descriptionForeground)}.history-item-details{display:flex;flex-wrap:wrap;gap:8px;font-size:11px;color:var(--vscode-descriptionForeground)}.history-item-detail{display:flex;align-items:center;gap:4px}.history-item-scores{display:flex;gap:12px;margin-top:8px;padding-top:8px;border-top:1px solid var(--vscode-panel-border)}.history-item-score{font-size:11px}.history-item-score.good{color:#22c55e}.history-item-score.warning{color:#eab308}.history-item-score.bad{color:#ef4444}.history-item-actions{display:flex;gap:6px;margin-top:8px}.history-pagination{display:flex;justify-content:center;align-items:center;gap:12px;padding:12px 0;border-top:1px solid var(--vscode-panel-border)}.page-info{font-size:12px;color:var(--vscode-descriptionForeground)}.quick-actions{display:flex;gap:8px;padding:12px 16px;border-top:1px solid var(--vscode-panel-border);background:var(--vscode-sideBar-background);flex-shrink:0}.quick-actions button{flex:1;font-size:11px;padding:6px 8px}.empty-state{text-align:center;padding:32px 16px;color:var(--vscode-descriptionForeground)}.empty-state-icon{font-size:48px;margin-bottom:12px}.empty-state h3{font-size:14px;margin-bottom:8px;color:var(--vscode-foreground)}.empty-state p{font-size:12px}.detail-row{display:flex;justify-content:space-between;padding:8px 0;border-bottom:1px solid var(--vscode-panel-border)}.detail-row:last-of-type{border-bottom:none}.detail-label{font-size:12px;color:var(--vscode-descriptionForeground)}.detail-value{font-size:12px;font-weight:500}.info-text{font-size:11px;color:var(--vscode-descriptionForeground);margin-top:12px;padding:8px;background:var(--vscode-input-background);border-radius:4px;text-align:center}.job-buttons{display:flex;gap:8px;margin-top:12px}.btn-sm{padding:6px 12px;font-size:11px}.hidden{display:none!important}.toast-container{position:fixed;top:12px;left:12px;right:12px;z-index:1000;display:flex;flex-direction:column;gap:8px;pointer-events:none}.toast{padding:10px 14px;border-radius:6px;font-size:12px;display:flex;align-items:center;gap:8px;animation:slideIn 0.3s ease;pointer-events:auto;box-shadow:0 2px 8px rgba(0,0,0,0.2)}.toast.success{background:#22c55e;color:white}.toast.error{background:#ef4444;color:white}.toast.info{background:var(--vscode-button-background);color:var(--vscode-button-foreground)}.toast.warning{background:#eab308;color:black}.toast-icon{font-size:14px}.toast-message{flex:1}.toast-close{background:none;border:none;color:inherit;cursor:pointer;padding:2px;opacity:0.7;font-size:16px}.toast-close:hover{opacity:1}@keyframes slideIn{from{transform:translateY(-20px);opacity:0}to{transform:translateY(0);opacity:1}}@keyframes slideOut{from{transform:translateY(0);opacity:1}to{transform:translateY(-20px);opacity:0}}.toast.hiding{animation:slideOut 0.3s ease forwards}.overlay-loader{position:fixed;top:0;left:0;right:0;bottom:0;background:rgba(0,0,0,0.5);display:flex;align-items:center;justify-content:center;z-index:999;flex-direction:column;gap:12px}.overlay-loader .spinner-large{width:32px;height:32px;border:3px solid var(--vscode-foreground);border-top-color:transparent;border-radius:50%;animation:spin 1s linear infinite}.overlay-loader .loader-text{color:var(--vscode-foreground);font-size:12px}.history-loading{display:flex;align-items:center;justify-content:center;padding:32px;gap:8px;color:var(--vscode-descriptionForeground)}.screenshots-section{margin-top:12px}.screenshots-title{font-size:12px;font-weight:600;margin-bottom:8px;color:var(--vscode-descriptionForeground)}.screenshots-grid{display:grid;grid-template-columns:repeat(2,1fr);gap:8px}.screenshot-item{position:relative;border-radius:6px;overflow:hidden;background:var(--vscode-input-background);cursor:pointer;transition:transform 0.2s}.screenshot-item:hover{transform:scale(1.02)}.screenshot-item img{width:100%;height:80px;object-fit:cover;display:block}.screenshot-item-overlay{position:absolute;bottom:0;left:0;right:0;padding:4px 6px;background:linear-gradient(transparent,rgba(0,0,0,0.8));color:white;font-size:10px;display:flex;align-items:center;gap:4px}.screenshot-item-status{font-size:12px}.continent-card{padding:10px;background:var(--vscode-input-background);border-radius:6px;border-left:3px solid #22c55e}.continent-card.warning{border-left-color:#eab308}.continent-card.failed{border-left-color:#ef4444}.continent-card-header{display:flex;align-items:center;gap:8px;margin-bottom:6px}.continent-card-flag{font-size:16px}.continent-card-name{font-weight:500;font-size:12px;flex:1}.continent-card-status{font-size:14px}.continent-card-scores{display:flex;gap:12px;font-size:11px;color:var(--vscode-descriptionForeground)}.continent-card-screenshot{margin-top:8px;border-radius:4px;overflow:hidden;cursor:pointer}.continent-card-screenshot img{width:100%;height:60px;object-fit:cover;display:block}
+*{box-sizing:border-box;margin:0;padding:0}body{font-family:var(--vscode-font-family);font-size:var(--vscode-font-size);color:var(--vscode-foreground);background:var(--vscode-sideBar-background);padding:0;height:100vh;display:flex;flex-direction:column}.header{padding:12px 16px;border-bottom:1px solid var(--vscode-panel-border);display:flex;align-items:center;gap:8px}.header-icon{font-size:20px}.header-title{font-weight:600;font-size:14px}.header-status{margin-left:auto;font-size:11px;padding:2px 8px;border-radius:10px;background:var(--vscode-badge-background);color:var(--vscode-badge-foreground)}.header-status.connected{background:#22c55e20;color:#22c55e}.header-status.disconnected{background:#ef444420;color:#ef4444}.content{flex:1;overflow-y:auto;padding:16px;display:flex;flex-direction:column;gap:16px}.setup-card{background:var(--vscode-input-background);border-radius:8px;padding:16px;text-align:center}.setup-card h3{margin-bottom:8px;font-size:14px}.setup-card p{font-size:12px;color:var(--vscode-descriptionForeground);margin-bottom:12px}.input-group{display:flex;flex-direction:column;gap:8px}.input-wrapper{position:relative;display:flex;gap:8px}input{flex:1;padding:8px 12px;border:1px solid var(--vscode-input-border);background:var(--vscode-input-background);color:var(--vscode-input-foreground);border-radius:6px;font-size:13px;outline:none}input:focus{border-color:var(--vscode-focusBorder)}input::placeholder{color:var(--vscode-input-placeholderForeground)}button{padding:8px 16px;border:none;border-radius:6px;font-size:13px;cursor:pointer;display:inline-flex;align-items:center;justify-content:center;gap:6px}button:hover{opacity:0.9}button:disabled{opacity:0.5;cursor:not-allowed}.btn-primary{background:var(--vscode-button-background);color:var(--vscode-button-foreground)}.btn-secondary{background:var(--vscode-button-secondaryBackground);color:var(--vscode-button-secondaryForeground)}.btn-full{width:100%;margin-top:8px}.btn-link{background:none;color:var(--vscode-textLink-foreground);font-size:12px;margin-top:12px;padding:4px}.btn-link:hover{text-decoration:underline}.tab-nav{display:flex;gap:4px;margin-bottom:12px;border-bottom:1px solid var(--vscode-panel-border);padding-bottom:8px}.tab-btn{flex:1;padding:8px 12px;background:transparent;color:var(--vscode-descriptionForeground);border:none;border-radius:6px 6px 0 0;font-size:12px;cursor:pointer;transition:all 0.2s}.tab-btn:hover{background:var(--vscode-input-background)}.tab-btn.active{background:var(--vscode-button-background);color:var(--vscode-button-foreground)}.tab-content{flex:1;display:flex;flex-direction:column;gap:12px}.instructions{display:flex;flex-direction:column;gap:12px}.instruction-step{display:flex;gap:12px;padding:12px;background:var(--vscode-input-background);border-radius:8px}.step-number{width:24px;height:24px;background:var(--vscode-button-background);color:var(--vscode-button-foreground);border-radius:50%;display:flex;align-items:center;justify-content:center;font-weight:600;font-size:12px;flex-shrink:0}.step-content h4{font-size:13px;margin-bottom:4px}.step-content p{font-size:11px;color:var(--vscode-descriptionForeground);margin-bottom:4px}.step-content code{display:inline-block;background:var(--vscode-editor-background);padding:4px 8px;border-radius:4px;font-family:var(--vscode-editor-font-family);font-size:12px;color:var(--vscode-textPreformat-foreground)}.slack-commands{background:var(--vscode-input-background);border-radius:8px;padding:12px}.slack-commands h4{font-size:12px;margin-bottom:8px}.command-list{display:flex;flex-direction:column;gap:6px}.command-item{font-size:11px;display:flex;gap:8px;align-items:center}.command-item code{background:var(--vscode-editor-background);padding:2px 6px;border-radius:3px;font-family:var(--vscode-editor-font-family);font-size:11px}.verify-section{display:flex;flex-direction:column;gap:8px}.verify-buttons{display:flex;gap:8px}.verify-buttons button{flex:1}.region-picker{display:flex;flex-wrap:wrap;gap:4px 10px;font-size:11px;color:var(--vscode-descriptionForeground)}.region-picker label{display:flex;align-items:center;gap:4px;cursor:pointer}.region-picker input{flex:none;margin:0}.target-list{display:flex;flex-wrap:wrap;gap:6px}.target-list .btn-sm{padding:4px 10px}.advanced-options{font-size:12px}.advanced-options summary{cursor:pointer;color:var(--vscode-descriptionForeground);font-size:11px}.advanced-options[open] summary{margin-bottom:8px}.advanced-options .input-group{gap:6px}textarea{padding:8px 12px;border:1px solid var(--vscode-input-border);background:var(--vscode-input-background);color:var(--vscode-input-foreground);border-radius:6px;font-family:var(--vscode-editor-font-family);font-size:12px;outline:none;resize:vertical;min-height:48px}textarea:focus{border-color:var(--vscode-focusBorder)}.checkbox-row{display:flex;align-items:center;gap:6px;font-size:11px;color:var(--vscode-descriptionForeground);cursor:pointer}.checkbox-row input{flex:none;margin:0}.advanced-options .btn-link{margin-top:0;align-self:flex-start}.messages{flex:1;display:flex;flex-direction:column;gap:12px;min-height:200px}.message{padding:12px;border-radius:8px;font-size:13px}.message.user{background:var(--vscode-input-background);border:1px solid var(--vscode-input-border)}.message.assistant{background:var(--vscode-editor-inactiveSelectionBackground)}.message.error{background:#ef444420;border:1px solid #ef4444;color:#ef4444}.message.loading{display:flex;align-items:center;gap:8px}.spinner{width:16px;height:16px;border:2px solid var(--vscode-foreground);border-top-color:transparent;border-radius:50%;animation:spin 1s linear infinite}@keyframes spin{to{transform:rotate(360deg)}}.result-card{background:var(--vscode-editor-inactiveSelectionBackground);border-radius:8px;overflow:hidden}.result-header{padding:12px;display:flex;align-items:center;gap:8px;border-bottom:1px solid var(--vscode-panel-border)}.result-state{font-size:20px}.result-title{flex:1}.result-title .url{font-size:12px;color:var(--vscode-descriptionForeground);word-break:break-all}.result-title .label{font-weight:600;font-size:14px}.result-body{padding:12px}.scores-row{display:flex;gap:12px;margin-bottom:12px}.score-box{flex:1;text-align:center;padding:8px;background:var(--vscode-input-background);border-radius:6px}.score-value{font-size:24px;font-weight:700}.score-label{font-size:11px;color:var(--vscode-descriptionForeground)}.score-good{color:#22c55e}.score-warning{color:#eab308}.score-bad{color:#ef4444}.continents-grid{display:grid;grid-template-columns:repeat(2,1fr);gap:8px;margin-top:12px}.continent-item{display:flex;align-items:center;gap:6px;padding:6px 8px;background:var(--vscode-input-background);border-radius:4px;font-size:12px}.continent-item.failed{opacity:0.6}.vitals-section{margin-top:12px}.vitals-title{font-size:12px;font-weight:600;margin-bottom:8px;color:var(--vscode-descriptionForeground)}.vitals-grid{display:grid;grid-template-columns:repeat(2,1fr);gap:8px}.vital-item{padding:8px;background:var(--vscode-input-background);border-radius:4px;border-left:3px solid}.vital-item.good{border-color:#22c55e}.vital-item.warning{border-color:#eab308}.vital-item.poor{border-color:#ef4444}.vital-label{font-size:10px;color:var(--vscode-descriptionForeground)}.vital-value{font-size:14px;font-weight:600}.history-header{display:flex;justify-content:space-between;align-items:center;margin-bottom:12px}.history-title{display:flex;align-items:center;gap:8px;font-weight:600;font-size:14px}.history-count{font-size:11px;font-weight:normal;color:var(--vscode-descriptionForeground);background:var(--vscode-badge-background);padding:2px 8px;border-radius:10px}.history-team{display:flex;justify-content:space-between;align-items:center;font-size:12px;color:var(--vscode-descriptionForeground);margin:-4px 0 8px}.history-team .btn-link{margin-top:0}.history-list{flex:1;display:flex;flex-direction:column;gap:10px;overflow-y:auto}.history-item{padding:12px;background:var(--vscode-input-background);border-radius:8px;border-left:3px solid #22c55e;cursor:pointer;transition:all 0.2s}.history-item:hover{background:var(--vscode-editor-inactiveSelectionBackground)}.history-item.failed{border-left-color:#ef4444}.history-item.timeout{border-left-color:#eab308}.history-item-header{display:flex;align-items:center;gap:8px;margin-bottom:8px}.history-item-status{font-size:16px}.history-item-url{flex:1;font-size:12px;font-weight:500;overflow:hidden;text-overflow:ellipsis;white-space:nowrap}.history-item-time{font-size:10px;color:var(--vscode-descriptionForeground)}.history-item-details{display:flex;flex-wrap:wrap;gap:8px;font-size:11px;color:var(--vscode-descriptionForeground)}.history-item-detail{display:flex;align-items:center;gap:4px}.history-item-scores{display:flex;gap:12px;margin-top:8px;padding-top:8px;border-top:1px solid var(--vscode-panel-border)}.history-item-score{font-size:11px}.history-item-score.good{color:#22c55e}.history-item-score.warning{color:#eab308}.history-item-score.bad{color:#ef4444}.history-item-actions{display:flex;gap:6px;margin-top:8px}.history-pagination{display:flex;justify-content:center;align-items:center;gap:12px;padding:12px 0;border-top:1px solid var(--vscode-panel-border)}.page-info{font-size:12px;color:var(--vscode-descriptionForeground)}.quick-actions{display:flex;gap:8px;padding:12px 16px;border-top:1px solid var(--vscode-panel-border);background:var(--vscode-sideBar-background);flex-shrink:0}.quick-actions button{flex:1;font-size:11px;padding:6px 8px}.empty-state{text-align:center;padding:32px 16px;color:var(--vscode-descriptionForeground)}.empty-state-icon{font-size:48px;margin-bottom:12px}.empty-state h3{font-size:14px;margin-bottom:8px;color:var(--vscode-foreground)}.empty-state p{font-size:12px}.detail-row{display:flex;justify-content:space-between;padding:8px 0;border-bottom:1px solid var(--vscode-panel-border)}.detail-row:last-of-type{border-bottom:none}.detail-label{font-size:12px;color:var(--vscode-descriptionForeground)}.detail-value{font-size:12px;font-weight:500}.info-text{font-size:11px;color:var(--vscode-descriptionForeground);margin-top:12px;padding:8px;background:var(--vscode-input-background);border-radius:4px;text-align:center}.job-buttons{display:flex;gap:8px;margin-top:12px}.btn-sm{padding:6px 12px;font-size:11px}.hidden{display:none!important}.toast-container{position:fixed;top:12px;left:12px;right:12px;z-index:1000;display:flex;flex-direction:column;gap:8px;pointer-events:none}.toast{padding:10px 14px;border-radius:6px;font-size:12px;display:flex;align-items:center;gap:8px;animation:slideIn 0.3s ease;pointer-events:auto;box-shadow:0 2px 8px rgba(0,0,0,0.2)}.toast.success{background:#22c55e;color:white}.toast.error{background:#ef4444;color:white}.toast.info{background:var(--vscode-button-background);color:var(--vscode-button-foreground)}.toast.warning{background:#eab308;color:black}.toast-icon{font-size:14px}.toast-message{flex:1}.toast-close{background:none;border:none;color:inherit;cursor:pointer;padding:2px;opacity:0.7;font-size:16px}.toast-close:hover{opacity:1}@keyframes slideIn{from{transform:translateY(-20px);opacity:0}to{transform:translateY(0);opacity:1}}@keyframes slideOut{from{transform:translateY(0);opacity:1}to{transform:translateY(-20px);opacity:0}}.toast.hiding{animation:slideOut 0.3s ease forwards}.overlay-loader{position:fixed;top:0;left:0;right:0;bottom:0;background:rgba(0,0,0,0.5);display:flex;align-items:center;justify-content:center;z-index:999;flex-direction:column;gap:12px}.overlay-loader .spinner-large{width:32px;height:32px;border:3px solid var(--vscode-foreground);border-top-color:transparent;border-radius:50%;animation:spin 1s linear infinite}.overlay-loader .loader-text{color:var(--vscode-foreground);font-size:12px}.history-loading{display:flex;align-items:center;justify-content:center;padding:32px;gap:8px;color:var(--vscode-descriptionForeground)}.screenshots-section{margin-top:12px}.screenshots-title{font-size:12px;font-weight:600;margin-bottom:8px;color:var(--vscode-descriptionForeground)}.screenshots-grid{display:grid;grid-template-columns:repeat(2,1fr);gap:8px}.screenshot-item{position:relative;border-radius:6px;overflow:hidden;background:var(--vscode-input-background);cursor:pointer;transition:transform 0.2s}.screenshot-item:hover{transform:scale(1.02)}.screenshot-item img{width:100%;height:80px;object-fit:cover;display:block}.screenshot-item-overlay{position:absolute;bottom:0;left:0;right:0;padding:4px 6px;background:linear-gradient(transparent,rgba(0,0,0,0.8));color:white;font-size:10px;display:flex;align-items:center;gap:4px}.screenshot-item-status{font-size:12px}.continent-card{padding:10px;background:var(--vscode-input-background);border-radius:6px;border-left:3px solid #22c55e}.continent-card.warning{border-left-color:#eab308}.continent-card.failed{border-left-color:#ef4444}.continent-card-header{display:flex;align-items:center;gap:8px;margin-bottom:6px}.continent-card-flag{font-size:16px}.continent-card-name{font-weight:500;font-size:12px;flex:1}.continent-card-status{font-size:14px}.continent-card-scores{display:flex;gap:12px;font-size:11px;color:var(--vscode-descriptionForeground)}.continent-card-screenshot{margin-top:8px;border-radius:4px;overflow:hidden;cursor:pointer}.continent-card-screenshot img{width:100%;height:60px;object-fit:cover;display:block}.assertions-section{margin-bottom:12px}.assertion-list{list-style:none;display:flex;flex-direction:column;gap:4px}.assertion-item{display:flex;align-items:center;gap:6px;padding:6px 8px;background:var(--vscode-input-background);border-radius:4px;border-left:3px solid #22c55e;font-size:12px}.assertion-item.fail{border-left-color:#ef4444}.assertion-item.skipped{border-left-color:var(--vscode-descriptionForeground)}.assertion-label{flex:1;word-break:break-word}
   </style>
 </head>
 <body>
@@ -403,6 +592,7 @@ class SidebarProvider {
     <div class="tab-content" id="verifyTab">
       <!-- Verify Section -->
       <div class="verify-section">
+        <div class="target-list hidden" id="targetList"></div>
         <div class="input-wrapper">
           <input type="text" id="urlInput" placeholder="Enter URL to verify..." />
         </div>
@@ -410,10 +600,35 @@ class SidebarProvider {
           <button class="btn-primary" onclick="verify(false)">
             🌍 Global Check
           </button>
-          <button class="btn-secondary" onclick="verify(true)">
-            ⚡ Quick Check
+          <button class="btn-secondary" onclick="verify(true)" title="Quick check from your default region (uprockVerify.defaultRegion)">
+            ⚡ Quick Check (<span id="quickCheckRegion">${this.regionPreferences.getDefaultRegion()}</span>)
           </button>
         </div>
+        <div class="region-picker" id="regionPicker" title="Regions for a Global Check">
+          ${CONTINENT_CODES.map(code => `<label title="${CONTINENT_DISPLAY[code].label}"><input type="checkbox" value="${code}" checked /> ${CONTINENT_DISPLAY[code].flag} ${code}</label>`).join('')}
+        </div>
+        <details class="advanced-options">
+          <summary>Advanced: headers, cookies, basic auth</summary>
+          <div class="input-group">
+            <textarea id="authHeaders" placeholder="Header-Name: value (one per line)"></textarea>
+            <input type="password" id="authCookies" placeholder="Cookies: name=value; other=value" autocomplete="off" />
+            <div class="input-wrapper">
+              <input type="text" id="authUsername" placeholder="Basic auth user" autocomplete="off" />
+              <input type="password" id="authPassword" placeholder="Password" autocomplete="off" />
+            </div>
+            <label class="checkbox-row"><input type="checkbox" id="authRemember" /> Save for this site (stored securely)</label>
+            <button class="btn-link" onclick="setSiteCredentials()">Manage saved credentials...</button>
+          </div>
+        </details>
+        <details class="advanced-options">
+          <summary>Assertions: status, content, response time</summary>
+          <div class="input-group">
+            <input type="text" id="assertStatus" placeholder="Expected status, e.g. 200, 301" />
+            <input type="text" id="assertContains" placeholder="Page must contain, e.g. a build ID" />
+            <input type="text" id="assertNotContains" placeholder="Page must not contain, e.g. Maintenance" />
+            <input type="number" id="assertMaxTime" placeholder="Max response time (ms)" min="1" />
+          </div>
+        </details>
       </div>
 
       <!-- Messages -->
@@ -435,6 +650,10 @@ class SidebarProvider {
         </div>
         <button class="btn-sm btn-secondary" onclick="refreshHistory()">🔄 Refresh</button>
       </div>
+      <div class="history-team">
+        <span>👥 <span id="historyTeam">All Teams</span></span>
+        <button class="btn-link" onclick="selectTeam()">Change team</button>
+      </div>
       <div class="history-list" id="historyList">
         <div class="empty-state">
           <div class="empty-state-icon">📜</div>
@@ -488,8 +707,21 @@ class SidebarProvider {
           handleAccountStatus(message.data);
           break;
         case 'history':
+          setHistoryTeam(message.team);
           handleHistory(message.data, message.pagination);
           break;
+        case 'targets':
+          setTargets(message.targets);
+          break;
+        case 'regionChanged':
+          document.getElementById('quickCheckRegion').textContent = message.region;
+          break;
+        case 'teamChanged':
+          setHistoryTeam(message.team);
+          if (!document.getElementById('historyTab').classList.contains('hidden')) {
+            refreshHistory();
+          }
+          break;
         case 'jobChecking':
           handleJobChecking(message.jobId);
           break;
@@ -547,6 +779,9 @@ class SidebarProvider {
       } else {
         status.textContent = hasKey ? 'Connected' : 'Not Connected';
       }
+      if (message.profile) {
+        status.textContent += ' · ' + message.profile;
+      }
       status.className = 'header-status ' + (hasKey ? 'connected' : 'disconnected');
     }
 
@@ -690,22 +925,89 @@ class SidebarProvider {
         return;
       }
 
+      // Global checks run from the ticked regions; Quick Check always uses one region
+      const continents = Array.from(document.querySelectorAll('#regionPicker input:checked')).map(input => input.value);
+      if (!isDev && continents.length === 0) {
+        showToast('Select at least one region to verify from', 'warning');
+        return;
+      }
+
       showToast('Starting verification...', 'info', 2000);
       vscode.postMessage({
         command: isDev ? 'verifyDev' : 'verify',
-        url
+        url,
+        continents: isDev ? undefined : continents,
+        auth: getAuthInput(),
+        assertions: getAssertionInput()
+      });
+    }
+
+    // Checks the result must pass; a workspace target's own assertions apply as well
+    function getAssertionInput() {
+      const assertions = {
+        status: document.getElementById('assertStatus').value.split(/[\\s,]+/).filter(Boolean).map(Number),
+        bodyContains: document.getElementById('assertContains').value.trim(),
+        bodyNotContains: document.getElementById('assertNotContains').value.trim(),
+        maxResponseTime: Number(document.getElementById('assertMaxTime').value) || null
+      };
+      return assertions.status.length || assertions.bodyContains || assertions.bodyNotContains || assertions.maxResponseTime
+        ? assertions
+        : undefined;
+    }
+
+    // Advanced options; empty fields fall back to the credentials saved for the site
+    function getAuthInput() {
+      const auth = {
+        headers: document.getElementById('authHeaders').value,
+        cookies: document.getElementById('authCookies').value,
+        username: document.getElementById('authUsername').value.trim(),
+        password: document.getElementById('authPassword').value,
+        remember: document.getElementById('authRemember').checked
+      };
+      return auth.headers.trim() || auth.cookies.trim() || auth.username ? auth : undefined;
+    }
+
+    function setSiteCredentials() {
+      vscode.postMessage({ command: 'setSiteCredentials' });
+    }
+
+    // Targets from the workspace's .uprockverify.json
+    let targets = [];
+
+    function setTargets(list) {
+      targets = list || [];
+      const container = document.getElementById('targetList');
+      container.innerHTML = targets.map((target, index) =>
+        \`<button class="btn-secondary btn-sm" title="\${escapeHtml(target.url)}" onclick="selectTarget(\${index})">🎯 \${escapeHtml(target.label)}</button>\`
+      ).join('');
+      container.classList.toggle('hidden', targets.length === 0);
+    }
+
+    // Fill in the URL and tick the target's regions (all when it has none)
+    function selectTarget(index) {
+      const target = targets[index];
+      if (!target) return;
+      document.getElementById('urlInput').value = target.url;
+      document.querySelectorAll('#regionPicker input').forEach(input => {
+        input.checked = !target.regions || target.regions.includes(input.value);
       });
     }
 
     function handleVerificationStarted(message) {
       clearEmptyState();
-      addMessage('user', '🔍 Verifying: ' + message.url + (message.isDev ? ' (Quick Check)' : ' (Global)'));
+      const scope = message.isDev ? 'Quick Check, ' + message.region : (message.continents ? message.continents.join(', ') : 'Global');
+      addMessage('user', '🔍 Verifying: ' + message.url + ' (' + scope + ')');
       addLoadingMessage();
     }
 
     function handleVerificationSubmitted(message) {
-      removeLoadingMessage();
-      showToast('Verification submitted! Checking status...', 'success', 3000);
+      if (document.getElementById('job-' + message.jobId)) return;
+
+      clearEmptyState();
+      if (!message.resumed) {
+        removeLoadingMessage();
+        showToast('Verification submitted! Results will appear automatically.', 'success', 3000);
+      }
       const scansText = message.scansRemaining === 'Unlimited'
         ? 'Unlimited scans'
         : message.scansRemaining + ' scans remaining';
@@ -715,7 +1017,7 @@ class SidebarProvider {
           <div class="result-header">
             <span class="result-state">✅</span>
             <div class="result-title">
-              <div class="label">Verification Started</div>
+              <div class="label">\${message.resumed ? 'Verification Resumed' : 'Verification Started'}</div>
               <div class="url">\${escapeHtml(message.url)}</div>
             </div>
           </div>
@@ -728,12 +1030,15 @@ class SidebarProvider {
               <span class="detail-label">Status:</span>
               <span class="detail-value" id="status-\${message.jobId}">Processing...</span>
             </div>
-            <div class="detail-row">
-              <span class="detail-label">Scans:</span>
-              <span class="detail-value">\${scansText}</span>
-            </div>
+            \${message.scansRemaining !== undefined ? \`
+              <div class="detail-row">
+                <span class="detail-label">Scans:</span>
+                <span class="detail-value">\${scansText}</span>
+              </div>
+            \` : ''}
             <div class="job-buttons">
-              <button class="btn-secondary btn-sm" onclick="checkJob('\${message.jobId}')">🔄 Check Results</button>
+              <button class="btn-secondary btn-sm" onclick="checkJob('\${message.jobId}')">🔄 Check Now</button>
+              <button class="btn-secondary btn-sm" onclick="cancelJob('\${message.jobId}')">✕ Cancel</button>
             </div>
           </div>
         </div>
@@ -745,6 +1050,14 @@ class SidebarProvider {
       vscode.postMessage({ command: 'checkJob', jobId });
     }
 
+    function cancelJob(jobId) {
+      const statusEl = document.getElementById('status-' + jobId);
+      if (statusEl) {
+        statusEl.textContent = 'Cancelling...';
+      }
+      vscode.postMessage({ command: 'cancelJob', jobId });
+    }
+
     function openSlack() {
       vscode.postMessage({ command: 'openSlack' });
     }
@@ -761,12 +1074,16 @@ class SidebarProvider {
       if (statusEl) {
         const total = data.totalJobs || data.summary?.totalContinents || 6;
         const completed = data.completedJobs || data.summary?.completedContinents || 0;
-        const progressText = data.status === 'completed'
-          ? 'Completed ✓'
-          : \`Processing (\${completed}/\${total} regions)\`;
+        const finalText = { completed: 'Completed ✓', failed: 'Failed ✕', timeout: 'Timed out', cancelled: 'Cancelled' };
+        const progressText = finalText[data.status] || \`Processing (\${completed}/\${total} regions)\`;
         statusEl.textContent = progressText;
       }
 
+      // Nothing left to check or cancel once the job is final
+      if (finalText[data.status]) {
+        document.querySelector('#job-' + data.jobId + ' .job-buttons')?.remove();
+      }
+
       // Only show results once when job is fully completed
       if (data.status === 'completed' && data.results && data.results.length > 0) {
         // Check if results already shown for this job
@@ -777,6 +1094,14 @@ class SidebarProvider {
       }
     }
 
+    // Worst per-region state, and at best degraded when some regions have no result
+    function getWorstState(completedResults) {
+      const rank = ['down', 'degraded', 'good', 'perfect'];
+      const states = completedResults.map(r => r.scores?.state || r.state).filter(state => rank.includes(state));
+      if (states.length === 0) return 'good';
+      return states.reduce((worst, state) => rank.indexOf(state) < rank.indexOf(worst) ? state : worst);
+    }
+
     function handleJobError(jobId, error) {
       const statusEl = document.getElementById('status-' + jobId);
       if (statusEl) {
@@ -786,18 +1111,20 @@ class SidebarProvider {
     }
 
     function showJobResults(data) {
-      const results = data.results;
+      // A job for some regions only shows those, with the summary computed over them
+      const regions = data.continents?.length ? data.continents : null;
+      const results = regions ? data.results.filter(r => regions.includes(r.continent)) : data.results;
       // Consider a result completed if it has scores, httpStatus, or status === 'completed'
       const completedResults = results.filter(r => r.status === 'completed' || r.scores || r.httpStatus);
 
       if (completedResults.length === 0) return;
 
       // Use summary from API if available, otherwise calculate
-      const summary = data.summary || {};
+      const summary = regions ? {} : (data.summary || {});
       const avgReachability = summary.avgReachability ?? Math.round(completedResults.reduce((sum, r) => sum + (r.scores?.reachability || 0), 0) / completedResults.length);
       const avgUsability = summary.avgUsability ?? Math.round(completedResults.reduce((sum, r) => sum + (r.scores?.usability || 0), 0) / completedResults.length);
       const avgResponseTime = Math.round(completedResults.reduce((sum, r) => sum + (r.responseTime || 0), 0) / completedResults.length);
-      const overallState = summary.overallState || 'good';
+      const overallState = summary.overallState || getWorstState(completedResults);
 
       const stateInfo = getStateInfo(overallState);
       const continentMap = { NA: '🇺🇸', EU: '🇪🇺', AS: '🇯🇵', AF: '🇿🇦', OC: '🇦🇺', SA: '🇧🇷' };
@@ -876,7 +1203,7 @@ class SidebarProvider {
           <div class="result-header">
             <span class="result-state">\${stateInfo.emoji}</span>
             <div class="result-title">
-              <div class="label">\${stateInfo.label} - \${summary.completedContinents || completedResults.length}/\${summary.totalContinents || 6} regions</div>
+              <div class="label">\${stateInfo.label} - \${summary.completedContinents || completedResults.length}/\${summary.totalContinents || (regions ? regions.length : 6)} regions</div>
               <div class="url">\${escapeHtml(data.normalizedUrl || data.url)}</div>
             </div>
           </div>
@@ -895,6 +1222,8 @@ class SidebarProvider {
                 <div class="score-label">Avg Response</div>
               </div>
             </div>
+            \${getPreflightHtml(data.preflight)}
+            \${getAssertionsHtml(data.evaluation)}
             <div class="continents-grid">
               \${continentCardsHtml}
             </div>
@@ -905,6 +1234,39 @@ class SidebarProvider {
       addMessage('assistant', html);
     }
 
+    // Local pre-flight outcome (see src/services/preflight.js)
+    function getPreflightHtml(preflight) {
+      if (!preflight) return '';
+      return \`
+        <div class="assertions-section">
+          <div class="vitals-title">Local pre-flight: \${preflight.ok ? '✅ Reachable from this machine' : '❌ Failed from this machine'}</div>
+          <div class="assertion-item \${preflight.ok ? 'pass' : 'fail'}" title="\${escapeHtml(preflight.details)}">
+            <span class="assertion-label">\${escapeHtml(preflight.comparison || preflight.details)}</span>
+          </div>
+        </div>
+      \`;
+    }
+
+    // Pass/fail checklist for a job's assertions (see src/services/assertions.js)
+    function getAssertionsHtml(evaluation) {
+      if (!evaluation) return '';
+      const verdicts = { pass: '✅ Passed', fail: '❌ Failed', inconclusive: '⚪ Inconclusive' };
+      const icons = { pass: '✅', fail: '❌', skipped: '⚪' };
+      const checksHtml = evaluation.checks.map(check => \`
+        <li class="assertion-item \${check.status}" title="\${escapeHtml(check.details)}">
+          <span>\${icons[check.status]}</span>
+          <span class="assertion-label">\${escapeHtml(check.label)}</span>
+        </li>
+      \`).join('');
+
+      return \`
+        <div class="assertions-section">
+          <div class="vitals-title">Assertions: \${verdicts[evaluation.verdict]}</div>
+          <ul class="assertion-list">\${checksHtml}</ul>
+        </div>
+      \`;
+    }
+
     function handleVerificationComplete(message) {
       removeLoadingMessage();
 
@@ -918,7 +1280,50 @@ class SidebarProvider {
     function handleVerificationError(message) {
       removeLoadingMessage();
       showToast(message.error || 'Verification failed', 'error');
-      addMessage('error', '❌ ' + message.error);
+      addMessage('error', '❌ ' + escapeHtml(message.error) + getErrorActionsHtml(message));
+    }
+
+    // Remediation for typed API errors (see src/api/errors.js)
+    function getErrorActionsHtml(message) {
+      switch (message.code) {
+        case 'AUTH_MISSING':
+        case 'AUTH_INVALID':
+          return \`<div class="job-buttons"><button class="btn-secondary btn-sm" onclick="openSetApiKey()">🔑 Set API Key</button></div>\`;
+        case 'QUOTA_EXHAUSTED':
+          return \`<div class="job-buttons"><button class="btn-secondary btn-sm" onclick="getStatus()">📊 View Plan / Account Status</button></div>\`;
+        case 'RATE_LIMITED': {
+          const wait = message.retryAfter ? Math.ceil(message.retryAfter / 1000) + 's' : 'a moment';
+          return \`<div class="info-text">Rate limited. Try again in \${wait}.</div>\`;
+        }
+        case 'TIMEOUT':
+        case 'NETWORK':
+        case 'SERVER_ERROR':
+          return \`<div class="job-buttons"><button class="btn-secondary btn-sm" data-url="\${escapeHtml(message.url)}" data-dev="\${message.isDev ? '1' : ''}" data-continents="\${(message.continents || []).join(',')}" onclick="retryVerify(this)">🔄 Retry</button></div>\`;
+        case 'TLS':
+          return \`<div class="job-buttons"><button class="btn-secondary btn-sm" onclick="openCaSettings()">⚙️ Configure CA Certificates</button></div>\`;
+        default:
+          return '';
+      }
+    }
+
+    function retryVerify(button) {
+      const url = button.dataset.url;
+      const isDev = !!button.dataset.dev;
+      const continents = button.dataset.continents ? button.dataset.continents.split(',') : undefined;
+      button.closest('.message')?.remove();
+      vscode.postMessage({ command: isDev ? 'verifyDev' : 'verify', url, continents });
+    }
+
+    function openSetApiKey() {
+      vscode.postMessage({ command: 'openSetApiKey' });
+    }
+
+    function getStatus() {
+      vscode.postMessage({ command: 'getStatus' });
+    }
+
+    function openCaSettings() {
+      vscode.postMessage({ command: 'openCaSettings' });
     }
 
     function addMessage(type, content) {
@@ -1072,6 +1477,14 @@ class SidebarProvider {
       addMessage('assistant', html);
     }
 
+    function setHistoryTeam(team) {
+      document.getElementById('historyTeam').textContent = team || 'All Teams';
+    }
+
+    function selectTeam() {
+      vscode.postMessage({ command: 'selectTeam' });
+    }
+
     function handleHistory(data, pagination) {
       // Store pagination for navigation
       historyPagination = pagination;
@@ -1251,7 +1664,7 @@ class SidebarProvider {
 
     function escapeHtml(text) {
       if (!text) return '';
-      return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+      return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
     }
 
     // Toast notification functions